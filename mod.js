@@ -0,0 +1,499 @@
+// ================================
+// nulloxide - mod
+// ================================
+
+/**
+ * @fileoverview ProTracker MOD replayer, loaded by the page as an AudioWorklet
+ * Plays 31-sample, 4-channel modules with sample loops and the common
+ * effects, writing each Amiga channel to its own output channel so the page
+ * can mix them and draw each one on the wave
+ */
+
+/** Amiga PAL clock in Hz; a note plays at this over twice its period */
+const MOD_PAL_CLOCK = 7093789.2;
+
+/** Channels a ProTracker module has */
+const MOD_CHANNELS = 4;
+
+/** Rows per pattern */
+const MOD_ROWS = 64;
+
+/** Tags at offset 1080 that mark a 31-sample, 4-channel module */
+const MOD_SIGNATURES = ["M.K.", "M!K!", "4CHN", "FLT4"];
+
+/** ProTracker periods for finetune 0, C-1 to B-3 */
+const MOD_PERIODS = [
+  856, 808, 762, 720, 678, 640, 604, 570, 538, 508, 480, 453, 428, 404, 381,
+  360, 339, 320, 302, 285, 269, 254, 240, 226, 214, 202, 190, 180, 170, 160,
+  151, 143, 135, 127, 120, 113,
+];
+
+/** Half a sine period for vibrato, as in ProTracker */
+const MOD_VIBRATO_TABLE = [
+  0, 24, 49, 74, 97, 120, 141, 161, 180, 197, 212, 224, 235, 244, 250, 253, 255,
+  253, 250, 244, 235, 224, 212, 197, 180, 161, 141, 120, 97, 74, 49, 24,
+];
+
+/**
+ * One instrument of a module
+ * @typedef {Object} ModSample
+ * @property {string} name - Name, often used for credits
+ * @property {Float32Array} data - Signed 8-bit data scaled to -1..1
+ * @property {number} volume - Default volume, 0 to 64
+ * @property {number} finetune - Eighths of a semitone, -8 to 7
+ * @property {number} loopStart - First looped sample
+ * @property {number} loopLength - Looped samples, 0 when the sample plays once
+ */
+
+/**
+ * One cell of a pattern
+ * @typedef {Object} ModNote
+ * @property {number} sample - Sample number, 1-based, 0 to keep the current one
+ * @property {number} period - Amiga period, 0 for no new note
+ * @property {number} effect - Effect command, 0x0 to 0xF
+ * @property {number} param - Effect parameter byte
+ */
+
+/**
+ * A parsed module
+ * @typedef {Object} ModSong
+ * @property {string} title - Song title
+ * @property {ModSample[]} samples - All 31 samples, empty ones included
+ * @property {number[]} orders - Pattern numbers in play order
+ * @property {ModNote[][][]} patterns - Rows of channel notes per pattern
+ */
+
+/**
+ * Read a zero-padded ASCII string
+ * @param {Uint8Array} bytes - Module data
+ * @param {number} offset - First byte
+ * @param {number} length - Bytes to read
+ * @returns {string} The text, trimmed
+ */
+function readModString(bytes, offset, length) {
+  let text = "";
+  for (let i = offset; i < offset + length && bytes[i]; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text.trim();
+}
+
+/**
+ * Parse a ProTracker module
+ * @param {ArrayBuffer} buffer - The .mod file
+ * @returns {ModSong} The song
+ * @throws {Error} When the file is not a 4-channel module
+ */
+function parseMod(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  if (bytes.length < 1084) throw new Error("file too short for a module");
+
+  const signature = readModString(bytes, 1080, 4);
+  if (!MOD_SIGNATURES.includes(signature)) {
+    throw new Error(`unsupported module type "${signature}"`);
+  }
+
+  const songLength = bytes[950];
+  const orders = Array.from(bytes.subarray(952, 952 + songLength));
+  const patternCount = Math.max(...bytes.subarray(952, 1080)) + 1;
+
+  /** @type {ModNote[][][]} */
+  const patterns = [];
+  let offset = 1084;
+  for (let p = 0; p < patternCount; p++) {
+    const rows = [];
+    for (let row = 0; row < MOD_ROWS; row++) {
+      const notes = [];
+      for (let channel = 0; channel < MOD_CHANNELS; channel++) {
+        const [a, b, c, d] = bytes.subarray(offset, offset + 4);
+        notes.push({
+          sample: (a & 0xf0) | (c >> 4),
+          period: ((a & 0x0f) << 8) | b,
+          effect: c & 0x0f,
+          param: d,
+        });
+        offset += 4;
+      }
+      rows.push(notes);
+    }
+    patterns.push(rows);
+  }
+
+  /** @type {ModSample[]} */
+  const samples = [];
+  for (let i = 0; i < 31; i++) {
+    const header = 20 + i * 30;
+    const length = view.getUint16(header + 22) * 2;
+    const finetune = bytes[header + 24] & 0x0f;
+    const loopStart = view.getUint16(header + 26) * 2;
+    const loopLength = view.getUint16(header + 28) * 2;
+
+    // Truncated files keep what sample data they have
+    const raw = new Int8Array(
+      buffer,
+      Math.min(offset, buffer.byteLength),
+      Math.max(0, Math.min(length, buffer.byteLength - offset)),
+    );
+    offset += length;
+
+    const data = new Float32Array(raw.length);
+    for (let j = 0; j < raw.length; j++) data[j] = raw[j] / 128;
+
+    samples.push({
+      name: readModString(bytes, header, 22),
+      data,
+      volume: Math.min(64, bytes[header + 25]),
+      finetune: finetune > 7 ? finetune - 16 : finetune,
+      loopStart: Math.min(loopStart, data.length),
+      loopLength:
+        loopLength > 2 ? Math.min(loopLength, data.length - loopStart) : 0,
+    });
+  }
+
+  return { title: readModString(bytes, 0, 20), samples, orders, patterns };
+}
+
+/**
+ * Create a replayer that renders a song into per-channel buffers
+ * @param {ModSong} song - Parsed module
+ * @param {number} sampleRate - Output rate in Hz
+ * @returns {{render: (outputs: Float32Array[]) => void, getPosition: () => {order: number, row: number}}} The replayer
+ */
+function createModReplayer(song, sampleRate) {
+  let speed = 6;
+  let tempo = 125;
+  let tick = 0;
+  let order = 0;
+  let row = 0;
+  let tickSamples = 0;
+  /** @type {{order: number, row: number} | null} */
+  let jump = null;
+
+  const channels = Array.from({ length: MOD_CHANNELS }, () => ({
+    /** @type {ModSample | null} */
+    sample: null,
+    position: 0,
+    playing: false,
+    period: 0,
+    outputPeriod: 0,
+    portaTarget: 0,
+    portaSpeed: 0,
+    vibratoSpeed: 0,
+    vibratoDepth: 0,
+    vibratoPosition: 0,
+    volume: 0,
+    finetune: 0,
+    effect: 0,
+    param: 0,
+  }));
+
+  /**
+   * Shift a period by whole semitones through the period table
+   * @param {number} period - Starting period
+   * @param {number} semitones - Semitones up
+   * @returns {number} The new period
+   */
+  function transpose(period, semitones) {
+    let closest = 0;
+    MOD_PERIODS.forEach((candidate, i) => {
+      if (
+        Math.abs(candidate - period) < Math.abs(MOD_PERIODS[closest] - period)
+      ) {
+        closest = i;
+      }
+    });
+    return MOD_PERIODS[Math.min(MOD_PERIODS.length - 1, closest + semitones)];
+  }
+
+  /**
+   * @param {typeof channels[number]} channel - Channel to slide
+   * @param {number} param - Effect parameter: up in the high nibble, down in the low
+   */
+  function volumeSlide(channel, param) {
+    const change = param >> 4 ? param >> 4 : -(param & 0x0f);
+    channel.volume = Math.max(0, Math.min(64, channel.volume + change));
+  }
+
+  /**
+   * @param {typeof channels[number]} channel - Channel to slide towards its target
+   */
+  function tonePortamento(channel) {
+    if (!channel.portaTarget) return;
+    if (channel.period < channel.portaTarget) {
+      channel.period = Math.min(
+        channel.portaTarget,
+        channel.period + channel.portaSpeed,
+      );
+    } else {
+      channel.period = Math.max(
+        channel.portaTarget,
+        channel.period - channel.portaSpeed,
+      );
+    }
+    channel.outputPeriod = channel.period;
+  }
+
+  /**
+   * @param {typeof channels[number]} channel - Channel to wobble
+   */
+  function vibrato(channel) {
+    const position = channel.vibratoPosition & 63;
+    const delta =
+      (MOD_VIBRATO_TABLE[position & 31] * channel.vibratoDepth) >> 7;
+    channel.outputPeriod = channel.period + (position < 32 ? delta : -delta);
+    channel.vibratoPosition += channel.vibratoSpeed;
+  }
+
+  /**
+   * Read the current row and apply its first-tick effects
+   */
+  function playRow() {
+    const pattern = song.patterns[song.orders[order]];
+    const notes = pattern ? pattern[row] : [];
+
+    notes.forEach((note, i) => {
+      const channel = channels[i];
+      const { effect, param } = note;
+      channel.effect = effect;
+      channel.param = param;
+
+      const sample = note.sample ? song.samples[note.sample - 1] : null;
+      if (sample) {
+        channel.sample = sample;
+        channel.volume = sample.volume;
+        channel.finetune = sample.finetune;
+      }
+
+      if (note.period) {
+        if (effect === 0x3 || effect === 0x5) {
+          channel.portaTarget = note.period;
+        } else {
+          channel.period = note.period;
+          channel.position = 0;
+          channel.playing = channel.sample !== null;
+          channel.vibratoPosition = 0;
+        }
+      }
+      channel.outputPeriod = channel.period;
+
+      switch (effect) {
+        case 0x3:
+          if (param) channel.portaSpeed = param;
+          break;
+        case 0x4:
+          if (param >> 4) channel.vibratoSpeed = param >> 4;
+          if (param & 0x0f) channel.vibratoDepth = param & 0x0f;
+          break;
+        case 0x9:
+          if (note.period) channel.position = param * 256;
+          break;
+        case 0xb:
+          jump = { order: param, row: jump ? jump.row : 0 };
+          break;
+        case 0xc:
+          channel.volume = Math.min(64, param);
+          break;
+        case 0xd:
+          jump = {
+            order: jump ? jump.order : order + 1,
+            row: Math.min(MOD_ROWS - 1, (param >> 4) * 10 + (param & 0x0f)),
+          };
+          break;
+        case 0xf:
+          if (param && param < 32) {
+            speed = param;
+          } else if (param) {
+            tempo = param;
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * Apply the effects that run on every tick after the first
+   */
+  function playTick() {
+    channels.forEach((channel) => {
+      const { effect, param } = channel;
+      switch (effect) {
+        case 0x0:
+          if (!param) break;
+          channel.outputPeriod = [
+            channel.period,
+            transpose(channel.period, param >> 4),
+            transpose(channel.period, param & 0x0f),
+          ][tick % 3];
+          break;
+        case 0x1:
+          channel.period = Math.max(113, channel.period - param);
+          channel.outputPeriod = channel.period;
+          break;
+        case 0x2:
+          channel.period = Math.min(856, channel.period + param);
+          channel.outputPeriod = channel.period;
+          break;
+        case 0x3:
+          tonePortamento(channel);
+          break;
+        case 0x4:
+          vibrato(channel);
+          break;
+        case 0x5:
+          tonePortamento(channel);
+          volumeSlide(channel, param);
+          break;
+        case 0x6:
+          vibrato(channel);
+          volumeSlide(channel, param);
+          break;
+        case 0xa:
+          volumeSlide(channel, param);
+          break;
+      }
+    });
+  }
+
+  /**
+   * Move to the next row, following breaks and jumps, looping at the end
+   */
+  function nextRow() {
+    if (jump) {
+      order = jump.order;
+      row = jump.row;
+      jump = null;
+    } else if (++row >= MOD_ROWS) {
+      row = 0;
+      order++;
+    }
+    if (order >= song.orders.length) order = 0;
+  }
+
+  /**
+   * Advance the song by one tick
+   */
+  function advanceTick() {
+    if (tick === 0) {
+      playRow();
+    } else {
+      playTick();
+    }
+    if (++tick >= speed) {
+      tick = 0;
+      nextRow();
+    }
+  }
+
+  /**
+   * Fill one buffer per channel with the next stretch of the song
+   * @param {Float32Array[]} outputs - One buffer per channel, all the same length
+   */
+  function render(outputs) {
+    const frames = outputs[0].length;
+    for (let i = 0; i < frames; i++) {
+      if (tickSamples <= 0) {
+        advanceTick();
+        tickSamples += (sampleRate * 2.5) / tempo;
+      }
+      tickSamples--;
+
+      for (let c = 0; c < MOD_CHANNELS; c++) {
+        const channel = channels[c];
+        const output = outputs[c];
+        if (!output) continue;
+        if (!channel.playing || !channel.outputPeriod) {
+          output[i] = 0;
+          continue;
+        }
+
+        const { sample } = channel;
+        const end = sample.loopLength
+          ? sample.loopStart + sample.loopLength
+          : sample.data.length;
+        if (channel.position >= end) {
+          if (!sample.loopLength) {
+            channel.playing = false;
+            output[i] = 0;
+            continue;
+          }
+          channel.position =
+            sample.loopStart + ((channel.position - end) % sample.loopLength);
+        }
+
+        // No interpolation: the Amiga's Paula stepped through samples too
+        output[i] =
+          (sample.data[Math.floor(channel.position)] * channel.volume) / 64;
+        channel.position +=
+          (MOD_PAL_CLOCK / (channel.outputPeriod * 2) / sampleRate) *
+          Math.pow(2, channel.finetune / 96);
+      }
+    }
+  }
+
+  return { render, getPosition: () => ({ order, row }) };
+}
+
+// Loaded with audioWorklet.addModule() rather than a <script> tag
+if (typeof AudioWorkletGlobalScope !== "undefined") {
+  /**
+   * Plays a module sent over its port, one output channel per Amiga channel
+   * Messages in: load (buffer), play, pause. Messages out: loaded (title,
+   * samples, length), error (message), row (order, row)
+   */
+  class ModProcessor extends AudioWorkletProcessor {
+    constructor() {
+      super();
+      this.replayer = null;
+      this.playing = false;
+      this.lastRow = -1;
+      this.port.addEventListener("message", (e) => this.receive(e.data));
+      this.port.start();
+    }
+
+    /**
+     * @param {{type: string, buffer?: ArrayBuffer}} message - Page message
+     */
+    receive(message) {
+      if (message.type === "load") {
+        try {
+          const song = parseMod(message.buffer);
+          this.replayer = createModReplayer(song, sampleRate);
+          this.port.postMessage({
+            type: "loaded",
+            title: song.title,
+            samples: song.samples.map((s) => s.name).filter(Boolean),
+            length: song.orders.length,
+          });
+        } catch (e) {
+          this.port.postMessage({
+            type: "error",
+            message: e instanceof Error ? e.message : String(e),
+          });
+        }
+      } else if (message.type === "play") {
+        this.playing = this.replayer !== null;
+      } else if (message.type === "pause") {
+        this.playing = false;
+      }
+    }
+
+    process(inputs, outputs) {
+      const output = outputs[0];
+      if (!this.playing) {
+        output.forEach((channel) => channel.fill(0));
+        return true;
+      }
+
+      this.replayer.render(output);
+      const { order, row } = this.replayer.getPosition();
+      if (row !== this.lastRow) {
+        this.lastRow = row;
+        this.port.postMessage({ type: "row", order, row });
+      }
+      return true;
+    }
+  }
+
+  registerProcessor("mod-player", ModProcessor);
+}
@@ -10,79 +10,319 @@
 const BIRTHDAY = new Date(1981, 0, 1);
 
 /**
- * Global cleanup registry for intervals, timeouts, and abort controllers
- * @type {{intervals: Set<number>, timeouts: Set<number>, abortControllers: Set<AbortController>}}
+ * Something the scheduler can stop and start again, such as a timer or an
+ * animation loop
+ * @typedef {Object} ScheduledTask
+ * @property {string} group - Name of the group the task belongs to
+ * @property {() => void} start - Arm the task, or re-arm it after a pause
+ * @property {() => void} stop - Disarm the task without forgetting it
  */
-const cleanupRegistry = {
-  intervals: new Set(),
-  timeouts: new Set(),
-  abortControllers: new Set(),
+
+/**
+ * A named set of tasks and listeners that pause, resume and tear down together
+ * @typedef {Object} ScheduleGroup
+ * @property {boolean} paused - Paused explicitly through pauseGroup
+ * @property {Set<number>} tasks - IDs of the group's tasks
+ * @property {Set<AbortController>} abortControllers - Listener controllers
+ */
+
+/**
+ * Global scheduler for timers, animation frames and abort controllers
+ * Tasks run while their group is not paused and the page is not suspended
+ * @type {{groups: Map<string, ScheduleGroup>, tasks: Map<number, ScheduledTask>, suspendedBy: Set<string>, nextId: number}}
+ */
+const scheduler = {
+  groups: new Map(),
+  tasks: new Map(),
+  suspendedBy: new Set(),
+  nextId: 1,
 };
 
 /**
- * Register an interval for cleanup
- * @param {number} id - The interval ID
- * @returns {number} The same interval ID
+ * Get a scheduler group, creating it on first use
+ * @param {string} name - Group name
+ * @returns {ScheduleGroup} The group
+ */
+function getScheduleGroup(name) {
+  let group = scheduler.groups.get(name);
+  if (!group) {
+    group = { paused: false, tasks: new Set(), abortControllers: new Set() };
+    scheduler.groups.set(name, group);
+  }
+  return group;
+}
+
+/**
+ * Check whether tasks in a group should currently be running
+ * @param {string} name - Group name
+ * @returns {boolean} True when neither the group nor the page is paused
+ */
+function isGroupRunning(name) {
+  const group = scheduler.groups.get(name);
+  return scheduler.suspendedBy.size === 0 && !(group && group.paused);
+}
+
+/**
+ * Add a task to a group and start it if the group is running
+ * @param {string} group - Group name
+ * @param {{start: () => void, stop: () => void}} handlers - How to arm and disarm the task
+ * @returns {number} Task ID for cancelScheduled
  */
-function registerInterval(id) {
-  cleanupRegistry.intervals.add(id);
+function registerTask(group, handlers) {
+  const id = scheduler.nextId++;
+  scheduler.tasks.set(id, {
+    group,
+    start: handlers.start,
+    stop: handlers.stop,
+  });
+  getScheduleGroup(group).tasks.add(id);
+  if (isGroupRunning(group)) handlers.start();
   return id;
 }
 
 /**
- * Register a timeout for cleanup with auto-removal after execution
+ * Stop a task and forget it
+ * @param {number} id - Task ID
+ */
+function cancelScheduled(id) {
+  const task = scheduler.tasks.get(id);
+  if (!task) return;
+  task.stop();
+  scheduler.tasks.delete(id);
+  const group = scheduler.groups.get(task.group);
+  if (group) group.tasks.delete(id);
+}
+
+/**
+ * Register a repeating callback that pauses with its group
+ * @param {Function} callback - The callback function
+ * @param {number} delay - Interval in milliseconds
+ * @param {string} [group="default"] - Scheduler group
+ * @returns {number} Task ID for cancelScheduled
+ */
+function registerInterval(callback, delay, group = "default") {
+  let handle = null;
+  return registerTask(group, {
+    start: () => {
+      handle = setInterval(callback, delay);
+    },
+    stop: () => clearInterval(handle),
+  });
+}
+
+/**
+ * Register a one-off callback that pauses with its group, keeping the time
+ * it had left, and forgets itself once it has run
  * @param {Function} callback - The callback function
  * @param {number} delay - Delay in milliseconds
- * @returns {number} The timeout ID
- */
-function registerTimeout(callback, delay) {
-  const id = setTimeout(() => {
-    cleanupRegistry.timeouts.delete(id);
-    callback();
-  }, delay);
-  cleanupRegistry.timeouts.add(id);
+ * @param {string} [group="default"] - Scheduler group
+ * @returns {number} Task ID for cancelScheduled
+ */
+function registerTimeout(callback, delay, group = "default") {
+  let handle = null;
+  let remaining = delay;
+  let startedAt = 0;
+  const id = registerTask(group, {
+    start: () => {
+      startedAt = performance.now();
+      handle = setTimeout(() => {
+        cancelScheduled(id);
+        callback();
+      }, remaining);
+    },
+    stop: () => {
+      clearTimeout(handle);
+      remaining = Math.max(0, remaining - (performance.now() - startedAt));
+    },
+  });
   return id;
 }
 
 /**
- * Create and register an AbortController
+ * Register a callback to run on every animation frame while its group runs
+ * @param {(now: number) => void} callback - Called with the frame timestamp
+ * @param {string} [group="default"] - Scheduler group
+ * @returns {number} Task ID for cancelScheduled
+ */
+function registerFrameLoop(callback, group = "default") {
+  let frame = null;
+  let running = false;
+
+  /**
+   * @param {number} now - Frame timestamp
+   */
+  function loop(now) {
+    if (!running) return;
+    callback(now);
+    if (running) frame = requestAnimationFrame(loop);
+  }
+
+  return registerTask(group, {
+    start: () => {
+      running = true;
+      frame = requestAnimationFrame(loop);
+    },
+    stop: () => {
+      running = false;
+      cancelAnimationFrame(frame);
+    },
+  });
+}
+
+/**
+ * Create an AbortController that is aborted when its group is torn down
+ * Pausing a group leaves its listeners attached
+ * @param {string} [group="default"] - Scheduler group
  * @returns {AbortController} The registered AbortController
  */
-function createAbortController() {
+function createAbortController(group = "default") {
   const controller = new AbortController();
-  cleanupRegistry.abortControllers.add(controller);
+  getScheduleGroup(group).abortControllers.add(controller);
   return controller;
 }
 
 /**
- * Clean up all registered intervals, timeouts, and abort controllers
+ * Forget an AbortController that has served its purpose without aborting it
+ * @param {AbortController} controller - Controller from createAbortController
  */
-function cleanupAll() {
-  cleanupRegistry.intervals.forEach((id) => clearInterval(id));
-  cleanupRegistry.intervals.clear();
+function releaseAbortController(controller) {
+  scheduler.groups.forEach((group) =>
+    group.abortControllers.delete(controller),
+  );
+}
+
+/**
+ * Pause every task in a group until resumeGroup
+ * @param {string} name - Group name
+ */
+function pauseGroup(name) {
+  const group = getScheduleGroup(name);
+  if (group.paused) return;
+  const wasRunning = isGroupRunning(name);
+  group.paused = true;
+  if (wasRunning) group.tasks.forEach((id) => scheduler.tasks.get(id).stop());
+}
+
+/**
+ * Resume a group paused with pauseGroup
+ * Tasks stay stopped while the page itself is suspended
+ * @param {string} name - Group name
+ */
+function resumeGroup(name) {
+  const group = scheduler.groups.get(name);
+  if (!group || !group.paused) return;
+  group.paused = false;
+  if (isGroupRunning(name)) {
+    group.tasks.forEach((id) => scheduler.tasks.get(id).start());
+  }
+}
+
+/**
+ * Stop and forget every task in a group and abort its listeners
+ * @param {string} name - Group name
+ */
+function teardownGroup(name) {
+  const group = scheduler.groups.get(name);
+  if (!group) return;
+  [...group.tasks].forEach(cancelScheduled);
+  group.abortControllers.forEach((controller) => controller.abort());
+  scheduler.groups.delete(name);
+}
+
+/**
+ * Stop every running task while the page is hidden or in the back/forward cache
+ * @param {string} reason - Why, so overlapping suspensions resume only once all have ended
+ */
+function suspendScheduler(reason) {
+  if (scheduler.suspendedBy.size === 0) {
+    scheduler.groups.forEach((group) => {
+      if (!group.paused) {
+        group.tasks.forEach((id) => scheduler.tasks.get(id).stop());
+      }
+    });
+  }
+  scheduler.suspendedBy.add(reason);
+}
 
-  cleanupRegistry.timeouts.forEach((id) => clearTimeout(id));
-  cleanupRegistry.timeouts.clear();
+/**
+ * End a suspension and restart tasks once none remain
+ * @param {string} reason - The reason given to suspendScheduler
+ */
+function resumeScheduler(reason) {
+  if (!scheduler.suspendedBy.delete(reason)) return;
+  if (scheduler.suspendedBy.size > 0) return;
+  scheduler.groups.forEach((group) => {
+    if (!group.paused) {
+      group.tasks.forEach((id) => scheduler.tasks.get(id).start());
+    }
+  });
+}
 
-  cleanupRegistry.abortControllers.forEach((controller) => controller.abort());
-  cleanupRegistry.abortControllers.clear();
+/**
+ * Tear down every group
+ */
+function cleanupAll() {
+  [...scheduler.groups.keys()].forEach(teardownGroup);
 }
 
-// Clean up on page unload
-window.addEventListener("beforeunload", cleanupAll);
+// Hidden tabs have nothing to animate
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    suspendScheduler("hidden");
+  } else {
+    resumeScheduler("hidden");
+  }
+});
+
+// A page entering the back/forward cache is suspended rather than torn down,
+// so it comes back alive; one being discarded is cleaned up for good
+window.addEventListener("pagehide", (e) => {
+  if (e.persisted) {
+    suspendScheduler("pagehide");
+  } else {
+    cleanupAll();
+  }
+});
+
+window.addEventListener("pageshow", () => {
+  if (!document.hidden) resumeScheduler("hidden");
+  resumeScheduler("pagehide");
+});
+
+// Tabs opened in the background start suspended
+if (document.hidden) suspendScheduler("hidden");
 
 /** @type {Lenis|null} */
 let lenis = null;
 
 /**
  * Cached CSS values that change with theme
- * Updated by initThemeToggle on theme change
+ * Updated by initThemeToggle whenever theme.js reports a change
  */
 const themeCache = {
   canvasFade: "rgba(8, 8, 10, 0.12)",
   waveColor: "0, 255, 157",
+  connectionColor: "0, 255, 157",
+  particleColors: [
+    { r: 0, g: 255, b: 157 },
+    { r: 0, g: 212, b: 255 },
+    { r: 120, g: 100, b: 255 },
+  ],
 };
 
+/**
+ * Commands shared by the console API and the on-page terminal shell
+ * Populated through registerShellCommand
+ * @type {Map<string, ShellCommand>}
+ */
+const shellCommands = new Map();
+
+/**
+ * Console API exposed as window.nulloxide - one method per shell command
+ * @type {Record<string, Function>}
+ */
+const nulloxideApi = {};
+
 /**
  * Update cached theme values from CSS custom properties
  */
@@ -92,6 +332,19 @@ function updateThemeCache() {
     style.getPropertyValue("--canvas-fade").trim() || "rgba(8, 8, 10, 0.12)";
   themeCache.waveColor =
     style.getPropertyValue("--wave-color").trim() || "0, 255, 157";
+  themeCache.connectionColor =
+    style.getPropertyValue("--connection-color").trim() || "0, 255, 157";
+
+  // Particle colours are "r, g, b" triplets; keep the old value when unset
+  themeCache.particleColors = themeCache.particleColors.map((color, i) => {
+    const channels = style
+      .getPropertyValue(`--particle-${i + 1}`)
+      .split(",")
+      .map(Number);
+    if (channels.length !== 3 || channels.some(Number.isNaN)) return color;
+    const [r, g, b] = channels;
+    return { r, g, b };
+  });
 }
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -102,23 +355,21 @@ document.addEventListener("DOMContentLoaded", () => {
     return;
   }
 
-  const prefersReducedMotion = window.matchMedia(
-    "(prefers-reduced-motion: reduce)",
-  ).matches;
-
   initThemeToggle();
+  initPointerInput();
+  initAchievements();
+  initReturningVisitor();
   initVisitorStatus();
-  initLenis();
   initKineticTypography();
   calculateAge();
   initTerminalJourney();
   initScrollProgress();
   initScrollToTop();
 
-  if (!prefersReducedMotion) {
-    initWaveVisualization();
-    initVoidCanvas();
-  }
+  initMotion();
+  initBackgroundToggle();
+  initModPlayer();
+  initSoundToggle();
 
   initScrollAnimations();
   initMagnetic();
@@ -128,7 +379,7 @@ document.addEventListener("DOMContentLoaded", () => {
   initRotatingPlaceholder();
   initEmailReveal();
   initEndSection();
-  initKonamiCode();
+  initCheatCodes();
 });
 
 // ================================
@@ -136,1541 +387,7215 @@ document.addEventListener("DOMContentLoaded", () => {
 // ================================
 
 /**
- * Initialize theme toggle functionality
- * Handles light/dark mode switching with localStorage persistence
+ * Initialize the three-state theme toggle (system, light, dark)
+ * Preference handling lives in theme.js, shared with 404.html
  */
 function initThemeToggle() {
-  const toggle = document.getElementById("theme-toggle");
-  if (!toggle) return;
-
   const controller = createAbortController();
 
-  // Initialize theme cache on load
+  // Initialize theme cache on load and whenever any tab changes the theme
   updateThemeCache();
+  const unsubscribe = onThemeChange(() =>
+    requestAnimationFrame(updateThemeCache),
+  );
+  controller.signal.addEventListener("abort", unsubscribe);
+
+  const toggle = document.getElementById("theme-toggle");
+  if (!toggle) return;
 
   /**
-   * Get the current effective theme
-   * @returns {'light' | 'dark'} The current theme
+   * @returns {string} Preference the next click selects
    */
-  function getCurrentTheme() {
-    const stored = localStorage.getItem("theme");
-    if (stored) return stored;
+  const getNextPreference = () => {
+    const index = THEME_PREFERENCES.indexOf(getThemePreference());
+    return THEME_PREFERENCES[(index + 1) % THEME_PREFERENCES.length];
+  };
 
-    // Check system preference
-    return window.matchMedia("(prefers-color-scheme: light)").matches
-      ? "light"
-      : "dark";
+  function updateLabel() {
+    const preference = getThemePreference();
+    const current =
+      preference === "system" ? `system (${getCurrentTheme()})` : preference;
+    const label = `Theme: ${current}. Switch to ${getNextPreference()}`;
+    toggle.setAttribute("aria-label", label);
+    toggle.title = label;
   }
 
-  /**
-   * Set the theme and persist to localStorage
-   * @param {'light' | 'dark'} theme - The theme to set
-   */
-  function setTheme(theme) {
-    document.documentElement.setAttribute("data-theme", theme);
-    localStorage.setItem("theme", theme);
-    // Update cached CSS values after theme change
-    requestAnimationFrame(updateThemeCache);
-  }
+  updateLabel();
+  controller.signal.addEventListener("abort", onThemeChange(updateLabel));
 
-  // Toggle on click
+  // Cycle system -> light -> dark on click
   toggle.addEventListener(
     "click",
-    () => {
-      const current = getCurrentTheme();
-      const next = current === "dark" ? "light" : "dark";
-      setTheme(next);
-    },
-    { signal: controller.signal },
-  );
-
-  // Listen for system preference changes
-  const mediaQuery = window.matchMedia("(prefers-color-scheme: light)");
-  mediaQuery.addEventListener(
-    "change",
-    (e) => {
-      // Only update if user hasn't set a manual preference
-      const stored = localStorage.getItem("theme");
-      if (!stored) {
-        document.documentElement.removeAttribute("data-theme");
-        requestAnimationFrame(updateThemeCache);
-      }
-    },
+    () => setThemePreference(getNextPreference()),
     { signal: controller.signal },
   );
 }
 
 // ================================
-// Kinetic Typography - Combined Effects
+// Motion Preference
 // ================================
 
+/** localStorage key holding an explicit motion level */
+const MOTION_STORAGE_KEY = "nulloxide-motion";
+
 /**
- * Initialize kinetic typography with scramble, hover, and gradient effects
+ * Preferences in the order the motion toggle cycles through them
+ * "system" follows prefers-reduced-motion and stores nothing
  */
-function initKineticTypography() {
-  const words = document.querySelectorAll(".word");
-  if (!words.length) return;
-
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*";
-  const controller = createAbortController();
+const MOTION_PREFERENCES = ["system", "full", "reduced", "off"];
 
-  words.forEach((word, wordIndex) => {
-    const text = word.textContent || "";
-    const originalChars = text.split("");
-    word.textContent = "";
-
-    originalChars.forEach((char) => {
-      const span = document.createElement("span");
-      span.className = "letter";
-      span.dataset.original = char;
-      span.textContent = char;
-      word.appendChild(span);
-    });
-
-    const letters = word.querySelectorAll(".letter");
-
-    // Initial scramble animation
-    const scrambleDelay = wordIndex * 400;
-    registerTimeout(() => {
-      letters.forEach((letter, i) => {
-        letter.classList.add("scrambling");
-        let iterations = 0;
-        const maxIterations = 8 + Math.random() * 6;
-        const interval = setInterval(
-          () => {
-            if (iterations < maxIterations) {
-              letter.textContent =
-                chars[Math.floor(Math.random() * chars.length)];
-              iterations++;
-            } else {
-              letter.textContent = letter.dataset.original || "";
-              letter.classList.remove("scrambling");
-              clearInterval(interval);
-              cleanupRegistry.intervals.delete(interval);
-            }
-          },
-          40 + i * 10,
-        );
-        registerInterval(interval);
-      });
-    }, 300 + scrambleDelay);
-
-    // Letter hover effects
-    letters.forEach((letter) => {
-      letter.addEventListener(
-        "mouseenter",
-        () => {
-          letter.classList.add("active");
-          registerTimeout(() => {
-            letter.classList.remove("active");
-          }, 400);
-        },
-        { signal: controller.signal },
-      );
-    });
+/**
+ * How strongly decorative effects play at each level, from 1 (as designed)
+ * to 0 (still)
+ * @type {Record<'full' | 'reduced' | 'off', number>}
+ */
+const MOTION_SCALES = { full: 1, reduced: 0.3, off: 0 };
 
-    // Word 3D tilt effect - cache rect and update on resize
-    let wordRect = word.getBoundingClientRect();
+const reducedMotionQuery = window.matchMedia(
+  "(prefers-reduced-motion: reduce)",
+);
 
-    window.addEventListener(
-      "resize",
-      () => {
-        wordRect = word.getBoundingClientRect();
-      },
-      { signal: controller.signal },
-    );
+/** @type {Set<(level: 'full' | 'reduced' | 'off', preference: string) => void>} */
+const motionListeners = new Set();
 
-    word.addEventListener(
-      "mouseenter",
-      () => {
-        wordRect = word.getBoundingClientRect();
-      },
-      { signal: controller.signal },
-    );
+/** Level the canvases and smooth scrolling were last set up for */
+let motionEffectsLevel = null;
 
-    word.addEventListener(
-      "mousemove",
-      (e) => {
-        const x = (e.clientX - wordRect.left) / wordRect.width - 0.5;
-        const y = (e.clientY - wordRect.top) / wordRect.height - 0.5;
-        word.style.transform = `perspective(500px) rotateY(${x * 8}deg) rotateX(${-y * 8}deg)`;
-      },
-      { signal: controller.signal },
-    );
+/**
+ * Get the stored motion preference
+ * @returns {'system' | 'full' | 'reduced' | 'off'} The preference
+ */
+function getMotionPreference() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(MOTION_STORAGE_KEY);
+  } catch (e) {
+    // Storage can be blocked; fall back to the page attribute
+    stored = document.documentElement.getAttribute("data-motion-preference");
+  }
+  return MOTION_PREFERENCES.includes(stored) && stored !== "system"
+    ? /** @type {'full' | 'reduced' | 'off'} */ (stored)
+    : "system";
+}
 
-    word.addEventListener(
-      "mouseleave",
-      () => {
-        word.style.transform = "";
-        letters.forEach((letter) => letter.classList.remove("active"));
-      },
-      { signal: controller.signal },
-    );
+/**
+ * Get the motion level in effect
+ * @returns {'full' | 'reduced' | 'off'} The level
+ */
+function getMotionLevel() {
+  const preference = getMotionPreference();
+  if (preference !== "system") return preference;
+  return reducedMotionQuery.matches ? "reduced" : "full";
+}
 
-    // Gradient flow effect
-    function triggerGradientFlow() {
-      letters.forEach((letter, i) => {
-        registerTimeout(() => {
-          letter.classList.add("gradient-flow");
-          registerTimeout(() => letter.classList.remove("gradient-flow"), 600);
-        }, i * 80);
-      });
-    }
+/**
+ * Get how strongly decorative effects should play right now
+ * @returns {number} Between 0 and 1
+ */
+function getMotionScale() {
+  return MOTION_SCALES[getMotionLevel()];
+}
 
-    registerTimeout(
-      () => {
-        triggerGradientFlow();
-        registerInterval(
-          setInterval(triggerGradientFlow, 5000 + wordIndex * 1000),
-        );
-      },
-      2000 + wordIndex * 500,
-    );
+/**
+ * Reflect the motion level on the page and tell listeners
+ * The stylesheet reads data-motion to calm its own animations
+ */
+function applyMotionPreference() {
+  const root = document.documentElement;
+  const level = getMotionLevel();
+  const preference = getMotionPreference();
+  root.setAttribute("data-motion", level);
+  root.setAttribute("data-motion-preference", preference);
+  motionListeners.forEach((listener) => listener(level, preference));
+}
 
-    // Random glitch effect
-    function triggerRandomGlitch() {
-      const randomLetter = letters[Math.floor(Math.random() * letters.length)];
-      if (randomLetter) {
-        randomLetter.classList.add("glitch");
-        registerTimeout(() => randomLetter.classList.remove("glitch"), 150);
-      }
+/**
+ * Set the motion preference and persist it
+ * @param {'system' | 'full' | 'reduced' | 'off'} preference - The preference to set
+ */
+function setMotionPreference(preference) {
+  try {
+    if (preference === "system") {
+      localStorage.removeItem(MOTION_STORAGE_KEY);
+    } else {
+      localStorage.setItem(MOTION_STORAGE_KEY, preference);
     }
+  } catch (e) {
+    console.warn("Motion preference could not be saved:", e);
+  }
 
-    registerInterval(
-      setInterval(() => {
-        if (Math.random() > 0.7) {
-          triggerRandomGlitch();
-        }
-      }, 3000),
-    );
-  });
+  // Keep the choice for this page even when storage is blocked
+  document.documentElement.setAttribute("data-motion-preference", preference);
+  applyMotionPreference();
 }
 
-// ================================
-// Button Spotlight Effect
-// ================================
+/**
+ * Call a listener whenever the motion level or preference changes
+ * @param {(level: 'full' | 'reduced' | 'off', preference: string) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onMotionChange(listener) {
+  motionListeners.add(listener);
+  return () => motionListeners.delete(listener);
+}
 
 /**
- * Initialize button spotlight effect that follows mouse position
+ * Start or tear down the canvases and smooth scrolling to match the level
  */
-function initButtonSpotlight() {
-  const buttons = document.querySelectorAll(".sesame-btn, .link-work");
-  if (!buttons.length) return;
+function syncMotionEffects() {
+  const level = getMotionLevel();
+  if (level === motionEffectsLevel) return;
+  const previous = motionEffectsLevel;
+  motionEffectsLevel = level;
+
+  if (level === "full") {
+    initRenderQuality();
+    initWaveVisualization();
+    initVoidCanvas();
+  } else if (previous === "full") {
+    teardownGroup("canvas");
+  }
 
-  const controller = createAbortController();
+  // Lenis takes its smoothing at construction, so rebuild it
+  teardownGroup("scroll");
+  initLenis();
+}
 
-  buttons.forEach((btn) => {
-    // Cache rect and update on mouseenter for accuracy
-    let btnRect = btn.getBoundingClientRect();
+/**
+ * Initialize the motion toggle and keep effects in step with the level
+ */
+function initMotion() {
+  const controller = createAbortController();
 
-    btn.addEventListener(
-      "mouseenter",
-      () => {
-        btnRect = btn.getBoundingClientRect();
-      },
-      { signal: controller.signal },
-    );
+  syncMotionEffects();
+  controller.signal.addEventListener(
+    "abort",
+    onMotionChange(syncMotionEffects),
+  );
 
-    btn.addEventListener(
-      "mousemove",
-      (e) => {
-        const x = ((e.clientX - btnRect.left) / btnRect.width) * 100;
-        const y = ((e.clientY - btnRect.top) / btnRect.height) * 100;
-        btn.style.setProperty("--mouse-x", `${x}%`);
-        btn.style.setProperty("--mouse-y", `${y}%`);
-      },
-      { signal: controller.signal },
-    );
-  });
-}
+  const toggle = document.getElementById("motion-toggle");
+  if (!toggle) return;
+
+  /**
+   * @returns {string} Preference the next click selects
+   */
+  const getNextPreference = () => {
+    const index = MOTION_PREFERENCES.indexOf(getMotionPreference());
+    return MOTION_PREFERENCES[(index + 1) % MOTION_PREFERENCES.length];
+  };
+
+  function updateLabel() {
+    const preference = getMotionPreference();
+    const current =
+      preference === "system" ? `system (${getMotionLevel()})` : preference;
+    const label = `Motion: ${current}. Switch to ${getNextPreference()}`;
+    toggle.setAttribute("aria-label", label);
+    toggle.title = label;
+  }
+
+  updateLabel();
+  controller.signal.addEventListener("abort", onMotionChange(updateLabel));
+
+  // Cycle system -> full -> reduced -> off on click
+  toggle.addEventListener(
+    "click",
+    () => setMotionPreference(getNextPreference()),
+    { signal: controller.signal },
+  );
+}
+
+// Reflect the stored preference before the page is revealed
+applyMotionPreference();
+
+// The OS setting changed while following the system
+reducedMotionQuery.addEventListener("change", () => {
+  if (getMotionPreference() === "system") applyMotionPreference();
+});
+
+// Another tab changed the preference
+window.addEventListener("storage", (e) => {
+  if (e.key === MOTION_STORAGE_KEY || e.key === null) applyMotionPreference();
+});
 
 // ================================
-// Visitor Status Detection
+// Achievements
 // ================================
 
+/** localStorage key holding unlocked achievements as JSON */
+const ACHIEVEMENTS_STORAGE_KEY = "nulloxide-achievements";
+
+/** How long an unlock toast stays up, in ms */
+const ACHIEVEMENT_TOAST_DURATION = 4000;
+
 /**
- * Initialize visitor status in terminal status bar
- * Shows platform and time-based info in compact format
+ * A hidden feature a visitor can find
+ * @typedef {Object} Achievement
+ * @property {string} title - Shown once found
+ * @property {string} hint - Shown while still hidden
  */
-function initVisitorStatus() {
-  const visitorEl = document.getElementById("status-visitor");
-  if (!visitorEl) return;
-
-  const platform = navigator.platform || "";
-  const hour = new Date().getHours();
 
-  // Combine platform + time into single short quip
-  // Format: "mac@3am" style - compact and terminal-like
-  let os = "???";
-  if (/Mac|iPhone|iPad|iPod/.test(platform)) {
-    os = "mac";
-  } else if (/Win/.test(platform)) {
-    os = "win";
-  } else if (/Linux/.test(platform)) {
-    os = "nix";
-  } else if (/Android/.test(navigator.userAgent)) {
-    os = "droid";
-  }
+/**
+ * Achievement registry and progress
+ * Features register where they are defined and call unlockAchievement
+ */
+const achievements = {
+  /** @type {Map<string, Achievement>} */
+  registry: new Map(),
+  /** Unlock time by id; kept here too so progress survives blocked storage */
+  /** @type {Record<string, number>} */
+  unlocked: {},
+  /** @type {Set<(id: string | null) => void>} */
+  listeners: new Set(),
+};
 
-  // Time as short label
-  let time = "";
-  if (hour >= 0 && hour < 5) {
-    time = "late";
-  } else if (hour >= 5 && hour < 8) {
-    time = "early";
-  } else if (hour >= 8 && hour < 12) {
-    time = "am";
-  } else if (hour >= 12 && hour < 17) {
-    time = "pm";
-  } else if (hour >= 17 && hour < 21) {
-    time = "eve";
-  } else {
-    time = "night";
+/**
+ * Read stored progress
+ * @returns {Record<string, number>} Unlock time by id
+ */
+function getStoredAchievements() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY) || "{}",
+    );
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (e) {
+    console.warn("Stored achievements ignored:", e);
+    return {};
   }
+}
 
-  visitorEl.textContent = `${os}@${time}`;
+/**
+ * Register a hidden feature
+ * @param {string} id - Unique name
+ * @param {Achievement} achievement - How it is listed
+ */
+function registerAchievement(id, achievement) {
+  achievements.registry.set(id, achievement);
 }
 
-// ================================
-// Lenis Smooth Scroll
-// ================================
+/**
+ * Get progress over registered achievements
+ * @returns {{found: number, total: number}} Counts
+ */
+function getAchievementProgress() {
+  const ids = [...achievements.registry.keys()];
+  return {
+    found: ids.filter((id) => achievements.unlocked[id]).length,
+    total: ids.length,
+  };
+}
 
 /**
- * Initialize Lenis smooth scrolling library
+ * Mark an achievement found, persist it and tell listeners
+ * Finding one again does nothing
+ * @param {string} id - Registered achievement
  */
-function initLenis() {
-  try {
-    lenis = new Lenis({
-      duration: 1.2,
-      easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
-      smoothWheel: true,
-      touchMultiplier: 2,
-      infinite: false,
-    });
+function unlockAchievement(id) {
+  if (!achievements.registry.has(id)) {
+    console.warn(`Unknown achievement "${id}"`);
+    return;
+  }
+  if (achievements.unlocked[id]) return;
 
-    lenis.on("scroll", ScrollTrigger.update);
-    gsap.ticker.add((time) => {
-      if (lenis) lenis.raf(time * 1000);
-    });
-    gsap.ticker.lagSmoothing(0);
+  achievements.unlocked[id] = Date.now();
+  try {
+    localStorage.setItem(
+      ACHIEVEMENTS_STORAGE_KEY,
+      JSON.stringify(achievements.unlocked),
+    );
   } catch (e) {
-    console.warn("Lenis initialization failed:", e);
+    console.warn("Achievement could not be saved:", e);
   }
+  achievements.listeners.forEach((listener) => listener(id));
 }
 
-// ================================
-// Age Calculator with Jokes
-// ================================
+/**
+ * Forget every achievement found in this browser
+ */
+function resetAchievements() {
+  achievements.unlocked = {};
+  try {
+    localStorage.removeItem(ACHIEVEMENTS_STORAGE_KEY);
+  } catch (e) {
+    console.warn("Achievements could not be reset:", e);
+  }
+  achievements.listeners.forEach((listener) => listener(null));
+}
 
 /**
- * Calculate and display age with humorous commentary
+ * Call a listener when an achievement is found, with its id, or when
+ * progress changes some other way, with null
+ * @param {(id: string | null) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
  */
-function calculateAge() {
-  const yearsEl = document.getElementById("years");
-  const jokeEl = document.getElementById("age-joke");
-  const uptimeEl = document.getElementById("status-uptime");
+function onAchievementChange(listener) {
+  achievements.listeners.add(listener);
+  return () => achievements.listeners.delete(listener);
+}
 
-  const now = new Date();
-  let years = now.getFullYear() - BIRTHDAY.getFullYear();
-  const monthDiff = now.getMonth() - BIRTHDAY.getMonth();
-  if (
-    monthDiff < 0 ||
-    (monthDiff === 0 && now.getDate() < BIRTHDAY.getDate())
-  ) {
-    years--;
+/**
+ * Pop up a toast for a newly found achievement
+ * @param {string} id - Achievement just found
+ */
+function showAchievementToast(id) {
+  let stack = document.querySelector(".achievement-toasts");
+  if (!stack) {
+    stack = document.createElement("div");
+    stack.className = "achievement-toasts";
+    stack.setAttribute("role", "status");
+    stack.setAttribute("aria-live", "polite");
+    document.body.appendChild(stack);
   }
 
-  const msPerDay = 24 * 60 * 60 * 1000;
-  const totalDays = Math.floor((now.getTime() - BIRTHDAY.getTime()) / msPerDay);
-  const daysThisYear = Math.floor(
-    (now.getTime() - new Date(now.getFullYear(), 0, 1).getTime()) / msPerDay,
+  const { found, total } = getAchievementProgress();
+  const toast = document.createElement("div");
+  toast.className = "achievement-toast";
+  const label = document.createElement("span");
+  label.className = "achievement-toast-label";
+  label.textContent = `achievement unlocked ${found}/${total}`;
+  const title = document.createElement("span");
+  title.className = "achievement-toast-title";
+  title.textContent = achievements.registry.get(id).title;
+  toast.append(label, title);
+  stack.appendChild(toast);
+
+  requestAnimationFrame(() => toast.classList.add("visible"));
+  registerTimeout(() => {
+    toast.classList.remove("visible");
+    registerTimeout(() => toast.remove(), 500);
+  }, ACHIEVEMENT_TOAST_DURATION);
+}
+
+/**
+ * Initialize unlock toasts and the found badge
+ */
+function initAchievements() {
+  const controller = createAbortController();
+  controller.signal.addEventListener(
+    "abort",
+    onAchievementChange((id) => {
+      if (id) showAchievementToast(id);
+    }),
   );
 
-  if (yearsEl) {
-    yearsEl.textContent = String(years);
-  }
+  const badge = document.getElementById("achievement-badge");
+  if (!badge) return;
 
-  // Update terminal status bar uptime
-  if (uptimeEl) {
-    uptimeEl.textContent = `${years}y ${daysThisYear}d`;
+  function updateBadge() {
+    const { found, total } = getAchievementProgress();
+    badge.textContent = `${found}/${total} found`;
+    badge.title = `${found} of ${total} easter eggs found. Try nulloxide.achievements()`;
   }
 
-  if (jokeEl) {
-    const jokes = [
-      `That's ${totalDays.toLocaleString()} days of "it works on my machine."`,
-      `Or ${Math.floor(totalDays / 7).toLocaleString()} weeks of forgetting semicolons.`,
-      `${years} years. Still googling error messages.`,
-      `Old enough to remember floppy disks. Young enough to mass deploy.`,
-      `In hex, that's 0x${years.toString(16).toUpperCase()}. Still debugging.`,
-      `${years} in decimal. ${years.toString(2)} in binary nostalgia.`,
-      `${Math.floor(years * 365.25 * 24).toLocaleString()} hours of screen time. Give or take.`,
-    ];
+  updateBadge();
+  controller.signal.addEventListener("abort", onAchievementChange(updateBadge));
+}
 
-    const randomJoke = jokes[Math.floor(Math.random() * jokes.length)];
-    jokeEl.textContent = randomJoke;
+achievements.unlocked = getStoredAchievements();
+
+// Another tab found something
+window.addEventListener("storage", (e) => {
+  if (e.key === ACHIEVEMENTS_STORAGE_KEY || e.key === null) {
+    achievements.unlocked = getStoredAchievements();
+    achievements.listeners.forEach((listener) => listener(null));
   }
-}
+});
 
 // ================================
-// Terminal Journey - Visual Code Evolution
+// Pointer Input
 // ================================
 
 /**
- * Initialize the terminal journey animation showing code evolution
+ * Where the pointer is, sampled once per frame from Pointer Events
+ * Positions are viewport coordinates, null while no pointer is on the page
+ * @typedef {Object} PointerState
+ * @property {number | null} x - Horizontal position in px
+ * @property {number | null} y - Vertical position in px
+ * @property {number} vx - Horizontal velocity in px per second
+ * @property {number} vy - Vertical velocity in px per second
+ * @property {'mouse' | 'pen' | 'touch' | null} type - Kind of pointer, null while none
+ * @property {boolean} pressed - A button, pen tip or finger is down
+ * @property {Element | null} target - Element under the pointer
  */
-function initTerminalJourney() {
-  const terminal = document.getElementById("terminal");
-  if (!terminal) return;
-
-  const journeyLines = [
-    { type: "cmd", text: '10 PRINT "HELLO WORLD"' },
-    { type: "cmd", text: "20 GOTO 10" },
-    { type: "output", text: "; first program. first addiction." },
-    { type: "empty" },
-    { type: "comment", text: "; Amiga days - cracktros were art galleries" },
-    { type: "code", text: "; 64KB intro, 4-channel MOD, infinite scrolltext" },
-    { type: "code", text: "GREETINGS TO: everyone who swapped disks with me" },
-    { type: "empty" },
-    { type: "comment", text: "; Assembly - where every byte was sacred" },
-    { type: "code", text: "LDA #$00" },
-    {
-      type: "code",
-      text: "STA $D020       ; changed border color. felt like god.",
-    },
-    { type: "empty" },
-    {
-      type: "comment",
-      text: "// C era - pointers pointing to pointers to pain",
-    },
-    { type: "code", text: "void* life = malloc(sizeof(confusion));" },
-    { type: "code", text: "free(life);     // segfault. as expected." },
-    { type: "empty" },
-    { type: "comment", text: "/* BBS era - where ASCII became art */" },
-    { type: "code", text: "/p null wanna trade 14.4k modem for sound card?" },
-    { type: "output", text: "; social media for geeks. 14400 baud." },
-    { type: "output", text: "NO CARRIER              ; mom picked up. again." },
-    { type: "empty" },
-    {
-      type: "comment",
-      text: "# FreeBSD - where real hackers compiled kernels",
-    },
-    { type: "code", text: "make buildworld && make installworld" },
-    { type: "code", text: '# 6 hours later: "oh a typo in rc.conf"' },
-    { type: "empty" },
-    {
-      type: "comment",
-      text: '# Render farms & grids - 1000 machines was "cute"',
-    },
-    { type: "code", text: "for i in $(seq 1 1000); do" },
-    { type: "code", text: '    ssh node$i "nice -n 19 render frame_$i" &' },
-    { type: "code", text: "done" },
-    {
-      type: "code",
-      text: "# works. until one node sneezes. electricity bill: yes.",
-    },
-    { type: "empty" },
-    { type: "comment", text: "# Finance - a new chapter" },
-    {
-      type: "code",
-      text: "# ever since I was young I dreamed of transforming",
-    },
-    {
-      type: "code",
-      text: "# unstructured data into actionable business insights",
-    },
-    { type: "code", text: "import pandas as pd" },
-    { type: "code", text: 'pd.read_csv("my_life_now.csv")  # this is fine.' },
-    { type: "empty" },
-    { type: "output highlight", text: "> Still building. Still curious." },
-  ];
-
-  terminal.textContent = "";
-
-  journeyLines.forEach((line, i) => {
-    const div = document.createElement("div");
-    div.className = "terminal-line";
-    div.style.transitionDelay = `${i * 0.08}s`;
 
-    if (line.type === "empty") {
-      div.innerHTML = "&nbsp;";
-    } else {
-      const content = escapeHtml(line.text);
-      if (line.type === "cmd") {
-        div.innerHTML = `<span class="prompt">></span><span class="cmd">${content}</span>`;
-      } else if (line.type === "output") {
-        div.innerHTML = `<span class="output">${content}</span>`;
-      } else if (line.type === "output highlight") {
-        div.innerHTML = `<span class="output highlight">${content}</span>`;
-      } else if (line.type === "comment") {
-        div.innerHTML = `<span class="comment">${content}</span>`;
-      } else if (line.type === "code") {
-        div.innerHTML = `<span class="cmd">${content}</span>`;
-      }
-    }
+/** Velocity below this (px/s) counts as still, letting the sampler idle */
+const POINTER_REST_SPEED = 1;
 
-    terminal.appendChild(div);
-  });
+/**
+ * Pointer state shared by every interactive effect
+ * raw collects events between frames; state is what subscribers see
+ */
+const pointerInput = {
+  /** @type {PointerState} */
+  state: {
+    x: null,
+    y: null,
+    vx: 0,
+    vy: 0,
+    type: null,
+    pressed: false,
+    target: null,
+  },
+  raw: { x: null, y: null, type: null, pressed: false, target: null },
+  dirty: false,
+  lastSample: 0,
+  /** @type {number | null} */
+  loop: null,
+  /** @type {Set<(state: PointerState) => void>} */
+  listeners: new Set(),
+  /** Bumped on scroll and resize so cached element rects are re-measured */
+  layoutVersion: 0,
+  /** @type {WeakMap<Element, {rect: DOMRect, version: number}>} */
+  rects: new WeakMap(),
+};
 
-  ScrollTrigger.create({
-    trigger: ".section--journey",
-    start: "top 70%",
-    onEnter: () => {
-      const terminalWindow = document.querySelector(".terminal-window");
-      if (terminalWindow) {
-        terminalWindow.classList.add("visible");
-      }
+/**
+ * Call a listener once per frame whenever the pointer moves, presses,
+ * releases or leaves
+ * @param {(state: PointerState) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onPointerChange(listener) {
+  pointerInput.listeners.add(listener);
+  return () => pointerInput.listeners.delete(listener);
+}
 
-      const lines = terminal.querySelectorAll(".terminal-line");
-      lines.forEach((line, i) => {
-        registerTimeout(() => {
-          line.classList.add("typed");
-        }, i * 120);
-      });
-    },
-    once: true,
+/**
+ * Get an element's bounding rect, measured at most once per scroll or resize
+ * @param {Element} element - Element to measure
+ * @returns {DOMRect} Its viewport rect
+ */
+function getPointerRect(element) {
+  const cached = pointerInput.rects.get(element);
+  if (cached && cached.version === pointerInput.layoutVersion) {
+    return cached.rect;
+  }
+  const rect = element.getBoundingClientRect();
+  pointerInput.rects.set(element, {
+    rect,
+    version: pointerInput.layoutVersion,
   });
+  return rect;
 }
 
 /**
- * Escape HTML special characters to prevent XSS
- * @param {string} text - The text to escape
- * @returns {string} Escaped text safe for innerHTML
+ * Get the pointer position relative to an element's top-left corner
+ * @param {Element} element - Element to measure against
+ * @param {PointerState} [state] - Sample to use, the latest by default
+ * @param {{left: number, top: number, width: number, height: number}} [rect] - Box to measure against, the element's current rect by default
+ * @returns {{x: number, y: number, width: number, height: number, inside: boolean} | null} Offset and size, or null with no pointer
  */
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+function getPointerOffset(
+  element,
+  state = pointerInput.state,
+  rect = getPointerRect(element),
+) {
+  if (state.x === null || state.y === null) return null;
+  const x = state.x - rect.left;
+  const y = state.y - rect.top;
+  return {
+    x,
+    y,
+    width: rect.width,
+    height: rect.height,
+    inside: x >= 0 && y >= 0 && x <= rect.width && y <= rect.height,
+  };
 }
 
-// ================================
-// Wave Visualization
-// ================================
-
 /**
- * Initialize interactive wave canvas visualization
+ * Fold the events since the last frame into the shared state and tell
+ * subscribers; stops itself once the pointer is still
+ * @param {number} now - Frame timestamp
  */
-function initWaveVisualization() {
-  const canvas = document.getElementById("wave");
-  if (!canvas || !(canvas instanceof HTMLCanvasElement)) return;
+function samplePointer(now) {
+  const { state, raw } = pointerInput;
+  const elapsed = pointerInput.lastSample
+    ? Math.max(1, now - pointerInput.lastSample)
+    : 16;
+  pointerInput.lastSample = now;
+
+  if (raw.x !== null && state.x !== null) {
+    // Smooth out jitter between uneven event rates
+    state.vx = state.vx * 0.5 + ((raw.x - state.x) / elapsed) * 1000 * 0.5;
+    state.vy = state.vy * 0.5 + ((raw.y - state.y) / elapsed) * 1000 * 0.5;
+  } else {
+    state.vx = 0;
+    state.vy = 0;
+  }
+  state.x = raw.x;
+  state.y = raw.y;
+  state.type = raw.type;
+  state.pressed = raw.pressed;
+  state.target =
+    raw.type === "touch" && raw.x !== null
+      ? document.elementFromPoint(raw.x, raw.y)
+      : raw.target;
+
+  const moving = Math.hypot(state.vx, state.vy) >= POINTER_REST_SPEED;
+  if (!moving) {
+    state.vx = 0;
+    state.vy = 0;
+  }
+  if (pointerInput.dirty || moving) {
+    pointerInput.listeners.forEach((listener) => listener(state));
+  }
+  pointerInput.dirty = false;
 
-  const ctx = canvas.getContext("2d");
-  if (!ctx) return;
+  if (!moving) {
+    cancelScheduled(pointerInput.loop);
+    pointerInput.loop = null;
+    pointerInput.lastSample = 0;
+  }
+}
 
-  const container = canvas.parentElement;
-  if (!container) return;
+/**
+ * Record a change for the next frame, starting the sampler if it idled
+ * @param {Partial<typeof pointerInput.raw>} changes - Raw fields that changed
+ */
+function queuePointer(changes) {
+  Object.assign(pointerInput.raw, changes);
+  pointerInput.dirty = true;
+  if (pointerInput.loop === null) {
+    pointerInput.loop = registerFrameLoop(samplePointer, "input");
+  }
+}
 
-  const controller = createAbortController();
-  let mouse = { x: null, y: null };
-  let targetMouse = { x: null, y: null };
-  let animationId = null;
+/**
+ * Start tracking the mouse, pens and touches for every interactive effect
+ */
+function initPointerInput() {
+  const controller = createAbortController("input");
+  const { signal } = controller;
+  const clear = { x: null, y: null, type: null, pressed: false, target: null };
 
-  function resize() {
-    const rect = container.getBoundingClientRect();
-    canvas.width = rect.width * window.devicePixelRatio;
-    canvas.height = rect.height * window.devicePixelRatio;
-    ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
-  }
+  /**
+   * @param {PointerEvent} e - Any pointer event
+   * @returns {'mouse' | 'pen' | 'touch'} Its pointer type
+   */
+  const getType = (e) =>
+    e.pointerType === "pen" || e.pointerType === "touch"
+      ? e.pointerType
+      : "mouse";
 
-  resize();
-  window.addEventListener("resize", resize, { signal: controller.signal });
+  /**
+   * @param {PointerEvent} e - Move or down event
+   */
+  const track = (e) => {
+    if (!e.isPrimary) return;
+    queuePointer({
+      x: e.clientX,
+      y: e.clientY,
+      type: getType(e),
+      pressed: e.buttons > 0,
+      target: e.target instanceof Element ? e.target : null,
+    });
+  };
 
-  container.addEventListener(
-    "mousemove",
+  window.addEventListener("pointermove", track, { passive: true, signal });
+  window.addEventListener("pointerdown", track, { passive: true, signal });
+  window.addEventListener(
+    "pointerup",
     (e) => {
-      const rect = container.getBoundingClientRect();
-      targetMouse.x = e.clientX - rect.left;
-      targetMouse.y = e.clientY - rect.top;
+      if (!e.isPrimary) return;
+      // Fingers leave with the touch; mice and pens stay where they are
+      queuePointer(getType(e) === "touch" ? clear : { pressed: false });
     },
-    { signal: controller.signal },
+    { passive: true, signal },
   );
 
-  container.addEventListener(
-    "mouseleave",
-    () => {
-      targetMouse.x = null;
-      targetMouse.y = null;
+  // The browser cancels a touch pointer once it takes the gesture for
+  // scrolling; touchmove keeps the finger tracked until it lifts
+  window.addEventListener(
+    "pointercancel",
+    (e) => {
+      if (e.isPrimary && getType(e) !== "touch") queuePointer(clear);
     },
-    { signal: controller.signal },
+    { passive: true, signal },
+  );
+  window.addEventListener(
+    "touchmove",
+    (e) => {
+      const touch = e.touches[0];
+      if (!touch) return;
+      queuePointer({
+        x: touch.clientX,
+        y: touch.clientY,
+        type: "touch",
+        pressed: true,
+      });
+    },
+    { passive: true, signal },
+  );
+  window.addEventListener(
+    "touchend",
+    (e) => {
+      if (!e.touches.length) queuePointer(clear);
+    },
+    { passive: true, signal },
   );
 
-  let time = 0;
-  let isVisible = false;
-  let animationStarted = false;
-
-  function draw() {
-    const w = canvas.width / window.devicePixelRatio;
-    const h = canvas.height / window.devicePixelRatio;
-
-    ctx.clearRect(0, 0, w, h);
-
-    if (targetMouse.x !== null) {
-      mouse.x =
-        mouse.x === null
-          ? targetMouse.x
-          : mouse.x + (targetMouse.x - mouse.x) * 0.1;
-      mouse.y =
-        mouse.y === null
-          ? targetMouse.y
-          : mouse.y + (targetMouse.y - mouse.y) * 0.1;
-    } else {
-      mouse.x = null;
-      mouse.y = null;
-    }
-
-    for (let layer = 0; layer < 3; layer++) {
-      ctx.beginPath();
-
-      const baseAmplitude = 20 + layer * 10;
-      const frequency = 0.02 - layer * 0.005;
-      const speed = 0.03 + layer * 0.01;
-      const alpha = 0.3 - layer * 0.08;
-
-      for (let x = 0; x <= w; x += 2) {
-        let amplitude = baseAmplitude;
-        if (mouse.x !== null) {
-          const distFromMouse = Math.abs(x - mouse.x);
-          const influenceRadius = 150;
-          if (distFromMouse < influenceRadius) {
-            const influence = 1 - distFromMouse / influenceRadius;
-            amplitude += influence * 25;
-          }
-        }
-
-        const y =
-          h / 2 +
-          Math.sin(x * frequency + time * speed) * amplitude +
-          Math.sin(x * frequency * 2 + time * speed * 1.5) * amplitude * 0.5;
-
-        if (x === 0) {
-          ctx.moveTo(x, y);
-        } else {
-          ctx.lineTo(x, y);
-        }
-      }
-
-      ctx.strokeStyle = `rgba(${themeCache.waveColor}, ${alpha})`;
-      ctx.lineWidth = 2;
-      ctx.stroke();
-    }
-
-    time += 1;
-    animationId = requestAnimationFrame(draw);
-  }
-
-  // Don't start animation until section is visible
-  ScrollTrigger.create({
-    trigger: ".section--philosophy",
-    start: "top 80%",
-    onEnter: () => {
-      isVisible = true;
-      if (!animationStarted) {
-        animationStarted = true;
-        draw();
+  // Leaving the window, or a pen lifting out of range
+  document.addEventListener(
+    "pointerout",
+    (e) => {
+      if (e.isPrimary && !e.relatedTarget && getType(e) !== "touch") {
+        queuePointer(clear);
       }
     },
-    once: true,
+    { passive: true, signal },
+  );
+
+  /**
+   * Drop cached rects after layout moves
+   */
+  const invalidate = () => {
+    pointerInput.layoutVersion++;
+  };
+  window.addEventListener("scroll", invalidate, {
+    capture: true,
+    passive: true,
+    signal,
   });
+  window.addEventListener("resize", invalidate, { passive: true, signal });
 
-  // Cleanup on abort
-  controller.signal.addEventListener("abort", () => {
-    if (animationId) cancelAnimationFrame(animationId);
+  signal.addEventListener("abort", () => {
+    if (pointerInput.loop !== null) cancelScheduled(pointerInput.loop);
+    pointerInput.loop = null;
+    Object.assign(pointerInput.raw, clear);
+    Object.assign(pointerInput.state, clear, { vx: 0, vy: 0 });
   });
 }
 
 // ================================
-// Void Canvas - Particle System
+// Kinetic Typography - Combined Effects
 // ================================
 
 /**
- * Initialize the void canvas particle animation
+ * Initialize kinetic typography with scramble, hover, and gradient effects
  */
-function initVoidCanvas() {
-  const canvas = document.getElementById("void");
-  if (!canvas || !(canvas instanceof HTMLCanvasElement)) return;
-
-  const ctx = canvas.getContext("2d");
-  if (!ctx) return;
-
-  const controller = createAbortController();
-  let width = 0;
-  let height = 0;
-  let particleLayers = [[], [], []];
-  let mouse = { x: null, y: null };
-  let time = 0;
-  let animationId = null;
-
-  const colors = [
-    { r: 0, g: 255, b: 157 },
-    { r: 0, g: 212, b: 255 },
-    { r: 120, g: 100, b: 255 },
-  ];
-
-  /**
-   * Shift color based on offset for smooth transitions
-   * @param {{r: number, g: number, b: number}} color - Base color
-   * @param {number} offset - Offset value for shifting
-   * @returns {{r: number, g: number, b: number}} Shifted color
-   */
-  function shiftColor(color, offset) {
-    const shift = Math.sin(offset) * 0.5 + 0.5;
-    const colorIndex = colors.indexOf(color);
-    const nextColor = colors[(colorIndex + 1) % colors.length];
-    return {
-      r: Math.round(color.r + (nextColor.r - color.r) * shift * 0.3),
-      g: Math.round(color.g + (nextColor.g - color.g) * shift * 0.3),
-      b: Math.round(color.b + (nextColor.b - color.b) * shift * 0.3),
-    };
-  }
+function initKineticTypography() {
+  const words = document.querySelectorAll(".word");
+  if (!words.length) return;
 
-  function resize() {
-    width = canvas.width = window.innerWidth;
-    height = canvas.height = window.innerHeight;
-    initParticles();
-  }
-
-  class Particle {
-    constructor(layer = 0) {
-      this.layer = layer;
-      this.x = 0;
-      this.y = 0;
-      this.baseSize = 0;
-      this.size = 0;
-      this.vx = 0;
-      this.vy = 0;
-      this.baseAlpha = 0;
-      this.alpha = 0;
-      this.colorIndex = 0;
-      this.pulseOffset = 0;
-      this.pulseSpeed = 0;
-      // Pre-computed color strings to avoid string creation in draw loop
-      this.fillColor = "";
-      this.glowColor = "";
-      this.reset();
-    }
-
-    reset() {
-      this.x = Math.random() * width;
-      this.y = Math.random() * height;
-      const layerFactor = 1 - this.layer * 0.3;
-      this.baseSize = (Math.random() * 1.5 + 0.5) * layerFactor;
-      this.size = this.baseSize;
-      this.vx = (Math.random() - 0.5) * 0.2 * layerFactor;
-      this.vy = (Math.random() - 0.5) * 0.2 * layerFactor;
-      this.baseAlpha = (Math.random() * 0.3 + 0.1) * layerFactor;
-      this.alpha = this.baseAlpha;
-      this.colorIndex = Math.floor(Math.random() * colors.length);
-      this.pulseOffset = Math.random() * Math.PI * 2;
-      this.pulseSpeed = 0.02 + Math.random() * 0.02;
-    }
-
-    update() {
-      const pulse = Math.sin(time * this.pulseSpeed + this.pulseOffset);
-      this.size = this.baseSize * (1 + pulse * 0.3);
-      this.alpha = this.baseAlpha * (1 + pulse * 0.2);
-
-      this.x += this.vx;
-      this.y += this.vy;
-
-      if (mouse.x !== null && mouse.y !== null) {
-        const dx = mouse.x - this.x;
-        const dy = mouse.y - this.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const repelRadius = 120 * (1 - this.layer * 0.2);
-        if (dist < repelRadius && dist > 0) {
-          const force = (repelRadius - dist) / repelRadius;
-          const layerForce = 0.015 * (1 - this.layer * 0.3);
-          this.vx -= (dx / dist) * force * layerForce;
-          this.vy -= (dy / dist) * force * layerForce;
-        }
-      }
+  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*";
+  const controller = createAbortController("typography");
 
-      this.vx *= 0.99;
-      this.vy *= 0.99;
+  words.forEach((word, wordIndex) => {
+    const text = word.textContent || "";
+    const originalChars = text.split("");
+    word.textContent = "";
 
-      if (this.x < 0) this.x = width;
-      if (this.x > width) this.x = 0;
-      if (this.y < 0) this.y = height;
-      if (this.y > height) this.y = 0;
+    originalChars.forEach((char) => {
+      const span = document.createElement("span");
+      span.className = "letter";
+      span.dataset.original = char;
+      span.textContent = char;
+      word.appendChild(span);
+    });
 
-      // Pre-compute color strings once per update instead of twice per draw
-      const color = colors[this.colorIndex];
-      const shifted = shiftColor(color, time * 0.001 + this.x * 0.001);
-      this.fillColor = `rgba(${shifted.r},${shifted.g},${shifted.b},${this.alpha})`;
-      this.glowColor = `rgba(${shifted.r},${shifted.g},${shifted.b},${this.alpha * 0.3})`;
-    }
+    const letters = word.querySelectorAll(".letter");
 
-    draw() {
-      ctx.beginPath();
-      ctx.arc(this.x, this.y, this.size * 2, 0, Math.PI * 2);
-      ctx.fillStyle = this.fillColor;
-      ctx.fill();
+    // Initial scramble animation
+    const scrambleDelay = wordIndex * 400;
+    registerTimeout(
+      () => {
+        letters.forEach((letter, i) => {
+          letter.classList.add("scrambling");
+          let iterations = 0;
+          const maxIterations = (8 + Math.random() * 6) * getMotionScale();
+          const interval = registerInterval(
+            () => {
+              if (iterations < maxIterations) {
+                letter.textContent =
+                  chars[Math.floor(Math.random() * chars.length)];
+                iterations++;
+                playSound("scramble");
+              } else {
+                letter.textContent = letter.dataset.original || "";
+                letter.classList.remove("scrambling");
+                cancelScheduled(interval);
+              }
+            },
+            40 + i * 10,
+            "typography",
+          );
+        });
+      },
+      300 + scrambleDelay,
+      "typography",
+    );
 
-      // Add glow effect with larger, more transparent circle
-      ctx.beginPath();
-      ctx.arc(this.x, this.y, this.size * 3, 0, Math.PI * 2);
-      ctx.fillStyle = this.glowColor;
-      ctx.fill();
-    }
-  }
+    // Letter hover and word 3D tilt, for any pointer over the word
+    let hovering = false;
+    let activeLetter = null;
 
-  function initParticles() {
-    particleLayers = [[], [], []];
-    const baseCount = Math.min(80, Math.floor((width * height) / 25000));
-    for (let layer = 0; layer < 3; layer++) {
-      const count = Math.floor(baseCount * (1 - layer * 0.3));
-      for (let i = 0; i < count; i++) {
-        particleLayers[layer].push(new Particle(layer));
+    const unsubscribe = onPointerChange((state) => {
+      const offset = getPointerOffset(word, state);
+      if (!offset || !offset.inside) {
+        if (!hovering) return;
+        hovering = false;
+        activeLetter = null;
+        word.style.transform = "";
+        letters.forEach((letter) => letter.classList.remove("active"));
+        return;
       }
-    }
-  }
 
-  /**
-   * Draw connections between nearby particles in the front layer
-   * Optimized: Only check particles within grid cells
-   */
-  function drawConnections() {
-    const front = particleLayers[0];
-    const connectionDistance = 100;
-    const connectionDistSq = connectionDistance * connectionDistance;
-
-    // Simple optimization: limit checks for smaller particle counts
-    const len = front.length;
-    for (let i = 0; i < len; i++) {
-      const p1 = front[i];
-      // Only check particles that come after to avoid duplicate lines
-      for (let j = i + 1; j < len; j++) {
-        const p2 = front[j];
-        const dx = p1.x - p2.x;
-        const dy = p1.y - p2.y;
-        const distSq = dx * dx + dy * dy;
-
-        if (distSq < connectionDistSq) {
-          const dist = Math.sqrt(distSq);
-          ctx.beginPath();
-          ctx.strokeStyle = `rgba(0, 255, 157, ${(1 - dist / connectionDistance) * 0.1})`;
-          ctx.lineWidth = 0.5;
-          ctx.moveTo(p1.x, p1.y);
-          ctx.lineTo(p2.x, p2.y);
-          ctx.stroke();
-        }
-      }
-    }
-  }
+      hovering = true;
+      const x = offset.x / offset.width - 0.5;
+      const y = offset.y / offset.height - 0.5;
+      word.style.transform = `perspective(500px) rotateY(${x * 8}deg) rotateX(${-y * 8}deg)`;
+
+      const letter =
+        state.target instanceof Element
+          ? state.target.closest(".letter")
+          : null;
+      if (letter === activeLetter) return;
+      activeLetter = letter;
+      if (!letter || !word.contains(letter)) return;
+      letter.classList.add("active");
+      registerTimeout(
+        () => {
+          letter.classList.remove("active");
+        },
+        400,
+        "typography",
+      );
+    });
+    controller.signal.addEventListener("abort", unsubscribe);
 
-  function animate() {
-    // Use cached theme value instead of getComputedStyle every frame
-    ctx.fillStyle = themeCache.canvasFade;
-    ctx.fillRect(0, 0, width, height);
+    // Gradient flow effect
+    function triggerGradientFlow() {
+      if (!getMotionScale()) return;
+      letters.forEach((letter, i) => {
+        registerTimeout(
+          () => {
+            letter.classList.add("gradient-flow");
+            registerTimeout(
+              () => letter.classList.remove("gradient-flow"),
+              600,
+              "typography",
+            );
+          },
+          i * 80,
+          "typography",
+        );
+      });
+    }
 
-    time++;
+    registerTimeout(
+      () => {
+        triggerGradientFlow();
+        registerInterval(
+          triggerGradientFlow,
+          5000 + wordIndex * 1000,
+          "typography",
+        );
+      },
+      2000 + wordIndex * 500,
+      "typography",
+    );
 
-    // Draw back to front
-    for (let layer = 2; layer >= 0; layer--) {
-      for (const p of particleLayers[layer]) {
-        p.update();
-        p.draw();
+    // Random glitch effect
+    function triggerRandomGlitch() {
+      const randomLetter = letters[Math.floor(Math.random() * letters.length)];
+      if (randomLetter) {
+        randomLetter.classList.add("glitch");
+        registerTimeout(
+          () => randomLetter.classList.remove("glitch"),
+          150,
+          "typography",
+        );
       }
     }
 
-    drawConnections();
-    animationId = requestAnimationFrame(animate);
-  }
-
-  // Event listeners with cleanup
-  window.addEventListener(
-    "mousemove",
-    (e) => {
-      mouse.x = e.clientX;
-      mouse.y = e.clientY;
-    },
-    { signal: controller.signal },
-  );
-
-  window.addEventListener(
-    "mouseleave",
-    () => {
-      mouse.x = null;
-      mouse.y = null;
-    },
-    { signal: controller.signal },
-  );
+    registerInterval(
+      () => {
+        if (Math.random() < 0.3 * getMotionScale()) {
+          triggerRandomGlitch();
+        }
+      },
+      3000,
+      "typography",
+    );
+  });
+}
 
-  window.addEventListener(
-    "touchmove",
-    (e) => {
-      if (e.touches.length > 0) {
-        mouse.x = e.touches[0].clientX;
-        mouse.y = e.touches[0].clientY;
-      }
-    },
-    { passive: true, signal: controller.signal },
-  );
+// ================================
+// Button Spotlight Effect
+// ================================
 
-  window.addEventListener(
-    "touchend",
-    () => {
-      mouse.x = null;
-      mouse.y = null;
-    },
-    { passive: true, signal: controller.signal },
-  );
+/**
+ * Initialize button spotlight effect that follows the pointer
+ */
+function initButtonSpotlight() {
+  const buttons = document.querySelectorAll(".sesame-btn, .link-work");
+  if (!buttons.length) return;
 
-  window.addEventListener("resize", resize, { signal: controller.signal });
+  const controller = createAbortController();
 
-  // Cleanup on abort
-  controller.signal.addEventListener("abort", () => {
-    if (animationId) cancelAnimationFrame(animationId);
+  const unsubscribe = onPointerChange((state) => {
+    buttons.forEach((btn) => {
+      const offset = getPointerOffset(btn, state);
+      if (!offset || !offset.inside) return;
+      const x = (offset.x / offset.width) * 100;
+      const y = (offset.y / offset.height) * 100;
+      btn.style.setProperty("--mouse-x", `${x}%`);
+      btn.style.setProperty("--mouse-y", `${y}%`);
+    });
   });
-
-  resize();
-  animate();
+  controller.signal.addEventListener("abort", unsubscribe);
 }
 
 // ================================
-// Scroll Animations
+// Visitor Status Detection
 // ================================
 
 /**
- * Initialize GSAP scroll-triggered animations
+ * Initialize visitor status in terminal status bar
+ * Shows platform and time-based info in compact format
  */
-function initScrollAnimations() {
-  // Philosophy section
-  ScrollTrigger.create({
-    trigger: ".section--philosophy",
-    start: "top 60%",
-    onEnter: () => {
-      // Depth layers animate in
-      gsap.to(".layer-1", {
-        opacity: 0.1,
-        scale: 1,
-        duration: 0.8,
-        ease: "power2.out",
-      });
-      gsap.to(".layer-2", {
-        opacity: 0.2,
-        scale: 1,
-        duration: 0.8,
-        delay: 0.15,
-        ease: "power2.out",
-      });
-      gsap.to(".layer-3", {
-        opacity: 0.4,
-        scale: 1,
-        duration: 0.8,
-        delay: 0.3,
-        ease: "power2.out",
+function initVisitorStatus() {
+  const visitorEl = document.getElementById("status-visitor");
+  if (!visitorEl) return;
+
+  visitorEl.textContent = getVisitorTag();
+}
+
+/**
+ * Build the compact visitor tag shown in the status bar and by `whoami`
+ * @returns {string} Platform or remembered era and time of day, e.g. "mac@am" or "linux-era@pm"
+ */
+function getVisitorTag() {
+  const platform = navigator.platform || "";
+  const hour = new Date().getHours();
+
+  // Combine platform + time into single short quip
+  // Format: "mac@3am" style - compact and terminal-like
+  let os = "???";
+  if (/Mac|iPhone|iPad|iPod/.test(platform)) {
+    os = "mac";
+  } else if (/Win/.test(platform)) {
+    os = "win";
+  } else if (/Linux/.test(platform)) {
+    os = "nix";
+  } else if (/Android/.test(navigator.userAgent)) {
+    os = "droid";
+  }
+
+  // Time as short label
+  let time = "";
+  if (hour >= 0 && hour < 5) {
+    time = "late";
+  } else if (hour >= 5 && hour < 8) {
+    time = "early";
+  } else if (hour >= 8 && hour < 12) {
+    time = "am";
+  } else if (hour >= 12 && hour < 17) {
+    time = "pm";
+  } else if (hour >= 17 && hour < 21) {
+    time = "eve";
+  } else {
+    time = "night";
+  }
+
+  // Visitors who passed the sesame gate are tagged with their era instead
+  const era = getVisitorEra();
+  if (era) return `${era.id}-era@${time}`;
+
+  return `${os}@${time}`;
+}
+
+// ================================
+// Lenis Smooth Scroll
+// ================================
+
+/**
+ * Initialize Lenis smooth scrolling library
+ * Smoothing shortens with reduced motion and is left out entirely when off
+ */
+function initLenis() {
+  const scale = getMotionScale();
+  if (!scale) return;
+
+  try {
+    lenis = new Lenis({
+      duration: 1.2 * scale,
+      easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
+      smoothWheel: true,
+      touchMultiplier: 2,
+      infinite: false,
+    });
+
+    lenis.on("scroll", ScrollTrigger.update);
+
+    /**
+     * @param {number} time - GSAP ticker time in seconds
+     */
+    const raf = (time) => {
+      if (lenis) lenis.raf(time * 1000);
+    };
+    registerTask("scroll", {
+      start: () => gsap.ticker.add(raf),
+      stop: () => gsap.ticker.remove(raf),
+    });
+    gsap.ticker.lagSmoothing(0);
+
+    const instance = lenis;
+    createAbortController("scroll").signal.addEventListener("abort", () => {
+      instance.destroy();
+      if (lenis === instance) lenis = null;
+    });
+  } catch (e) {
+    console.warn("Lenis initialization failed:", e);
+  }
+}
+
+// ================================
+// Age Calculator with Jokes
+// ================================
+
+/**
+ * Compute age figures from BIRTHDAY
+ * Shared by the hero, the status bar, the console API and the terminal shell
+ * @param {Date} [now] - Reference time
+ * @returns {{years: number, days: number, hours: number, totalDays: number, daysThisYear: number}}
+ */
+function getAgeStats(now = new Date()) {
+  let years = now.getFullYear() - BIRTHDAY.getFullYear();
+  const monthDiff = now.getMonth() - BIRTHDAY.getMonth();
+  if (
+    monthDiff < 0 ||
+    (monthDiff === 0 && now.getDate() < BIRTHDAY.getDate())
+  ) {
+    years--;
+  }
+
+  const msPerHour = 60 * 60 * 1000;
+  const msPerDay = 24 * msPerHour;
+  const lastBirthday = new Date(BIRTHDAY);
+  lastBirthday.setFullYear(BIRTHDAY.getFullYear() + years);
+  const sinceBirthday = now.getTime() - lastBirthday.getTime();
+
+  return {
+    years,
+    days: Math.floor(sinceBirthday / msPerDay),
+    hours: Math.floor((sinceBirthday % msPerDay) / msPerHour),
+    totalDays: Math.floor((now.getTime() - BIRTHDAY.getTime()) / msPerDay),
+    daysThisYear: Math.floor(
+      (now.getTime() - new Date(now.getFullYear(), 0, 1).getTime()) / msPerDay,
+    ),
+  };
+}
+
+/**
+ * Format age figures as the status bar uptime
+ * @param {{years: number, daysThisYear: number}} stats - From getAgeStats
+ * @returns {string} e.g. "44y 291d"
+ */
+function formatUptime(stats) {
+  return `${stats.years}y ${stats.daysThisYear}d`;
+}
+
+/**
+ * Calculate and display age with humorous commentary
+ */
+function calculateAge() {
+  const yearsEl = document.getElementById("years");
+  const jokeEl = document.getElementById("age-joke");
+  const uptimeEl = document.getElementById("status-uptime");
+
+  const stats = getAgeStats();
+  const { years, totalDays } = stats;
+
+  if (yearsEl) {
+    yearsEl.textContent = String(years);
+  }
+
+  // Update terminal status bar uptime
+  if (uptimeEl) {
+    uptimeEl.textContent = formatUptime(stats);
+  }
+
+  if (jokeEl) {
+    const jokes = [
+      `That's ${totalDays.toLocaleString()} days of "it works on my machine."`,
+      `Or ${Math.floor(totalDays / 7).toLocaleString()} weeks of forgetting semicolons.`,
+      `${years} years. Still googling error messages.`,
+      `Old enough to remember floppy disks. Young enough to mass deploy.`,
+      `In hex, that's 0x${years.toString(16).toUpperCase()}. Still debugging.`,
+      `${years} in decimal. ${years.toString(2)} in binary nostalgia.`,
+      `${Math.floor(years * 365.25 * 24).toLocaleString()} hours of screen time. Give or take.`,
+    ];
+
+    // Returning visitors get a line from their own era
+    const era = getVisitorEra();
+    const randomJoke = jokes[Math.floor(Math.random() * jokes.length)];
+    jokeEl.textContent = era
+      ? renderTemplate(era.ageJoke).textContent
+      : randomJoke;
+  }
+}
+
+// ================================
+// Terminal Journey - Visual Code Evolution
+// ================================
+
+/** Default wait before each journey line at 1x, in ms */
+const JOURNEY_LINE_DELAY = 120;
+
+/** Playback speeds offered by the journey controls */
+const JOURNEY_SPEEDS = [0.5, 1, 2, 4];
+
+/** Scroll distance per line while the journey is pinned */
+const JOURNEY_SCROLL_PER_LINE = 32;
+
+/**
+ * Journey script line keywords and the line type each one renders as
+ * @type {Record<string, string>}
+ */
+const JOURNEY_LINE_TYPES = {
+  cmd: "cmd",
+  output: "output",
+  comment: "comment",
+  code: "code",
+  highlight: "output highlight",
+};
+
+/**
+ * Colours accepted by @accent and the CSS variable behind each
+ * @type {Record<string, string>}
+ */
+const JOURNEY_ACCENTS = {
+  accent: "--accent",
+  rust: "--rust",
+  dim: "--dim",
+  keyword: "--syntax-keyword",
+  string: "--syntax-string",
+  number: "--syntax-number",
+  register: "--syntax-register",
+};
+
+/**
+ * One line of the journey transcript
+ * @typedef {Object} JourneyLine
+ * @property {string} type - cmd, output, comment, code, output highlight or empty
+ * @property {string} [text] - Line text
+ * @property {string} [lang] - Key of SYNTAX_RULES
+ * @property {string} [accent] - Key of JOURNEY_ACCENTS
+ * @property {number} delay - Wait before the line appears at 1x, in ms
+ */
+
+/**
+ * The parsed journey script shared by playback and export
+ */
+const journey = {
+  /** @type {JourneyLine[]} */
+  lines: [],
+  /** @type {Array<{index: number, id: string, label: string}>} */
+  chapters: [],
+};
+
+/**
+ * Parse the plain-text journey script
+ * Problems are collected with their line numbers instead of thrown, so a
+ * typo drops one line rather than the whole story
+ * @param {string} source - Script text
+ * @returns {{lines: JourneyLine[], chapters: Array<{index: number, id: string, label: string}>, errors: Array<{line: number, message: string}>}} Parse result
+ */
+function parseJourneyScript(source) {
+  const lines = [];
+  const chapters = [];
+  const errors = [];
+  let lang;
+  let accent;
+  let speed = JOURNEY_LINE_DELAY;
+  let pause = 0;
+
+  /**
+   * @param {string} value - Directive argument
+   * @returns {number} Milliseconds, NaN when invalid
+   */
+  const parseMs = (value) =>
+    /^\d+(\.\d+)?$/.test(value) ? Number(value) : NaN;
+
+  /**
+   * @param {Omit<JourneyLine, 'delay'>} line - Line without timing
+   */
+  const push = (line) => {
+    // Blank lines only separate entries until the story has started
+    if (line.type === "empty" && !lines.length) return;
+    lines.push({ ...line, delay: speed + pause });
+    pause = 0;
+  };
+
+  source.split(/\r?\n/).forEach((raw, i) => {
+    const lineNumber = i + 1;
+    const fail = (message) => errors.push({ line: lineNumber, message });
+    const text = raw.trim();
+
+    if (!text) {
+      push({ type: "empty" });
+      return;
+    }
+    if (text.startsWith("##")) return;
+
+    if (text.startsWith("@")) {
+      const [directive, ...args] = text.slice(1).split(/\s+/);
+      const [value] = args;
+
+      if (directive === "era") {
+        if (!value || !/^[a-z0-9-]+$/.test(value)) {
+          fail("@era needs an id made of a-z, 0-9 and -");
+          return;
+        }
+        chapters.push({
+          index: lines.length,
+          id: value,
+          label: args.slice(1).join(" ") || value,
+        });
+        lang = undefined;
+        accent = undefined;
+        speed = JOURNEY_LINE_DELAY;
+      } else if (directive === "lang") {
+        if (value !== "none" && !SYNTAX_RULES[value]) {
+          fail(
+            `unknown language "${value || ""}" (expected ${Object.keys(SYNTAX_RULES).join(", ")} or none)`,
+          );
+          return;
+        }
+        lang = value === "none" ? undefined : value;
+      } else if (directive === "speed") {
+        const ms = value === "default" ? JOURNEY_LINE_DELAY : parseMs(value);
+        if (Number.isNaN(ms)) {
+          fail("@speed needs a delay in ms or default");
+          return;
+        }
+        speed = ms;
+      } else if (directive === "pause") {
+        const ms = parseMs(value);
+        if (Number.isNaN(ms)) {
+          fail("@pause needs a duration in ms");
+          return;
+        }
+        pause += ms;
+      } else if (directive === "accent") {
+        if (value !== "none" && !JOURNEY_ACCENTS[value]) {
+          fail(
+            `unknown accent "${value || ""}" (expected ${Object.keys(JOURNEY_ACCENTS).join(", ")} or none)`,
+          );
+          return;
+        }
+        accent = value === "none" ? undefined : value;
+      } else {
+        fail(`unknown directive "@${directive}"`);
+      }
+      return;
+    }
+
+    const match = /^([a-z]+):\s?(.*)$/.exec(raw.trimStart());
+    if (!match) {
+      fail('expected "type: text", a directive or a blank line');
+      return;
+    }
+    const type = JOURNEY_LINE_TYPES[match[1]];
+    if (!type) {
+      fail(
+        `unknown line type "${match[1]}" (expected ${Object.keys(JOURNEY_LINE_TYPES).join(", ")})`,
+      );
+      return;
+    }
+
+    const line = { type, text: match[2] };
+    if (lang) line.lang = lang;
+    if (accent) line.accent = accent;
+    push(line);
+  });
+
+  while (lines.length && lines[lines.length - 1].type === "empty") {
+    lines.pop();
+  }
+
+  return {
+    lines,
+    chapters: chapters.filter((chapter) => chapter.index < lines.length),
+    errors,
+  };
+}
+
+/**
+ * Fetch a journey script kept in its own file
+ * @param {string} src - Script URL
+ * @returns {Promise<string>} Script text
+ */
+async function fetchJourneyScript(src) {
+  const response = await fetch(src);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
+
+/**
+ * Parse a journey script into the shared journey state
+ * @param {string} source - Script text
+ * @returns {Array<{line: number, message: string}>} Syntax errors, by line in the script
+ */
+function loadJourney(source) {
+  const result = parseJourneyScript(source);
+  journey.lines = result.lines;
+  journey.chapters = result.chapters;
+  return result.errors;
+}
+
+/**
+ * Report journey syntax errors in the console
+ * @param {string} name - Script name used in error reports
+ * @param {Array<{line: number, message: string}>} errors - Syntax errors
+ */
+function reportJourneyErrors(name, errors) {
+  errors.forEach((error) => {
+    console.warn(`${name}:${error.line}: ${error.message}`);
+  });
+}
+
+/**
+ * Initialize the terminal journey animation showing code evolution
+ */
+function initTerminalJourney() {
+  const terminal = document.getElementById("terminal");
+  const script = document.querySelector('script[type="text/x-journey"]');
+  if (!terminal || !script) return;
+
+  const name = `#${script.id || "journey"}`;
+  const inline = script.textContent || "";
+  const src = script.getAttribute("src");
+
+  if (!src) {
+    reportJourneyErrors(name, loadJourney(inline));
+    renderTerminalJourney(terminal);
+    return;
+  }
+
+  // Browsers never load unknown script types themselves, so fetch the file;
+  // only loading falls back to the inline copy, so the journey renders once
+  fetchJourneyScript(src)
+    .then((source) => reportJourneyErrors(src, loadJourney(source)))
+    .catch((e) => {
+      console.warn(`Journey script ${src} could not be loaded:`, e);
+      reportJourneyErrors(name, loadJourney(inline));
+    })
+    .then(() => {
+      renderTerminalJourney(terminal);
+      ScrollTrigger.refresh();
+    });
+}
+
+/**
+ * Render the parsed journey into the terminal and start playback
+ * @param {HTMLElement} terminal - The terminal body element
+ */
+function renderTerminalJourney(terminal) {
+  const controller = createAbortController();
+
+  terminal.textContent = "";
+
+  // The opening BASIC lines are a real program: click them to run it
+  const isBasicLine = (line) =>
+    line.type === "cmd" && /^\d+\s/.test(line.text || "");
+  const basicSource = journey.lines
+    .filter(isBasicLine)
+    .map((line) => line.text)
+    .join("\n");
+  loadBasicProgram(basicSource);
+  const journeyProgram = parseBasicProgram(basicSource);
+
+  // Runs alongside whatever the visitor has typed in, leaving it be
+  function runJourneyProgram() {
+    initTerminalShell(terminal).runBasic(journeyProgram);
+  }
+
+  /** @type {HTMLElement[]} */
+  const lineEls = [];
+
+  journey.lines.forEach((line) => {
+    const div = document.createElement("div");
+    div.className = "terminal-line";
+
+    if (line.type === "empty") {
+      div.innerHTML = "&nbsp;";
+    } else {
+      const content = line.lang
+        ? highlightCode(line.text, line.lang)
+        : escapeHtml(line.text);
+      if (line.type === "cmd") {
+        div.innerHTML = `<span class="prompt">></span><span class="cmd">${content}</span>`;
+      } else if (line.type === "output") {
+        div.innerHTML = `<span class="output">${content}</span>`;
+      } else if (line.type === "output highlight") {
+        div.innerHTML = `<span class="output highlight">${content}</span>`;
+      } else if (line.type === "comment") {
+        div.innerHTML = `<span class="comment">${content}</span>`;
+      } else if (line.type === "code") {
+        div.innerHTML = `<span class="cmd">${content}</span>`;
+      }
+    }
+
+    if (line.accent) {
+      div.dataset.accent = line.accent;
+      div.style.setProperty(
+        "--line-accent",
+        `var(${JOURNEY_ACCENTS[line.accent]})`,
+      );
+    }
+
+    if (isBasicLine(line)) {
+      div.classList.add("terminal-line--basic");
+      div.tabIndex = 0;
+      div.setAttribute("role", "button");
+      div.title = "Run this program";
+      div.addEventListener("click", runJourneyProgram, {
+        signal: controller.signal,
+      });
+      div.addEventListener(
+        "keydown",
+        (e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            // Running the program is all Space does here; playback stays put
+            e.preventDefault();
+            e.stopPropagation();
+            runJourneyProgram();
+          }
+        },
+        { signal: controller.signal },
+      );
+    }
+
+    terminal.appendChild(div);
+    lineEls.push(div);
+  });
+
+  initJourneyPlayback(terminal, lineEls, journey.chapters);
+}
+
+/**
+ * Drive the journey reveal from scroll progress and playback controls
+ * The section is pinned while its lines follow the scroll in both directions;
+ * a playhead clock chases that target along the journey timeline at the
+ * chosen speed and can be paused, replayed or sent to an era. Reduced motion
+ * (or an empty script) shows the transcript at once.
+ * @param {HTMLElement} terminal - The terminal body element
+ * @param {HTMLElement[]} lineEls - Journey line elements in order
+ * @param {Array<{index: number, id: string, label: string}>} chapters - Era markers
+ */
+function initJourneyPlayback(terminal, lineEls, chapters) {
+  const terminalWindow = terminal.closest(".terminal-window");
+  const total = lineEls.length;
+
+  const controls = document.createElement("div");
+  controls.className = "terminal-controls";
+  controls.setAttribute("role", "toolbar");
+  controls.setAttribute("aria-label", "Journey playback");
+
+  if (!total || getMotionLevel() !== "full") {
+    lineEls.forEach((el) => el.classList.add("typed"));
+    if (terminalWindow) terminalWindow.classList.add("visible");
+    appendJourneyExportControls(controls, () => 1);
+    terminal.before(controls);
+    initTerminalShell(terminal);
+    return;
+  }
+
+  const controller = createAbortController("journey");
+  const times = getJourneyTimeline();
+  const duration = total ? times[total - 1] : 0;
+  let clock = 0;
+  let target = 0;
+  let speedIndex = JOURNEY_SPEEDS.indexOf(1);
+  let paused = false;
+  let rendered = 0;
+  let loop = null;
+  let lastTime = 0;
+
+  // --- Controls ---
+
+  /**
+   * @param {string} label - Visible text
+   * @param {string} shortcuts - Value for aria-keyshortcuts
+   * @returns {HTMLButtonElement} The control
+   */
+  function createControl(label, shortcuts) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "terminal-control";
+    btn.textContent = label;
+    btn.setAttribute("aria-keyshortcuts", shortcuts);
+    controls.appendChild(btn);
+    return btn;
+  }
+
+  const pauseBtn = createControl("❚❚ pause", "K Space");
+  pauseBtn.setAttribute("aria-pressed", "false");
+  const replayBtn = createControl("↺ replay", "R");
+  const speedBtn = createControl("1x", "- +");
+
+  const eraSelect = document.createElement("select");
+  eraSelect.className = "terminal-control";
+  eraSelect.setAttribute("aria-label", "Jump to era");
+  eraSelect.innerHTML = '<option value="">jump to era</option>';
+  chapters.forEach((chapter, i) => {
+    const option = document.createElement("option");
+    option.value = String(i);
+    option.textContent = `${i + 1} ${chapter.label}`;
+    eraSelect.appendChild(option);
+  });
+  controls.appendChild(eraSelect);
+  appendJourneyExportControls(controls, () => JOURNEY_SPEEDS[speedIndex]);
+
+  terminal.before(controls);
+
+  function updateControls() {
+    pauseBtn.textContent = paused ? "▶ play" : "❚❚ pause";
+    pauseBtn.setAttribute("aria-pressed", String(paused));
+    const speed = JOURNEY_SPEEDS[speedIndex];
+    speedBtn.textContent = `${speed}x`;
+    speedBtn.setAttribute("aria-label", `Playback speed ${speed}x`);
+  }
+
+  // --- Playhead ---
+
+  function render() {
+    let count = rendered;
+    while (count < total && times[count] <= clock) count++;
+    while (count > 0 && times[count - 1] > clock) count--;
+    if (count === rendered) return;
+
+    const [from, to] = count > rendered ? [rendered, count] : [count, rendered];
+    for (let i = from; i < to; i++) {
+      lineEls[i].classList.toggle("typed", i < count);
+    }
+    // A key click as each line types in; skip jumps and rewinds
+    if (count > rendered && count - rendered <= 2) {
+      const text = lineEls[count - 1].textContent;
+      playSound(text.includes("NO CARRIER") ? "modem" : "key");
+    }
+    rendered = count;
+
+    // Keep the newest line in view until the shell owns the window
+    const last = lineEls[count - 1];
+    if (last && !terminalShell) {
+      terminal.scrollTop = Math.max(
+        0,
+        last.offsetTop + last.offsetHeight - terminal.clientHeight,
+      );
+    }
+
+    // Hand the window over to the visitor once the story is told
+    if (count === total) initTerminalShell(terminal);
+  }
+
+  /**
+   * @param {number} now - Frame timestamp
+   */
+  function tick(now) {
+    const gap = lastTime ? now - lastTime : 0;
+    lastTime = now;
+
+    // A paused or suspended scheduler leaves a long gap; carry on from here
+    const dt = gap > RENDER_MAX_FRAME_GAP ? 0 : gap / 1000;
+    const step = dt * JOURNEY_SPEEDS[speedIndex];
+    clock =
+      clock < target
+        ? Math.min(target, clock + step)
+        : Math.max(target, clock - step);
+    render();
+
+    if (clock === target || paused) stop();
+  }
+
+  function schedule() {
+    if (loop !== null || paused || clock === target) return;
+    lastTime = 0;
+    loop = registerFrameLoop(tick, "journey");
+  }
+
+  function stop() {
+    if (loop === null) return;
+    cancelScheduled(loop);
+    loop = null;
+  }
+
+  /**
+   * @param {boolean} value - Whether playback is paused
+   */
+  function setPaused(value) {
+    paused = value;
+    if (paused) stop();
+    updateControls();
+    schedule();
+  }
+
+  function replay() {
+    clock = 0;
+    target = duration;
+    render();
+    setPaused(false);
+  }
+
+  /**
+   * @param {number} delta - Steps to move through JOURNEY_SPEEDS
+   */
+  function changeSpeed(delta) {
+    speedIndex = Math.min(
+      JOURNEY_SPEEDS.length - 1,
+      Math.max(0, speedIndex + delta),
+    );
+    updateControls();
+  }
+
+  /**
+   * Play one era from its comment line to the next era
+   * @param {number} i - Chapter index
+   */
+  function jumpToChapter(i) {
+    const chapter = chapters[i];
+    if (!chapter) return;
+    const next = chapters[i + 1];
+    clock = chapter.index ? times[chapter.index - 1] : 0;
+    target = next ? times[next.index - 1] : duration;
+    render();
+    setPaused(false);
+  }
+
+  pauseBtn.addEventListener("click", () => setPaused(!paused), {
+    signal: controller.signal,
+  });
+  replayBtn.addEventListener("click", replay, { signal: controller.signal });
+  speedBtn.addEventListener(
+    "click",
+    () => {
+      speedIndex = (speedIndex + 1) % JOURNEY_SPEEDS.length;
+      updateControls();
+    },
+    { signal: controller.signal },
+  );
+  eraSelect.addEventListener(
+    "change",
+    () => {
+      if (eraSelect.value) jumpToChapter(Number(eraSelect.value));
+      eraSelect.value = "";
+    },
+    { signal: controller.signal },
+  );
+
+  if (terminalWindow) {
+    terminalWindow.addEventListener(
+      "keydown",
+      (e) => {
+        const el = /** @type {HTMLElement} */ (e.target);
+        if (el.closest("input, select, textarea")) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (
+          e.key === "k" ||
+          (e.key === " " && !el.closest('button, [role="button"]'))
+        ) {
+          e.preventDefault();
+          setPaused(!paused);
+        } else if (e.key === "r") {
+          replay();
+        } else if (e.key === "-" || e.key === "_") {
+          changeSpeed(-1);
+        } else if (e.key === "+" || e.key === "=") {
+          changeSpeed(1);
+        } else if (/^[1-9]$/.test(e.key)) {
+          jumpToChapter(Number(e.key) - 1);
+        }
+      },
+      { signal: controller.signal },
+    );
+  }
+
+  // --- Scroll ---
+
+  ScrollTrigger.create({
+    trigger: ".section--journey",
+    start: "top 70%",
+    onEnter: () => {
+      if (terminalWindow) terminalWindow.classList.add("visible");
+    },
+    once: true,
+  });
+
+  const pin = ScrollTrigger.create({
+    trigger: ".section--journey",
+    start: "top top",
+    end: () => `+=${total * JOURNEY_SCROLL_PER_LINE}`,
+    pin: true,
+    onUpdate: (self) => {
+      target = self.progress * duration;
+      schedule();
+    },
+  });
+
+  controller.signal.addEventListener("abort", () => {
+    stop();
+    pin.kill();
+    ScrollTrigger.refresh();
+  });
+
+  // Dropping below full motion tells the rest of the story at once, as if
+  // the page had loaded that way, and hands the window to the shell
+  controller.signal.addEventListener(
+    "abort",
+    onMotionChange((level) => {
+      if (level === "full") return;
+      lineEls.forEach((el) => el.classList.add("typed"));
+      if (terminalWindow) terminalWindow.classList.add("visible");
+      [pauseBtn, replayBtn, speedBtn, eraSelect].forEach((el) => el.remove());
+      controller.abort();
+      initTerminalShell(terminal);
+    }),
+  );
+}
+
+/**
+ * Escape HTML special characters to prevent XSS
+ * @param {string} text - The text to escape
+ * @returns {string} Escaped text safe for innerHTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// ================================
+// Syntax Highlighting
+// ================================
+
+/**
+ * Token rules per journey language, tried in order at each position
+ * Identifiers are consumed whole so keywords never match inside names
+ * @type {Record<string, Array<[string, RegExp]>>}
+ */
+const SYNTAX_RULES = {
+  basic: [
+    ["comment", /REM.*/iy],
+    ["string", /"[^"]*"?/y],
+    [
+      "keyword",
+      /\b(?:PRINT|GOTO|GOSUB|RETURN|IF|THEN|FOR|TO|STEP|NEXT|LET|INPUT|END|STOP|RUN|LIST|NEW|LOAD|AND|OR|NOT)\b/iy,
+    ],
+    ["number", /\d+(?:\.\d+)?/y],
+  ],
+  asm: [
+    ["comment", /;.*/y],
+    ["number", /#\$?[0-9A-F]+|\b\d+\b/iy],
+    ["register", /\$[0-9A-F]+|\b[AXY]\b/iy],
+    [
+      "keyword",
+      /\b(?:LD[AXY]|ST[AXY]|T[AX][XY]|TXS|TSX|JMP|JSR|RTS|RTI|B(?:EQ|NE|CC|CS|MI|PL|VC|VS)|IN[CXY]|DE[CXY]|CMP|CP[XY]|ADC|SBC|AND|ORA|EOR|ASL|LSR|RO[LR]|BIT|PH[AP]|PL[AP]|CL[CDIV]|SE[CDI]|NOP|BRK)\b/iy,
+    ],
+  ],
+  c: [
+    ["comment", /\/\/.*|\/\*.*?(?:\*\/|$)/y],
+    ["string", /"(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\])*'?/y],
+    [
+      "keyword",
+      /\b(?:void|int|char|long|short|unsigned|signed|float|double|struct|union|enum|typedef|static|const|extern|return|if|else|for|while|do|switch|case|default|break|continue|goto|sizeof|NULL)\b/y,
+    ],
+    ["number", /\b(?:0x[0-9a-f]+|\d+(?:\.\d+)?)\b/iy],
+  ],
+  shell: [
+    ["comment", /#.*/y],
+    ["string", /"(?:\\.|[^"\\])*"?|'[^']*'?/y],
+    ["register", /\$(?:\{[^}]*\}|\w+|[?#@*$!])/y],
+    [
+      "keyword",
+      /\b(?:for|in|do|done|if|then|else|elif|fi|while|until|case|esac|function|return|export|local)\b/y,
+    ],
+    ["number", /\b\d+\b/y],
+  ],
+  python: [
+    ["comment", /#.*/y],
+    ["string", /"(?:\\.|[^"\\])*"?|'(?:\\.|[^'\\])*'?/y],
+    [
+      "keyword",
+      /\b(?:import|from|as|def|class|return|if|elif|else|for|while|in|not|and|or|is|None|True|False|with|lambda|yield|try|except|finally|raise|pass)\b/y,
+    ],
+    ["number", /\b\d+(?:\.\d+)?\b/y],
+  ],
+};
+
+/** Fallback that swallows whole identifiers as plain text */
+const SYNTAX_IDENTIFIER = /[A-Za-z_]\w*/y;
+
+/**
+ * Split one line of code into typed tokens
+ * Unmatched text is merged into plain tokens with a null type
+ * @param {string} text - Source line
+ * @param {string} [lang] - Key of SYNTAX_RULES
+ * @returns {Array<{type: string|null, text: string}>} Tokens in order
+ */
+function tokenizeCode(text, lang) {
+  const rules = SYNTAX_RULES[lang];
+  if (!rules) return text ? [{ type: null, text }] : [];
+
+  const tokens = [];
+  let plain = "";
+  let pos = 0;
+
+  while (pos < text.length) {
+    let matched = false;
+
+    for (const [type, regex] of rules) {
+      regex.lastIndex = pos;
+      const match = regex.exec(text);
+      if (match && match[0]) {
+        if (plain) tokens.push({ type: null, text: plain });
+        plain = "";
+        tokens.push({ type, text: match[0] });
+        pos += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+    if (matched) continue;
+
+    SYNTAX_IDENTIFIER.lastIndex = pos;
+    const identifier = SYNTAX_IDENTIFIER.exec(text);
+    const chunk = identifier ? identifier[0] : text[pos];
+    plain += chunk;
+    pos += chunk.length;
+  }
+
+  if (plain) tokens.push({ type: null, text: plain });
+  return tokens;
+}
+
+/**
+ * Highlight one line of code as escaped HTML token spans
+ * Every piece of text goes through escapeHtml, highlighted or not
+ * @param {string} text - Source line
+ * @param {string} lang - Key of SYNTAX_RULES
+ * @returns {string} Safe HTML
+ */
+function highlightCode(text, lang) {
+  return tokenizeCode(text, lang)
+    .map((token) =>
+      token.type
+        ? `<span class="tok-${token.type}">${escapeHtml(token.text)}</span>`
+        : escapeHtml(token.text),
+    )
+    .join("");
+}
+
+// ================================
+// Terminal Shell
+// ================================
+
+/**
+ * CSS classes per output tone in the terminal
+ * @type {Record<string, string>}
+ */
+const TERMINAL_TONES = {
+  heading: "highlight",
+  accent: "highlight",
+  rust: "error",
+  dim: "dim",
+  error: "error",
+};
+
+/** Output lines kept in the terminal before the oldest are dropped */
+const TERMINAL_SCROLLBACK = 500;
+
+/**
+ * The mounted terminal shell, if any
+ * @type {{io: ShellIO, runBasic: (program: Map<number, string>) => boolean} | null}
+ */
+let terminalShell = null;
+
+/**
+ * Attach an interactive prompt to the bottom of the terminal window
+ * Commands come from the same registry as window.nulloxide
+ * @param {HTMLElement} terminal - The terminal body element
+ * @returns {{io: ShellIO, execute: (line: string) => void}} Handle for running commands
+ */
+function initTerminalShell(terminal) {
+  if (terminalShell) return terminalShell;
+
+  const controller = createAbortController();
+  const history = [];
+  let historyIndex = 0;
+  let busy = false;
+  let outputCount = 0;
+  let scrollPending = false;
+  /** @type {AbortController | null} */
+  let running = null;
+  /** @type {((value: string | null) => void) | null} */
+  let pendingRead = null;
+
+  const inputLine = document.createElement("div");
+  inputLine.className = "terminal-line terminal-input-line typed";
+
+  const prompt = document.createElement("span");
+  prompt.className = "prompt";
+  prompt.textContent = ">";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "terminal-input";
+  input.autocomplete = "off";
+  input.spellcheck = false;
+  input.setAttribute("autocapitalize", "off");
+  input.setAttribute("enterkeyhint", "send");
+  input.setAttribute("aria-label", "Terminal command. Type help for a list.");
+
+  inputLine.append(prompt, input);
+  terminal.appendChild(inputLine);
+  terminal.setAttribute("aria-live", "polite");
+  // Output scrolls inside the window; let the wheel reach it past Lenis
+  terminal.setAttribute("data-lenis-prevent", "");
+
+  /** @type {ShellIO} */
+  const io = {
+    kind: "terminal",
+    print(text, tone) {
+      const div = document.createElement("div");
+      div.className = "terminal-line terminal-output typed";
+      const span = document.createElement("span");
+      span.className = TERMINAL_TONES[tone] || "cmd";
+      span.textContent = text || "\u00a0";
+      div.appendChild(span);
+      append(div);
+    },
+    clear() {
+      while (terminal.firstChild !== inputLine) {
+        terminal.firstChild.remove();
+      }
+      outputCount = 0;
+    },
+    read(label) {
+      return new Promise((resolve) => {
+        pendingRead = resolve;
+        prompt.textContent = label;
+        input.readOnly = false;
+        keepPromptInView();
+      });
+    },
+  };
+
+  /**
+   * Insert an output line above the prompt, trimming old scrollback
+   * @param {HTMLElement} div - The line element
+   */
+  function append(div) {
+    terminal.insertBefore(div, inputLine);
+    outputCount++;
+    if (outputCount > TERMINAL_SCROLLBACK) {
+      const oldest = terminal.querySelector(".terminal-output");
+      if (oldest) oldest.remove();
+      outputCount--;
+    }
+    keepPromptInView();
+  }
+
+  /**
+   * Echo the entered command above the prompt
+   * @param {string} text - The command line as typed
+   * @param {string} [promptText] - Prompt shown before it
+   */
+  function echo(text, promptText = ">") {
+    const div = document.createElement("div");
+    div.className = "terminal-line terminal-output typed";
+    div.innerHTML = `<span class="prompt">${escapeHtml(promptText)}</span><span class="cmd">${escapeHtml(text)}</span>`;
+    append(div);
+  }
+
+  // Batched so a chatty program doesn't force a layout per line
+  function keepPromptInView() {
+    if (scrollPending) return;
+    scrollPending = true;
+    requestAnimationFrame(() => {
+      scrollPending = false;
+      terminal.scrollTop = terminal.scrollHeight;
+    });
+  }
+
+  /**
+   * Hand the current input to a command waiting in io.read
+   */
+  function answerRead() {
+    const resolve = pendingRead;
+    if (!resolve) return;
+
+    echo(input.value, prompt.textContent || "");
+    const value = input.value;
+    pendingRead = null;
+    input.value = "";
+    input.readOnly = true;
+    prompt.textContent = ">";
+    resolve(value);
+  }
+
+  /**
+   * Interrupt the running command, like Ctrl+C in a real terminal
+   */
+  function interrupt() {
+    echo(`${input.value}^C`, prompt.textContent || "");
+    input.value = "";
+    if (running) running.abort();
+    if (pendingRead) {
+      const resolve = pendingRead;
+      pendingRead = null;
+      prompt.textContent = ">";
+      resolve(null);
+    }
+  }
+
+  async function submit() {
+    const line = input.value;
+    input.value = "";
+    echo(line);
+
+    // Numbered lines edit the BASIC program, like on the real thing
+    if (/^\s*\d/.test(line)) {
+      history.push(line);
+      historyIndex = history.length;
+      enterBasicLine(line);
+      return;
+    }
+
+    // Cheat words work at the prompt too, rather than "command not found"
+    if (fireCheatWord(line)) {
+      history.push(line);
+      historyIndex = history.length;
+      return;
+    }
+
+    const { words, target } = parseCommandLine(line);
+    const [name, ...args] = words;
+    if (!name) return;
+
+    history.push(line);
+    historyIndex = history.length;
+
+    // Redirected output is checked up front, like a shell opening the file
+    let sink = io;
+    if (target !== null) {
+      const error = target
+        ? writeVfsPath(target)
+        : "syntax error near unexpected token `newline'";
+      if (error) {
+        io.print(`sh: ${target ? `${target}: ` : ""}${error}`, "error");
+        return;
+      }
+      sink = {
+        ...io,
+        print: (text, tone) => {
+          if (tone === "error") io.print(text, tone);
+        },
+        clear: () => {},
+      };
+    }
+
+    await runJob((signal) => runShellCommand(name, args, { ...sink, signal }));
+  }
+
+  /**
+   * Run a command body with the prompt locked until it ends or is interrupted
+   * @param {(signal: AbortSignal) => Promise<void>} job - Work to run
+   * @returns {Promise<void>} Resolves once the prompt is free again
+   */
+  async function runJob(job) {
+    busy = true;
+    running = new AbortController();
+    input.readOnly = true;
+    await job(running.signal);
+    running = null;
+    busy = false;
+    input.readOnly = false;
+    keepPromptInView();
+  }
+
+  /**
+   * Complete the word under the cursor from command names or command hints
+   */
+  function complete() {
+    const value = input.value;
+    const { words, target } = parseCommandLine(value);
+    // Redirect targets are new files; there is nothing to complete
+    if (target !== null) return;
+    const endsWithSpace = /\s$/.test(value);
+    if (!words.length || (words.length === 1 && !endsWithSpace)) {
+      const partial = words[0] || "";
+      applyCompletion(
+        partial,
+        [...shellCommands]
+          .filter(
+            ([name, command]) => !command.hidden && name.startsWith(partial),
+          )
+          .map(([name]) => name),
+      );
+      return;
+    }
+
+    const command = shellCommands.get(words[0]);
+    if (!command || !command.complete) return;
+
+    const partial = endsWithSpace ? "" : words[words.length - 1];
+    applyCompletion(partial, command.complete(partial, words.slice(1)));
+  }
+
+  /**
+   * Apply completion candidates for the partial word at the end of the input
+   * @param {string} partial - Word being completed
+   * @param {string[]} candidates - Possible completions
+   */
+  function applyCompletion(partial, candidates) {
+    if (!candidates.length) return;
+
+    const base = input.value.slice(0, input.value.length - partial.length);
+    if (candidates.length === 1) {
+      const [match] = candidates;
+      input.value = base + match + (match.endsWith("/") ? "" : " ");
+      return;
+    }
+
+    let common = candidates[0];
+    candidates.forEach((candidate) => {
+      while (!candidate.startsWith(common)) common = common.slice(0, -1);
+    });
+
+    if (common.length > partial.length) {
+      input.value = base + common;
+    } else {
+      echo(input.value);
+      io.print(candidates.join("  "), "dim");
+      keepPromptInView();
+    }
+  }
+
+  input.addEventListener(
+    "keydown",
+    (e) => {
+      if (!e.repeat && (e.key.length === 1 || e.key === "Backspace")) {
+        playSound("key");
+      }
+      if (e.key === "Enter") {
+        e.preventDefault();
+        if (pendingRead) {
+          answerRead();
+        } else if (!busy) {
+          submit();
+        }
+      } else if (e.key === "ArrowUp") {
+        e.preventDefault();
+        if (historyIndex > 0) {
+          historyIndex--;
+          input.value = history[historyIndex];
+        }
+      } else if (e.key === "ArrowDown") {
+        e.preventDefault();
+        if (historyIndex < history.length) {
+          historyIndex++;
+          input.value = history[historyIndex] || "";
+        }
+      } else if (e.key === "Tab") {
+        e.preventDefault();
+        if (!busy) complete();
+      } else if (e.ctrlKey && e.key === "c") {
+        if (input.selectionStart !== input.selectionEnd) return;
+        e.preventDefault();
+        interrupt();
+      } else if (e.ctrlKey && e.key === "l") {
+        e.preventDefault();
+        io.clear();
+      }
+    },
+    { signal: controller.signal },
+  );
+
+  // Clicking anywhere in the window focuses the prompt, unless selecting text
+  terminal.addEventListener(
+    "click",
+    () => {
+      const selection = window.getSelection();
+      if (selection && selection.toString()) return;
+      input.focus({ preventScroll: true });
+    },
+    { signal: controller.signal },
+  );
+
+  const motd = resolveVfsPath("/etc/motd").node;
+  const greeting =
+    typeof motd === "string" ? motd.trim() : "type 'help' for commands";
+  greeting.split("\n").forEach((line) => io.print(line, "dim"));
+
+  terminalShell = {
+    io,
+    runBasic(program) {
+      if (busy || pendingRead || basic.controller) return false;
+      echo("run");
+      runJob((signal) => runBasicProgram({ ...io, signal }, program));
+      return true;
+    },
+  };
+  return terminalShell;
+}
+
+// ================================
+// Render Quality
+// ================================
+
+/**
+ * Settings a canvas effect can afford at one quality step
+ * @typedef {Object} RenderQuality
+ * @property {number} particles - Share of the screen-sized particle count
+ * @property {boolean} glow - Draw the soft glow pass around particles
+ * @property {number} connectionDistance - Longest particle connection in px
+ * @property {number} waveStep - Horizontal px between wave samples
+ * @property {number} dpr - Highest device pixel ratio to render at
+ */
+
+/**
+ * Quality steps from cheapest to richest; the governor moves one at a time
+ * @type {RenderQuality[]}
+ */
+const RENDER_QUALITY_LEVELS = [
+  {
+    particles: 0.25,
+    glow: false,
+    connectionDistance: 70,
+    waveStep: 8,
+    dpr: 1,
+  },
+  {
+    particles: 0.5,
+    glow: false,
+    connectionDistance: 85,
+    waveStep: 6,
+    dpr: 1,
+  },
+  {
+    particles: 0.75,
+    glow: true,
+    connectionDistance: 100,
+    waveStep: 4,
+    dpr: 1.5,
+  },
+  {
+    particles: 1,
+    glow: true,
+    connectionDistance: 100,
+    waveStep: 2,
+    dpr: 2,
+  },
+];
+
+/** Frame rate the governor tries to hold */
+const RENDER_TARGET_FPS = 50;
+
+/** Frames measured before each decision */
+const RENDER_SAMPLE_FRAMES = 60;
+
+/** Calm windows in a row, with time to spare, before stepping back up */
+const RENDER_STEP_UP_WINDOWS = 4;
+
+/** Gaps longer than this (ms) are pauses, not slow frames */
+const RENDER_MAX_FRAME_GAP = 250;
+
+/** Quiet period (ms) before a resize is acted on */
+const RESIZE_DEBOUNCE = 150;
+
+/**
+ * Shared quality state for every canvas effect
+ * @type {{level: number, ceiling: number, held: number, listeners: Set<(quality: RenderQuality) => void>}}
+ */
+const renderQuality = {
+  level: RENDER_QUALITY_LEVELS.length - 1,
+  ceiling: RENDER_QUALITY_LEVELS.length - 1,
+  held: 0,
+  listeners: new Set(),
+};
+
+/**
+ * Get the settings for the current quality step
+ * @returns {RenderQuality} The settings
+ */
+function getRenderQuality() {
+  return RENDER_QUALITY_LEVELS[renderQuality.level];
+}
+
+/**
+ * Move to a quality step, clamped to what the device is allowed
+ * @param {number} level - Index into RENDER_QUALITY_LEVELS
+ */
+function setRenderQualityLevel(level) {
+  const clamped = Math.max(0, Math.min(renderQuality.ceiling, level));
+  if (clamped === renderQuality.level) return;
+  renderQuality.level = clamped;
+  const quality = getRenderQuality();
+  renderQuality.listeners.forEach((listener) => listener(quality));
+}
+
+/**
+ * Call a listener whenever the quality step changes
+ * @param {(quality: RenderQuality) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onRenderQualityChange(listener) {
+  renderQuality.listeners.add(listener);
+  return () => renderQuality.listeners.delete(listener);
+}
+
+/**
+ * Stop the governor from changing quality, e.g. while benchmarking
+ * @returns {() => void} Releases the hold
+ */
+function holdRenderQuality() {
+  renderQuality.held++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    renderQuality.held--;
+  };
+}
+
+/**
+ * Device pixel ratio to render at under the current quality
+ * @returns {number} The ratio
+ */
+function getRenderPixelRatio() {
+  return Math.min(window.devicePixelRatio || 1, getRenderQuality().dpr);
+}
+
+/**
+ * Time spent drawing canvases this frame, reported through reportRenderWork
+ */
+let renderWork = 0;
+
+/**
+ * Add to the drawing time measured for the current frame
+ * @param {number} ms - Milliseconds spent drawing
+ */
+function reportRenderWork(ms) {
+  renderWork += ms;
+}
+
+/**
+ * Slowest median frame interval reported by a canvas drawing off the main
+ * thread since the governor last decided, through reportRenderInterval
+ */
+let renderOffThreadInterval = 0;
+
+/**
+ * Report the median frame interval of a canvas drawn in a worker, whose
+ * cost never shows in the main thread's frame timing
+ * @param {number} ms - Median milliseconds between its frames
+ */
+function reportRenderInterval(ms) {
+  renderOffThreadInterval = Math.max(renderOffThreadInterval, ms);
+}
+
+/**
+ * Run a callback after an element stops changing size
+ * @param {Element} element - Element to watch
+ * @param {() => void} callback - Called once resizing settles
+ * @param {string} group - Scheduler group that owns the observer
+ * @returns {() => void} Stops watching before the group is torn down
+ */
+function observeResize(element, callback, group) {
+  const controller = createAbortController(group);
+  let pending = null;
+
+  const observer = new ResizeObserver(() => {
+    if (pending !== null) cancelScheduled(pending);
+    pending = registerTimeout(
+      () => {
+        pending = null;
+        callback();
+      },
+      RESIZE_DEBOUNCE,
+      group,
+    );
+  });
+  observer.observe(element);
+  controller.signal.addEventListener("abort", () => observer.disconnect());
+
+  return () => {
+    if (pending !== null) cancelScheduled(pending);
+    controller.abort();
+    releaseAbortController(controller);
+  };
+}
+
+/**
+ * Start the governor that steps canvas quality to hold RENDER_TARGET_FPS
+ * Drops a step as soon as a window of frames runs slow, on the main thread
+ * or in the void worker, and climbs back
+ * only after several windows with time to spare
+ */
+function initRenderQuality() {
+  const controller = createAbortController("canvas");
+  const budget = 1000 / RENDER_TARGET_FPS;
+  let lastFrame = 0;
+  let gaps = [];
+  let work = 0;
+  let calmWindows = 0;
+
+  // Few cores or little memory: start in the middle and work up
+  const modest =
+    (navigator.hardwareConcurrency || 8) <= 4 ||
+    ("deviceMemory" in navigator && navigator.deviceMemory <= 2);
+  if (modest) setRenderQualityLevel(Math.min(renderQuality.level, 1));
+
+  // On battery, never spend on the richest step
+  if ("getBattery" in navigator) {
+    navigator
+      .getBattery()
+      .then((battery) => {
+        if (controller.signal.aborted) return;
+        const update = () => {
+          renderQuality.ceiling =
+            RENDER_QUALITY_LEVELS.length - (battery.charging ? 1 : 2);
+          setRenderQualityLevel(renderQuality.level);
+        };
+        update();
+        battery.addEventListener("chargingchange", update, {
+          signal: controller.signal,
+        });
+      })
+      .catch((e) => console.warn("Battery status unavailable:", e));
+  }
+
+  registerFrameLoop((now) => {
+    const gap = lastFrame ? now - lastFrame : 0;
+    lastFrame = now;
+    const frameWork = renderWork;
+    renderWork = 0;
+
+    // Hidden tabs and suspended pages leave long gaps; start over
+    if (!gap || gap > RENDER_MAX_FRAME_GAP) {
+      gaps = [];
+      work = 0;
+      renderOffThreadInterval = 0;
+      return;
+    }
+
+    gaps.push(gap);
+    work += frameWork;
+    if (gaps.length < RENDER_SAMPLE_FRAMES) return;
+
+    // A worker running slow counts as much as a slow main thread
+    const median = Math.max(
+      gaps.sort((a, b) => a - b)[gaps.length >> 1],
+      renderOffThreadInterval,
+    );
+    const averageWork = work / gaps.length;
+    gaps = [];
+    work = 0;
+    renderOffThreadInterval = 0;
+    if (renderQuality.held) return;
+
+    if (median > budget) {
+      calmWindows = 0;
+      setRenderQualityLevel(renderQuality.level - 1);
+    } else if (averageWork < budget * 0.25) {
+      calmWindows++;
+      if (calmWindows >= RENDER_STEP_UP_WINDOWS) {
+        calmWindows = 0;
+        setRenderQualityLevel(renderQuality.level + 1);
+      }
+    } else {
+      calmWindows = 0;
+    }
+  }, "canvas");
+}
+
+// ================================
+// Wave Visualization
+// ================================
+
+/**
+ * Initialize interactive wave canvas visualization
+ * While the MOD plays, the three layers turn into its oscilloscope
+ */
+function initWaveVisualization() {
+  const canvas = document.getElementById("wave");
+  if (!canvas || !(canvas instanceof HTMLCanvasElement)) return;
+
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+
+  const container = canvas.parentElement;
+  if (!container) return;
+
+  const controller = createAbortController("canvas");
+  let mouse = { x: null, y: null };
+  let targetMouse = { x: null, y: null };
+  let width = 0;
+  let height = 0;
+
+  function resize() {
+    const rect = container.getBoundingClientRect();
+    const dpr = getRenderPixelRatio();
+    width = rect.width;
+    height = rect.height;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    // Absolute transform so repeated resizes never compound the scale
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  resize();
+  observeResize(container, resize, "canvas");
+  controller.signal.addEventListener("abort", onRenderQualityChange(resize));
+
+  // Mouse, pen and touch all bend the wave
+  controller.signal.addEventListener(
+    "abort",
+    onPointerChange((state) => {
+      const offset = getPointerOffset(container, state);
+      const inside = offset !== null && offset.inside;
+      targetMouse.x = inside ? offset.x : null;
+      targetMouse.y = inside ? offset.y : null;
+    }),
+  );
+
+  let time = 0;
+  let isVisible = false;
+  let animationStarted = false;
+
+  // Crossfade between the sine layers and the MOD oscilloscope
+  let scopeBlend = 0;
+  let scopes = null;
+
+  function draw() {
+    const started = performance.now();
+    const w = width;
+    const h = height;
+    const step = getRenderQuality().waveStep;
+    const samples = Math.ceil(w / step);
+
+    ctx.clearRect(0, 0, w, h);
+
+    // Keep the last traces while fading out after the music stops
+    const liveScopes = readModScopes();
+    if (liveScopes) scopes = liveScopes;
+    scopeBlend += ((liveScopes ? 1 : 0) - scopeBlend) * 0.08;
+    if (scopeBlend < 0.001) scopeBlend = 0;
+
+    if (targetMouse.x !== null) {
+      mouse.x =
+        mouse.x === null
+          ? targetMouse.x
+          : mouse.x + (targetMouse.x - mouse.x) * 0.1;
+      mouse.y =
+        mouse.y === null
+          ? targetMouse.y
+          : mouse.y + (targetMouse.y - mouse.y) * 0.1;
+    } else {
+      mouse.x = null;
+      mouse.y = null;
+    }
+
+    for (let layer = 0; layer < 3; layer++) {
+      ctx.beginPath();
+
+      const baseAmplitude = 20 + layer * 10;
+      const frequency = 0.02 - layer * 0.005;
+      const speed = 0.03 + layer * 0.01;
+      const alpha = 0.3 - layer * 0.08;
+
+      for (let i = 0; i <= samples; i++) {
+        // The last sample lands on the right edge whatever the step
+        const x = Math.min(w, i * step);
+        let amplitude = baseAmplitude;
+        if (mouse.x !== null) {
+          const distFromMouse = Math.abs(x - mouse.x);
+          const influenceRadius = 150;
+          if (distFromMouse < influenceRadius) {
+            const influence = 1 - distFromMouse / influenceRadius;
+            amplitude += influence * 25;
+          }
+        }
+
+        let y =
+          h / 2 +
+          (Math.sin(x * frequency + time * speed) * amplitude +
+            Math.sin(x * frequency * 2 + time * speed * 1.5) *
+              amplitude *
+              0.5) *
+            (1 - scopeBlend);
+        if (scopeBlend > 0) {
+          const trace = scopes[layer];
+          const sample = trace[Math.floor((x / w) * (trace.length - 1))];
+          y += sample * h * 0.4 * (amplitude / baseAmplitude) * scopeBlend;
+        }
+
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+
+      ctx.strokeStyle = `rgba(${themeCache.waveColor}, ${alpha})`;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    time += 1;
+    reportRenderWork(performance.now() - started);
+  }
+
+  // Don't start animation until section is visible
+  const trigger = ScrollTrigger.create({
+    trigger: ".section--philosophy",
+    start: "top 80%",
+    onEnter: () => {
+      isVisible = true;
+      if (!animationStarted) {
+        animationStarted = true;
+        registerFrameLoop(draw, "canvas");
+      }
+    },
+    once: true,
+  });
+  controller.signal.addEventListener("abort", () => trigger.kill());
+}
+
+// ================================
+// MOD Player
+// ================================
+
+/** The bundled module, played by mod.js in an AudioWorklet */
+const MOD_URL = "intro.mod";
+
+/** Master volume; four hard-panned channels get loud quickly */
+const MOD_VOLUME = 0.5;
+
+/** Samples per oscilloscope trace */
+const MOD_SCOPE_SIZE = 512;
+
+/**
+ * Amiga channels behind each wave layer: Paula's left pair, right pair, and all four
+ * Channels 1 and 4 play on the left, 2 and 3 on the right
+ */
+const MOD_SCOPE_LAYERS = [
+  [0, 3],
+  [1, 2],
+  [0, 1, 2, 3],
+];
+
+/**
+ * Player state; the audio graph is built on the first play, never before,
+ * so the page stays silent until a visitor asks for sound
+ */
+const modPlayer = {
+  /** @type {AudioContext | null} */
+  context: null,
+  /** @type {AudioWorkletNode | null} */
+  node: null,
+  /** @type {AnalyserNode[]} */
+  analysers: [],
+  /** Per-channel samples, refreshed by readModScopes */
+  channelData: [],
+  /** Combined traces, one per wave layer */
+  scopes: MOD_SCOPE_LAYERS.map(() => new Float32Array(MOD_SCOPE_SIZE)),
+  playing: false,
+  title: "",
+  position: { order: 0, row: 0 },
+  length: 0,
+  /** @type {Promise<void> | null} */
+  loading: null,
+  /** @type {Set<(playing: boolean) => void>} */
+  listeners: new Set(),
+};
+
+/**
+ * Call a listener whenever the MOD starts or stops
+ * @param {(playing: boolean) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onModChange(listener) {
+  modPlayer.listeners.add(listener);
+  return () => modPlayer.listeners.delete(listener);
+}
+
+/**
+ * @param {boolean} playing - Whether sound is now playing
+ */
+function setModPlaying(playing) {
+  modPlayer.playing = playing;
+  modPlayer.listeners.forEach((listener) => listener(playing));
+}
+
+/**
+ * Build the audio graph and load the module: worklet, channel splitter,
+ * one analyser per channel, and an LRRL merge to the speakers
+ * @returns {Promise<void>} Settles once the module is ready or has failed
+ */
+function loadModPlayer() {
+  if (modPlayer.loading) return modPlayer.loading;
+  if (!("AudioWorkletNode" in window)) {
+    return Promise.reject(new Error("this browser has no AudioWorklet"));
+  }
+
+  const controller = createAbortController("audio");
+  const context = new AudioContext();
+
+  modPlayer.loading = Promise.all([
+    context.audioWorklet.addModule("mod.js"),
+    fetch(MOD_URL).then((response) => {
+      if (!response.ok) throw new Error(`${MOD_URL}: ${response.status}`);
+      return response.arrayBuffer();
+    }),
+  ])
+    .then(([, buffer]) => {
+      const node = new AudioWorkletNode(context, "mod-player", {
+        numberOfInputs: 0,
+        outputChannelCount: [4],
+      });
+      const splitter = context.createChannelSplitter(4);
+      const merger = context.createChannelMerger(2);
+      const volume = context.createGain();
+      volume.gain.value = MOD_VOLUME;
+
+      node.connect(splitter);
+      modPlayer.analysers = [0, 1, 2, 3].map((channel) => {
+        const analyser = context.createAnalyser();
+        analyser.fftSize = MOD_SCOPE_SIZE;
+        splitter.connect(analyser, channel);
+        splitter.connect(
+          merger,
+          channel,
+          channel === 0 || channel === 3 ? 0 : 1,
+        );
+        return analyser;
+      });
+      modPlayer.channelData = modPlayer.analysers.map(
+        () => new Float32Array(MOD_SCOPE_SIZE),
+      );
+      merger.connect(volume).connect(context.destination);
+
+      return new Promise((resolve, reject) => {
+        node.port.addEventListener(
+          "message",
+          (e) => {
+            const message = e.data;
+            if (message.type === "loaded") {
+              modPlayer.title = message.title;
+              modPlayer.length = message.length;
+              resolve();
+            } else if (message.type === "error") {
+              reject(new Error(message.message));
+            } else if (message.type === "row") {
+              modPlayer.position = { order: message.order, row: message.row };
+            }
+          },
+          { signal: controller.signal },
+        );
+        node.port.start();
+        node.port.postMessage({ type: "load", buffer }, [buffer]);
+        modPlayer.node = node;
+      });
+    })
+    .catch((e) => {
+      // Let a later click try again from scratch
+      controller.abort();
+      throw e;
+    });
+
+  modPlayer.context = context;
+  controller.signal.addEventListener("abort", () => {
+    context.close().catch(() => {});
+    Object.assign(modPlayer, {
+      context: null,
+      node: null,
+      analysers: [],
+      channelData: [],
+      loading: null,
+    });
+    if (modPlayer.playing) setModPlaying(false);
+  });
+
+  return modPlayer.loading;
+}
+
+/**
+ * Start or resume the module
+ * Browsers only allow this from a click or key press. Playing music leaves
+ * the saved sound setting alone; muting still pauses it
+ * @returns {Promise<void>} Settles once sound is playing
+ */
+async function playMod() {
+  await loadModPlayer();
+  await modPlayer.context.resume();
+  modPlayer.node.port.postMessage({ type: "play" });
+  setModPlaying(true);
+}
+
+/**
+ * Pause the module where it is; suspending the context stops the worklet too
+ * @returns {Promise<void>} Settles once sound has stopped
+ */
+async function pauseMod() {
+  if (!modPlayer.context || !modPlayer.playing) return;
+  modPlayer.node.port.postMessage({ type: "pause" });
+  await modPlayer.context.suspend();
+  setModPlaying(false);
+}
+
+/**
+ * Refresh the oscilloscope traces from the channel analysers
+ * @returns {Float32Array[] | null} One trace per wave layer, null while silent
+ */
+function readModScopes() {
+  if (!modPlayer.playing || !modPlayer.analysers.length) return null;
+
+  modPlayer.analysers.forEach((analyser, channel) =>
+    analyser.getFloatTimeDomainData(modPlayer.channelData[channel]),
+  );
+  MOD_SCOPE_LAYERS.forEach((channels, layer) => {
+    const trace = modPlayer.scopes[layer];
+    const scale = 1 / Math.sqrt(channels.length);
+    for (let i = 0; i < MOD_SCOPE_SIZE; i++) {
+      let sum = 0;
+      for (const channel of channels) sum += modPlayer.channelData[channel][i];
+      trace[i] = sum * scale;
+    }
+  });
+  return modPlayer.scopes;
+}
+
+/**
+ * Initialize the play control under the wave
+ */
+function initModPlayer() {
+  const button = document.getElementById("mod-play");
+  if (!button) return;
+
+  const controller = createAbortController();
+  const label = button.querySelector(".mod-play-text") || button;
+
+  /**
+   * @param {boolean} playing - Whether sound is playing
+   */
+  function update(playing) {
+    button.setAttribute("aria-pressed", String(playing));
+    label.textContent = playing ? `❚❚ ${MOD_URL}` : `▶ ${MOD_URL}`;
+    button.title = playing ? "Pause the music" : "Play the music (sound on)";
+  }
+
+  update(modPlayer.playing);
+  controller.signal.addEventListener("abort", onModChange(update));
+
+  button.addEventListener(
+    "click",
+    () => {
+      const action = modPlayer.playing ? pauseMod() : playMod();
+      action.catch((e) => {
+        console.warn("MOD player failed:", e);
+        if (!("AudioWorkletNode" in window)) {
+          button.disabled = true;
+          button.title = "Music is unavailable in this browser";
+          return;
+        }
+        // A dropped download or a refused context is worth another click
+        button.title = `Music failed: ${e instanceof Error ? e.message : e}. Click to try again`;
+      });
+    },
+    { signal: controller.signal },
+  );
+}
+
+// ================================
+// UI Sounds
+// ================================
+
+/** localStorage key holding "on" once a visitor turns sounds on */
+const SOUND_STORAGE_KEY = "nulloxide-sound";
+
+/** Loudness of every UI sound; they sit under the MOD */
+const SOUND_VOLUME = 0.15;
+
+/** Motion levels from quietest up; a sound plays at its level and above */
+const SOUND_MOTION_LEVELS = ["off", "reduced", "full"];
+
+/**
+ * A procedurally synthesised sound
+ * @typedef {Object} SoundEffect
+ * @property {'reduced' | 'full'} motion - Lowest motion level it plays at; decoration needs full
+ * @property {number} gap - Minimum ms between two plays, so bursts stay clicks
+ * @property {(context: AudioContext, output: AudioNode, start: number) => void} play - Schedule it from start (context time)
+ */
+
+/**
+ * Sound state; the AudioContext is only made once sounds are on
+ */
+const sound = {
+  /** @type {AudioContext | null} */
+  context: null,
+  /** @type {GainNode | null} */
+  output: null,
+  /** @type {AudioBuffer | null} */
+  noise: null,
+  /** @type {Map<string, number>} */
+  lastPlayed: new Map(),
+  /** @type {Set<(enabled: boolean) => void>} */
+  listeners: new Set(),
+};
+
+/**
+ * Play an oscillator note with a quick attack and exponential release
+ * @param {AudioContext} context - Audio context
+ * @param {AudioNode} output - Destination
+ * @param {{type?: OscillatorType, frequency: number, endFrequency?: number, start: number, duration: number, volume?: number}} note - What to play
+ */
+function playSoundTone(context, output, note) {
+  const { start, duration } = note;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.type = note.type || "square";
+  oscillator.frequency.setValueAtTime(note.frequency, start);
+  if (note.endFrequency) {
+    oscillator.frequency.exponentialRampToValueAtTime(
+      note.endFrequency,
+      start + duration,
+    );
+  }
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(note.volume || 0.5, start + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  oscillator.connect(gain).connect(output);
+  oscillator.start(start);
+  oscillator.stop(start + duration + 0.02);
+}
+
+/**
+ * Play a burst of filtered white noise
+ * @param {AudioContext} context - Audio context
+ * @param {AudioNode} output - Destination
+ * @param {{start: number, duration: number, frequency: number, volume?: number}} burst - Band centre and timing
+ */
+function playSoundNoise(context, output, burst) {
+  if (!sound.noise) {
+    sound.noise = context.createBuffer(
+      1,
+      context.sampleRate,
+      context.sampleRate,
+    );
+    const data = sound.noise.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  }
+
+  const { start, duration } = burst;
+  const source = context.createBufferSource();
+  const filter = context.createBiquadFilter();
+  const gain = context.createGain();
+  source.buffer = sound.noise;
+  filter.type = "bandpass";
+  filter.frequency.value = burst.frequency;
+  gain.gain.setValueAtTime(burst.volume || 0.5, start);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  source.connect(filter).connect(gain).connect(output);
+  source.start(start, Math.random() * 0.5);
+  source.stop(start + duration);
+}
+
+/**
+ * Play a run of equal-length chiptune notes
+ * @param {AudioContext} context - Audio context
+ * @param {AudioNode} output - Destination
+ * @param {number} start - Context time of the first note
+ * @param {Array<number | null>} semitones - Notes as semitones from A4, null for a rest
+ * @param {number} length - Seconds per note
+ * @param {OscillatorType} [type="square"] - Waveform
+ */
+function playSoundMelody(context, output, start, semitones, length, type) {
+  semitones.forEach((semitone, i) => {
+    if (semitone === null) return;
+    playSoundTone(context, output, {
+      type,
+      frequency: 440 * Math.pow(2, semitone / 12),
+      start: start + i * length,
+      duration: length * 0.9,
+      volume: 0.35,
+    });
+  });
+}
+
+/** @type {Record<string, SoundEffect>} */
+const SOUND_EFFECTS = {
+  // A mechanical key: a click of noise with a little body under it
+  key: {
+    motion: "full",
+    gap: 35,
+    play: (context, output, start) => {
+      playSoundNoise(context, output, {
+        start,
+        duration: 0.025,
+        frequency: 3000 + Math.random() * 2000,
+        volume: 0.6,
+      });
+      playSoundTone(context, output, {
+        type: "triangle",
+        frequency: 140 + Math.random() * 40,
+        start,
+        duration: 0.03,
+        volume: 0.3,
+      });
+    },
+  },
+  // One scrambled glyph: a high blip at a random pitch
+  scramble: {
+    motion: "full",
+    gap: 60,
+    play: (context, output, start) => {
+      playSoundTone(context, output, {
+        frequency: 1200 + Math.random() * 1800,
+        start,
+        duration: 0.02,
+        volume: 0.12,
+      });
+    },
+  },
+  // Dialling, the answer tone, then the handshake screech
+  modem: {
+    motion: "reduced",
+    gap: 4000,
+    play: (context, output, start) => {
+      const digits = [
+        [697, 1209],
+        [770, 1336],
+        [852, 1477],
+        [697, 1336],
+        [941, 1336],
+      ];
+      digits.forEach(([low, high], i) => {
+        [low, high].forEach((frequency) =>
+          playSoundTone(context, output, {
+            type: "sine",
+            frequency,
+            start: start + i * 0.14,
+            duration: 0.08,
+            volume: 0.25,
+          }),
+        );
+      });
+
+      const answer = start + 0.9;
+      playSoundTone(context, output, {
+        type: "sine",
+        frequency: 2100,
+        start: answer,
+        duration: 0.6,
+        volume: 0.2,
+      });
+
+      // Frequency-shift keying at random, over a hiss of line noise
+      const screech = answer + 0.7;
+      for (let i = 0; i < 40; i++) {
+        playSoundTone(context, output, {
+          frequency: [980, 1180, 1650, 1850, 2400][
+            Math.floor(Math.random() * 5)
+          ],
+          start: screech + i * 0.03,
+          duration: 0.04,
+          volume: 0.12,
+        });
+      }
+      playSoundNoise(context, output, {
+        start: screech,
+        duration: 1.3,
+        frequency: 1800,
+        volume: 0.25,
+      });
+    },
+  },
+  // The gate opening: a major arpeggio up an octave
+  gate: {
+    motion: "reduced",
+    gap: 500,
+    play: (context, output, start) => {
+      playSoundMelody(context, output, start, [3, 7, 10, 15], 0.07);
+    },
+  },
+  // A level-up fanfare with a triangle bass under it
+  unlock: {
+    motion: "reduced",
+    gap: 1000,
+    play: (context, output, start) => {
+      playSoundMelody(
+        context,
+        output,
+        start,
+        [-2, 3, 7, 10, null, 7, 10, 10, 10],
+        0.09,
+      );
+      playSoundMelody(
+        context,
+        output,
+        start,
+        [-14, null, -9, null, -5, null, -2, -2, -2],
+        0.09,
+        "triangle",
+      );
+    },
+  },
+};
+
+/**
+ * Check whether a visitor has turned sounds on
+ * @returns {boolean} True once sounds are on
+ */
+function isSoundEnabled() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(SOUND_STORAGE_KEY);
+  } catch (e) {
+    // Storage can be blocked; fall back to the page attribute
+    stored = document.documentElement.getAttribute("data-sound");
+  }
+  return stored === "on";
+}
+
+/**
+ * Reflect the sound setting on the page and tell listeners
+ */
+function applySoundPreference() {
+  const enabled = isSoundEnabled();
+  document.documentElement.setAttribute("data-sound", enabled ? "on" : "off");
+  sound.listeners.forEach((listener) => listener(enabled));
+}
+
+/**
+ * Turn sounds on or off and persist the choice
+ * Turning sound off also pauses the MOD, so one control silences the page
+ * @param {boolean} enabled - Whether sounds should play
+ */
+function setSoundEnabled(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(SOUND_STORAGE_KEY, "on");
+    } else {
+      localStorage.removeItem(SOUND_STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn("Sound setting could not be saved:", e);
+  }
+
+  // Keep the choice for this page even when storage is blocked
+  document.documentElement.setAttribute("data-sound", enabled ? "on" : "off");
+  applySoundPreference();
+  if (!enabled) {
+    pauseMod().catch((e) => console.warn("MOD could not be paused:", e));
+  }
+}
+
+/**
+ * Call a listener whenever sounds are turned on or off
+ * @param {(enabled: boolean) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onSoundChange(listener) {
+  sound.listeners.add(listener);
+  return () => sound.listeners.delete(listener);
+}
+
+/**
+ * Get the audio context for UI sounds, making it on first use
+ * Browsers keep it suspended until the visitor clicks or types
+ * @returns {AudioContext | null} The context, or null without Web Audio
+ */
+function getSoundContext() {
+  if (sound.context) {
+    if (sound.context.state === "suspended") {
+      sound.context.resume().catch(() => {});
+    }
+    return sound.context;
+  }
+  if (!("AudioContext" in window)) return null;
+
+  const controller = createAbortController("audio");
+  sound.context = new AudioContext();
+  sound.output = sound.context.createGain();
+  sound.output.gain.value = SOUND_VOLUME;
+  sound.output.connect(sound.context.destination);
+
+  controller.signal.addEventListener("abort", () => {
+    sound.context.close().catch(() => {});
+    sound.context = null;
+    sound.output = null;
+    sound.noise = null;
+  });
+  return sound.context;
+}
+
+/**
+ * Play a UI sound if sounds are on and the motion level allows it
+ * @param {string} name - Key of SOUND_EFFECTS
+ */
+function playSound(name) {
+  const effect = SOUND_EFFECTS[name];
+  if (!effect || !isSoundEnabled()) return;
+
+  const level = SOUND_MOTION_LEVELS.indexOf(getMotionLevel());
+  if (level < SOUND_MOTION_LEVELS.indexOf(effect.motion)) return;
+
+  const now = performance.now();
+  if (now - (sound.lastPlayed.get(name) || -Infinity) < effect.gap) return;
+  sound.lastPlayed.set(name, now);
+
+  const context = getSoundContext();
+  if (!context || context.state !== "running") return;
+  try {
+    effect.play(context, sound.output, context.currentTime);
+  } catch (e) {
+    console.warn(`Sound "${name}" failed:`, e);
+  }
+}
+
+/**
+ * Initialize the sound toggle
+ */
+function initSoundToggle() {
+  const controller = createAbortController();
+
+  // Wake a context the browser held back until the first gesture
+  const wake = () => {
+    if (isSoundEnabled()) getSoundContext();
+  };
+  document.addEventListener("pointerdown", wake, { signal: controller.signal });
+  document.addEventListener("keydown", wake, { signal: controller.signal });
+
+  const toggle = document.getElementById("sound-toggle");
+  if (!toggle) return;
+
+  function updateLabel() {
+    const enabled = isSoundEnabled();
+    const label = `Sound: ${enabled ? "on" : "off"}. Turn ${enabled ? "off" : "on"}`;
+    toggle.setAttribute("aria-label", label);
+    toggle.setAttribute("aria-pressed", String(enabled));
+    toggle.title = label;
+  }
+
+  updateLabel();
+  controller.signal.addEventListener("abort", onSoundChange(updateLabel));
+
+  toggle.addEventListener(
+    "click",
+    () => {
+      const enabled = !isSoundEnabled();
+      setSoundEnabled(enabled);
+      if (enabled) {
+        getSoundContext();
+        playSound("key");
+      }
+    },
+    { signal: controller.signal },
+  );
+}
+
+// Reflect the stored setting before the page is revealed
+applySoundPreference();
+
+// Another tab turned sounds on or off
+window.addEventListener("storage", (e) => {
+  if (e.key === SOUND_STORAGE_KEY || e.key === null) applySoundPreference();
+});
+
+// ================================
+// Void Canvas - Backgrounds
+// ================================
+
+/** Frames sampled per particle count by the bench command */
+const VOID_BENCH_FRAMES = 120;
+
+/** localStorage key holding the chosen background */
+const VOID_RENDERER_STORAGE_KEY = "nulloxide-background";
+
+/** @type {Set<(id: string) => void>} */
+const voidRendererListeners = new Set();
+
+/**
+ * Handle on the running void canvas, null while it is torn down
+ * @type {{offscreen: boolean, benchmark: (counts: number[], frames: number, signal?: AbortSignal) => Promise<VoidBenchmarkResult[]>} | null}
+ */
+let voidCanvas = null;
+
+/** Set once the worker has failed, so later starts go straight to the main thread */
+let voidWorkerFailed = false;
+
+/**
+ * Get the chosen background
+ * @returns {string} A registered renderer id
+ */
+function getVoidRenderer() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(VOID_RENDERER_STORAGE_KEY);
+  } catch (e) {
+    // Storage can be blocked; fall back to the page attribute
+    stored = document.documentElement.getAttribute("data-background");
+  }
+  return VOID_RENDERERS.has(stored) ? stored : VOID_DEFAULT_RENDERER;
+}
+
+/**
+ * Reflect the chosen background on the page and tell listeners
+ */
+function applyVoidRenderer() {
+  const id = getVoidRenderer();
+  document.documentElement.setAttribute("data-background", id);
+  voidRendererListeners.forEach((listener) => listener(id));
+}
+
+/**
+ * Choose a background and persist it
+ * @param {string} id - A registered renderer id
+ */
+function setVoidRenderer(id) {
+  try {
+    if (id === VOID_DEFAULT_RENDERER) {
+      localStorage.removeItem(VOID_RENDERER_STORAGE_KEY);
+    } else {
+      localStorage.setItem(VOID_RENDERER_STORAGE_KEY, id);
+    }
+  } catch (e) {
+    console.warn("Background could not be saved:", e);
+  }
+
+  // Keep the choice for this page even when storage is blocked
+  document.documentElement.setAttribute("data-background", id);
+  applyVoidRenderer();
+}
+
+/**
+ * Call a listener whenever the chosen background changes
+ * @param {(id: string) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onVoidRendererChange(listener) {
+  voidRendererListeners.add(listener);
+  return () => voidRendererListeners.delete(listener);
+}
+
+/**
+ * Run the void simulation in a worker that draws through an OffscreenCanvas
+ * @param {HTMLCanvasElement} canvas - The #void canvas
+ * @param {AbortController} controller - Aborted when the canvas is torn down
+ * @param {{width: number, height: number, dpr: number}} size - Starting size
+ * @returns {VoidSimulation | null} Page-side stand-in for the worker, or null when unsupported
+ */
+function startVoidWorker(canvas, controller, size) {
+  if (
+    voidWorkerFailed ||
+    !("Worker" in window) ||
+    !("transferControlToOffscreen" in canvas)
+  ) {
+    return null;
+  }
+
+  /** @type {Worker} */
+  let worker;
+  try {
+    worker = new Worker("void.js");
+  } catch (e) {
+    console.warn("Void worker unavailable, drawing on the main thread:", e);
+    return null;
+  }
+
+  const offscreen = canvas.transferControlToOffscreen();
+  worker.postMessage(
+    {
+      type: "init",
+      canvas: offscreen,
+      theme: themeCache,
+      quality: getRenderQuality(),
+      renderer: getVoidRenderer(),
+      // Scripts that register extra backgrounds, for the worker to import
+      imports: [...document.querySelectorAll("script[data-void-renderer]")].map(
+        (script) => script.src,
+      ),
+      ...size,
+    },
+    [offscreen],
+  );
+
+  /** @type {Map<number, {resolve: Function, reject: Function}>} */
+  const pending = new Map();
+  let nextBenchmark = 1;
+
+  worker.addEventListener(
+    "message",
+    (e) => {
+      const message = e.data;
+      if (message.type === "work") {
+        reportRenderWork(message.ms);
+        if (message.interval) reportRenderInterval(message.interval);
+      } else if (message.type === "benchmark" && pending.has(message.id)) {
+        const { resolve, reject } = pending.get(message.id);
+        pending.delete(message.id);
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.results);
+        }
+      }
+    },
+    { signal: controller.signal },
+  );
+
+  // A worker that fails to load or crashes hands over to the main thread
+  worker.addEventListener(
+    "error",
+    (e) => {
+      console.warn("Void worker failed, drawing on the main thread:", e);
+      voidWorkerFailed = true;
+      controller.abort();
+      releaseAbortController(controller);
+      initVoidCanvas();
+    },
+    { signal: controller.signal },
+  );
+
+  const task = registerTask("canvas", {
+    start: () => worker.postMessage({ type: "resume" }),
+    stop: () => worker.postMessage({ type: "pause" }),
+  });
+
+  controller.signal.addEventListener("abort", () => {
+    cancelScheduled(task);
+    worker.terminate();
+    pending.forEach(({ reject }) => reject(new Error("void canvas stopped")));
+    // A transferred canvas can never be drawn on again, so swap in a fresh one
+    canvas.replaceWith(canvas.cloneNode(false));
+  });
+
+  return {
+    resize: (width, height, dpr) =>
+      worker.postMessage({ type: "resize", width, height, dpr }),
+    setPointer: (x, y) => worker.postMessage({ type: "pointer", x, y }),
+    setTheme: (theme) => worker.postMessage({ type: "theme", theme }),
+    setQuality: (quality) => worker.postMessage({ type: "quality", quality }),
+    setRenderer: (id) => worker.postMessage({ type: "renderer", id }),
+    frame: () => 0,
+    benchmark: (counts, frames) =>
+      new Promise((resolve, reject) => {
+        const id = nextBenchmark++;
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: "benchmark", id, counts, frames });
+      }),
+    stop: () => {
+      if (!pending.size) return;
+      worker.postMessage({ type: "cancel" });
+      pending.forEach(({ reject }) => reject(new Error("void canvas stopped")));
+      pending.clear();
+    },
+  };
+}
+
+/**
+ * Run the void simulation on the main thread
+ * @param {HTMLCanvasElement} canvas - The #void canvas
+ * @param {AbortController} controller - Aborted when the canvas is torn down
+ * @param {{width: number, height: number, dpr: number}} size - Starting size
+ * @returns {VoidSimulation | null} The simulation, or null without a 2D context
+ */
+function startVoidMainThread(canvas, controller, size) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+
+  const simulation = createVoidSimulation(canvas, ctx, {
+    theme: themeCache,
+    quality: getRenderQuality(),
+    renderer: getVoidRenderer(),
+  });
+  simulation.resize(size.width, size.height, size.dpr);
+
+  const task = registerFrameLoop(
+    () => reportRenderWork(simulation.frame()),
+    "canvas",
+  );
+  controller.signal.addEventListener("abort", () => {
+    cancelScheduled(task);
+    simulation.stop();
+  });
+
+  return simulation;
+}
+
+/**
+ * Initialize the void canvas background
+ * The backgrounds live in void.js and run in a worker where the browser
+ * supports OffscreenCanvas, keeping them clear of GSAP, Lenis and scrolling
+ */
+function initVoidCanvas() {
+  const canvas = document.getElementById("void");
+  if (!canvas || !(canvas instanceof HTMLCanvasElement)) return;
+  if (typeof createVoidSimulation !== "function") {
+    console.warn("void.js not loaded; the void canvas stays empty");
+    return;
+  }
+
+  const controller = createAbortController("canvas");
+
+  /**
+   * @returns {{width: number, height: number, dpr: number}} Canvas box and pixel ratio
+   */
+  const measure = () => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      width: rect.width || window.innerWidth,
+      height: rect.height || window.innerHeight,
+      dpr: getRenderPixelRatio(),
+    };
+  };
+
+  const worker = startVoidWorker(canvas, controller, measure());
+  const simulation =
+    worker || startVoidMainThread(canvas, controller, measure());
+  if (!simulation) {
+    controller.abort();
+    return;
+  }
+
+  const resize = () => {
+    const { width, height, dpr } = measure();
+    simulation.resize(width, height, dpr);
+  };
+
+  controller.signal.addEventListener(
+    "abort",
+    onPointerChange((state) => simulation.setPointer(state.x, state.y)),
+  );
+  controller.signal.addEventListener(
+    "abort",
+    observeResize(canvas, resize, "canvas"),
+  );
+  controller.signal.addEventListener(
+    "abort",
+    onRenderQualityChange((quality) => {
+      simulation.setQuality(quality);
+      resize();
+    }),
+  );
+
+  // initThemeToggle refreshes themeCache in an earlier frame callback
+  controller.signal.addEventListener(
+    "abort",
+    onThemeChange(() =>
+      requestAnimationFrame(() => simulation.setTheme(themeCache)),
+    ),
+  );
+  controller.signal.addEventListener(
+    "abort",
+    onVoidRendererChange((id) => simulation.setRenderer(id)),
+  );
+
+  const handle = {
+    offscreen: worker !== null,
+    benchmark: async (counts, frames, signal) => {
+      if (!isGroupRunning("canvas")) {
+        throw new Error("the void canvas is paused");
+      }
+
+      // Frames only advance while the canvas runs, so a pause or an
+      // interrupt gives up on the run rather than waiting forever
+      let finished = false;
+      const cancel = () => {
+        if (!finished) simulation.stop();
+      };
+      const watch = registerTask("canvas", { start: () => {}, stop: cancel });
+      if (signal) signal.addEventListener("abort", cancel);
+
+      const release = holdRenderQuality();
+      try {
+        return await simulation.benchmark(counts, frames);
+      } finally {
+        finished = true;
+        release();
+        cancelScheduled(watch);
+        if (signal) signal.removeEventListener("abort", cancel);
+      }
+    },
+  };
+  voidCanvas = handle;
+  controller.signal.addEventListener("abort", () => {
+    if (voidCanvas === handle) voidCanvas = null;
+  });
+}
+
+/**
+ * Initialize the background toggle, cycling through the registered backgrounds
+ * The choice is kept while motion is reduced or off and shows again at full
+ */
+function initBackgroundToggle() {
+  const toggle = document.getElementById("background-toggle");
+  if (!toggle || typeof VOID_RENDERERS === "undefined") return;
+
+  const controller = createAbortController();
+
+  /**
+   * @returns {string} Renderer id the next click selects
+   */
+  const getNextRenderer = () => {
+    const ids = [...VOID_RENDERERS.keys()];
+    return ids[(ids.indexOf(getVoidRenderer()) + 1) % ids.length];
+  };
+
+  function updateLabel() {
+    const current = VOID_RENDERERS.get(getVoidRenderer()).label;
+    const next = VOID_RENDERERS.get(getNextRenderer()).label;
+    const label = `Background: ${current}. Switch to ${next}`;
+    toggle.setAttribute("aria-label", label);
+    toggle.title = label;
+  }
+
+  updateLabel();
+  controller.signal.addEventListener(
+    "abort",
+    onVoidRendererChange(updateLabel),
+  );
+
+  toggle.addEventListener("click", () => setVoidRenderer(getNextRenderer()), {
+    signal: controller.signal,
+  });
+}
+
+// Reflect the stored background before the page is revealed
+if (typeof VOID_RENDERERS !== "undefined") applyVoidRenderer();
+
+// Another tab chose a different background
+window.addEventListener("storage", (e) => {
+  if (e.key === VOID_RENDERER_STORAGE_KEY || e.key === null) {
+    applyVoidRenderer();
+  }
+});
+
+// ================================
+// Scroll Animations
+// ================================
+
+/**
+ * Initialize GSAP scroll-triggered animations
+ */
+function initScrollAnimations() {
+  // Philosophy section
+  ScrollTrigger.create({
+    trigger: ".section--philosophy",
+    start: "top 60%",
+    onEnter: () => {
+      // Depth layers animate in
+      gsap.to(".layer-1", {
+        opacity: 0.1,
+        scale: 1,
+        duration: 0.8,
+        ease: "power2.out",
+      });
+      gsap.to(".layer-2", {
+        opacity: 0.2,
+        scale: 1,
+        duration: 0.8,
+        delay: 0.15,
+        ease: "power2.out",
+      });
+      gsap.to(".layer-3", {
+        opacity: 0.4,
+        scale: 1,
+        duration: 0.8,
+        delay: 0.3,
+        ease: "power2.out",
+      });
+      gsap.to(".layer-4", {
+        opacity: 0.8,
+        scale: 1,
+        duration: 0.8,
+        delay: 0.45,
+        ease: "power2.out",
+      });
+
+      // Depth text - word-by-word reveal
+      const words = document.querySelectorAll(".reveal-word");
+      words.forEach((word, i) => {
+        registerTimeout(
+          () => {
+            word.classList.add("visible");
+          },
+          600 + i * 150,
+        );
+      });
+
+      // Balance text
+      gsap.to(".balance-text", {
+        opacity: 1,
+        y: 0,
+        duration: 1,
+        delay: 0.3,
+        ease: "power2.out",
+      });
+    },
+    once: true,
+  });
+
+  gsap.set(".layer", { scale: 0.8 });
+  gsap.set(".balance-text", { opacity: 0, y: 20 });
+
+  // Parallax effect on depth circles
+  gsap.to(".layer-1", {
+    y: -30,
+    scrollTrigger: {
+      trigger: ".section--philosophy",
+      start: "top bottom",
+      end: "bottom top",
+      scrub: 1,
+    },
+  });
+  gsap.to(".layer-2", {
+    y: -20,
+    scrollTrigger: {
+      trigger: ".section--philosophy",
+      start: "top bottom",
+      end: "bottom top",
+      scrub: 1,
+    },
+  });
+  gsap.to(".layer-3", {
+    y: -10,
+    scrollTrigger: {
+      trigger: ".section--philosophy",
+      start: "top bottom",
+      end: "bottom top",
+      scrub: 1,
+    },
+  });
+  gsap.to(".layer-4", {
+    y: 5,
+    scrollTrigger: {
+      trigger: ".section--philosophy",
+      start: "top bottom",
+      end: "bottom top",
+      scrub: 1,
+    },
+  });
+
+  // Meta section - typewriter effect
+  ScrollTrigger.create({
+    trigger: ".section--meta",
+    start: "top 80%",
+    onEnter: async () => {
+      const lines = document.querySelectorAll(".comment-line");
+
+      for (const line of lines) {
+        const content = renderTemplate(line.dataset.text || "");
+        line.classList.add("visible");
+        await typewrite(line, content, { speed: 25, jitter: 15 });
+        await new Promise((resolve) => registerTimeout(resolve, 500));
+      }
+    },
+    once: true,
+  });
+
+  // Work section - staggered button entrance
+  gsap.set(".work-intro", { opacity: 0, y: 20 });
+  gsap.set(".link-work", { opacity: 0, y: 30 });
+  gsap.set(".email-display", { opacity: 0 });
+
+  ScrollTrigger.create({
+    trigger: ".section--work",
+    start: "top 70%",
+    onEnter: () => {
+      gsap.to(".work-intro", {
+        opacity: 1,
+        y: 0,
+        duration: 0.6,
+        ease: "power2.out",
+      });
+      gsap.to(".link-work", {
+        opacity: 1,
+        y: 0,
+        duration: 0.6,
+        stagger: 0.15,
+        delay: 0.2,
+        ease: "power2.out",
+      });
+    },
+    once: true,
+  });
+
+  // Find section
+  ScrollTrigger.create({
+    trigger: ".section--find",
+    start: "top 60%",
+    onEnter: () => {
+      gsap.to(".find-intro, .find-handle, .find-note", {
+        opacity: 1,
+        y: 0,
+        duration: 0.8,
+        stagger: 0.15,
+        ease: "power2.out",
+      });
+    },
+    once: true,
+  });
+
+  gsap.set(".find-intro, .find-handle, .find-note", { opacity: 0, y: 20 });
+}
+
+// ================================
+// Magnetic Effect
+// ================================
+
+/** Pull of a magnetic element towards its rest position, per frame */
+const MAGNETIC_STIFFNESS = 0.12;
+
+/** Velocity kept each frame; below 1 so the spring settles after a wobble */
+const MAGNETIC_DAMPING = 0.72;
+
+/**
+ * Initialize magnetic hover effect on elements with data-magnetic attribute
+ * Mice and pens pull elements towards them; touches press them in. Every
+ * element rides one spring loop that idles once they all come to rest
+ */
+function initMagnetic() {
+  const elements = document.querySelectorAll("[data-magnetic]");
+  if (!elements.length) return;
+
+  const controller = createAbortController();
+  const springs = [...elements].map((el) => ({
+    el,
+    value: { x: 0, y: 0, scale: 1 },
+    velocity: { x: 0, y: 0, scale: 0 },
+    target: { x: 0, y: 0, scale: 1 },
+    /** @type {{left: number, top: number, width: number, height: number, version: number} | null} */
+    rest: null,
+  }));
+  let loop = null;
+
+  /**
+   * Where an element sits with no pull applied, re-measured after scroll or
+   * resize; a plain rect would include the spring's own translate and scale
+   * @param {{el: Element, value: {x: number, y: number, scale: number}, rest: Object | null}} spring - The element's spring
+   * @returns {{left: number, top: number, width: number, height: number}} Resting rect
+   */
+  function getRestingRect(spring) {
+    const { el, value } = spring;
+    if (spring.rest && spring.rest.version === pointerInput.layoutVersion) {
+      return spring.rest;
+    }
+    const rect = el.getBoundingClientRect();
+    const width = rect.width / value.scale;
+    const height = rect.height / value.scale;
+    spring.rest = {
+      left: rect.left + (rect.width - width) / 2 - value.x,
+      top: rect.top + (rect.height - height) / 2 - value.y,
+      width,
+      height,
+      version: pointerInput.layoutVersion,
+    };
+    return spring.rest;
+  }
+
+  function step() {
+    let settled = true;
+    springs.forEach(({ el, value, velocity, target }) => {
+      let moving = false;
+      Object.keys(value).forEach((axis) => {
+        velocity[axis] =
+          (velocity[axis] + (target[axis] - value[axis]) * MAGNETIC_STIFFNESS) *
+          MAGNETIC_DAMPING;
+        value[axis] += velocity[axis];
+        if (
+          Math.abs(velocity[axis]) > 0.001 ||
+          Math.abs(target[axis] - value[axis]) > 0.001
+        ) {
+          moving = true;
+        } else {
+          value[axis] = target[axis];
+          velocity[axis] = 0;
+        }
+      });
+      gsap.set(el, value);
+      if (moving) settled = false;
+    });
+
+    if (settled) {
+      cancelScheduled(loop);
+      loop = null;
+    }
+  }
+
+  const unsubscribe = onPointerChange((state) => {
+    const motion = getMotionScale();
+    springs.forEach((spring) => {
+      const { el, target } = spring;
+      const offset = getPointerOffset(el, state, getRestingRect(spring));
+      const over = offset !== null && offset.inside;
+      if (state.type === "touch") {
+        target.x = 0;
+        target.y = 0;
+        target.scale = over && state.pressed ? 1 - 0.05 * motion : 1;
+      } else {
+        const strength = over ? 0.3 * motion : 0;
+        target.x = over ? (offset.x - offset.width / 2) * strength : 0;
+        target.y = over ? (offset.y - offset.height / 2) * strength : 0;
+        target.scale = 1;
+      }
+    });
+    if (loop === null) loop = registerFrameLoop(step);
+  });
+
+  controller.signal.addEventListener("abort", () => {
+    unsubscribe();
+    if (loop !== null) cancelScheduled(loop);
+  });
+}
+
+// ================================
+// Location
+// ================================
+
+/**
+ * Initialize the location section with random responses
+ */
+function initMatrixLocation() {
+  const locationResponse = document.querySelector(".location-response");
+  const locationCoords = document.getElementById("location-coords");
+
+  if (!locationResponse || !locationCoords) return;
+
+  const pairs = [
+    {
+      response: "There's no place like 127.0.0.1",
+      subtitle: "localhost, sweet localhost",
+    },
+    { response: "Successfully invisible", subtitle: "VPN detected. Nice try." },
+    {
+      response: "ping reality: Request timed out",
+      subtitle: "packet loss: 100%",
+    },
+    { response: "/dev/null", subtitle: "where all locations go to rest" },
+    { response: "Location: undefined", subtitle: "Mental state: caffeinated" },
+    {
+      response: "Result: NULL",
+      subtitle: 'db.locations.find({entity: "nulloxide"}) → [ ]',
+    },
+    {
+      response: "Somewhere between 0 and 1",
+      subtitle: "lat: NaN, long: undefined",
+    },
+    {
+      response: "404: Physical location not found",
+      subtitle: "coordinates: [consciousness, caffeine]",
+    },
+  ];
+
+  ScrollTrigger.create({
+    trigger: ".section--location",
+    start: "top 70%",
+    onEnter: () => {
+      gsap.to(".location-prompt", { opacity: 1, duration: 0.5 });
+
+      registerTimeout(() => {
+        const pair = pairs[Math.floor(Math.random() * pairs.length)];
+        typewrite(locationResponse, pair.response, { speed: 50 }).then(
+          (done) => {
+            if (!done) return;
+            registerTimeout(() => {
+              locationCoords.textContent = pair.subtitle;
+              gsap.to(locationCoords, { opacity: 1, duration: 0.5 });
+            }, 500);
+          },
+        );
+      }, 800);
+    },
+    once: true,
+  });
+}
+
+// ================================
+// Typewriter
+// ================================
+
+/**
+ * Typing settings
+ * @typedef {Object} TypewriterOptions
+ * @property {number} [speed=50] - Delay between characters in ms
+ * @property {number} [jitter=0] - Random extra delay per character in ms
+ * @property {boolean} [cursor=true] - Show a blinking cursor while typing
+ * @property {boolean} [announce=true] - Announce the finished text to screen readers
+ * @property {AbortSignal} [signal] - Stops typing where it is when aborted
+ */
+
+/**
+ * The latest typewrite call on each element
+ * @type {WeakMap<Element, object>}
+ */
+const typewriterOwners = new WeakMap();
+
+/**
+ * Type text or a DOM fragment into an element character by character
+ * The source is walked node by node: elements are recreated empty and
+ * their text nodes filled in, so nested markup and entities stay intact.
+ * While typing the element is hidden from assistive technology and the
+ * finished text is announced once instead of every keystroke.
+ * @param {Element} element - Target element, emptied first
+ * @param {string | Node} content - Plain text, or a node whose contents are typed
+ * @param {TypewriterOptions} [options] - Typing settings
+ * @returns {Promise<boolean>} True once finished, false when cancelled
+ */
+async function typewrite(element, content, options = {}) {
+  // A newer call on the element takes it over; older ones leave it alone
+  const token = {};
+  typewriterOwners.set(element, token);
+
+  const {
+    speed = 50,
+    jitter = 0,
+    cursor: showCursor = true,
+    announce = true,
+    signal,
+  } = options;
+
+  const source = document.createDocumentFragment();
+  if (typeof content === "string") {
+    source.textContent = content;
+  } else {
+    content.childNodes.forEach((node) => {
+      source.appendChild(node.cloneNode(true));
+    });
+    if (content.nodeType === Node.TEXT_NODE) {
+      source.appendChild(content.cloneNode());
+    }
+  }
+
+  element.textContent = "";
+  if ((signal && signal.aborted) || getMotionLevel() !== "full") {
+    element.removeAttribute("aria-hidden");
+  }
+  if (signal && signal.aborted) return false;
+
+  if (getMotionLevel() !== "full") {
+    element.appendChild(source);
+    if (announce) announceToScreenReader(element.textContent || "");
+    return true;
+  }
+
+  const cursor = document.createElement("span");
+  cursor.className = "cursor-blink";
+  cursor.textContent = "_";
+
+  const wait = () =>
+    new Promise((resolve) => {
+      registerTimeout(resolve, speed + Math.random() * jitter);
+    });
+
+  element.setAttribute("aria-hidden", "true");
+
+  /**
+   * Recreate the children of one source node inside a target node
+   * @param {Node} from - Source node
+   * @param {Node} to - Target node
+   * @returns {Promise<boolean>} False when cancelled
+   */
+  async function typeChildren(from, to) {
+    for (const node of from.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = document.createTextNode("");
+        to.appendChild(text);
+        if (showCursor) text.after(cursor);
+
+        // Iterate by code point so surrogate pairs never split
+        for (const char of node.data) {
+          if (signal && signal.aborted) return false;
+          text.data += char;
+          if (char.trim()) playSound("key");
+          await wait();
+        }
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const copy = node.cloneNode(false);
+        to.appendChild(copy);
+        if (!(await typeChildren(node, copy))) return false;
+      }
+    }
+    return true;
+  }
+
+  const completed = await typeChildren(source, element);
+  cursor.remove();
+  if (typewriterOwners.get(element) === token) {
+    typewriterOwners.delete(element);
+    element.removeAttribute("aria-hidden");
+  }
+
+  if (completed && announce) {
+    announceToScreenReader(element.textContent || "");
+  }
+  return completed;
+}
+
+/**
+ * Announce text through a shared, visually hidden live region
+ * @param {string} text - Text to announce
+ */
+function announceToScreenReader(text) {
+  let region = document.getElementById("sr-announcer");
+  if (!region) {
+    region = document.createElement("div");
+    region.id = "sr-announcer";
+    region.className = "sr-only";
+    region.setAttribute("role", "status");
+    region.setAttribute("aria-live", "polite");
+    document.body.appendChild(region);
+  }
+
+  // Clear first so the same message twice is still announced
+  region.textContent = "";
+  registerTimeout(() => {
+    region.textContent = text.trim();
+  }, 50);
+}
+
+// ================================
+// Templates
+// ================================
+
+/**
+ * Dynamic values available as {name} in templates
+ * @type {Record<string, () => string>}
+ */
+const TEMPLATE_VALUES = {
+  year: () => String(new Date().getFullYear()),
+  age: () => String(getAgeStats().years),
+  days: () => getAgeStats().totalDays.toLocaleString(),
+  uptime: () => formatUptime(getAgeStats()),
+  visitor: () => getVisitorTag(),
+};
+
+/**
+ * Styling tokens: {name}...{/name} wraps text in the element described here
+ * @type {Record<string, {tag: string, className?: string}>}
+ */
+const TEMPLATE_STYLES = {
+  accent: { tag: "span", className: "accent" },
+  dim: { tag: "span", className: "dim" },
+  kbd: { tag: "kbd" },
+};
+
+/**
+ * Render a template string into DOM nodes
+ * {name} inserts a value as text, {style}...{/style} wraps text in a known
+ * element and {{ / }} produce literal braces. Nothing is parsed as HTML, and
+ * unknown or unbalanced tokens stay visible as typed so mistakes show up.
+ * @param {string} template - Template text
+ * @param {Record<string, string | (() => string)>} [values] - Extra or overriding values
+ * @returns {DocumentFragment} Rendered nodes
+ */
+function renderTemplate(template, values = {}) {
+  const hasOwn = (object, key) =>
+    Object.prototype.hasOwnProperty.call(object, key);
+  const fragment = document.createDocumentFragment();
+  /** @type {Array<{name: string, node: Node}>} */
+  const stack = [{ name: "", node: fragment }];
+  const top = () => stack[stack.length - 1].node;
+  const text = (value) => {
+    if (value) top().appendChild(document.createTextNode(value));
+  };
+
+  const pattern = /\{\{|\}\}|\{(\/?)([a-z][\w-]*)\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(template))) {
+    text(template.slice(last, match.index));
+    last = pattern.lastIndex;
+
+    const [token, closing, name] = match;
+    if (token === "{{" || token === "}}") {
+      text(token[0]);
+    } else if (closing) {
+      // Close the innermost open style of that name
+      let depth = stack.length - 1;
+      while (depth > 0 && stack[depth].name !== name) depth--;
+      if (depth > 0) {
+        stack.length = depth;
+      } else {
+        text(token);
+      }
+    } else if (hasOwn(TEMPLATE_STYLES, name)) {
+      const style = TEMPLATE_STYLES[name];
+      const el = document.createElement(style.tag);
+      if (style.className) el.className = style.className;
+      top().appendChild(el);
+      stack.push({ name, node: el });
+    } else if (hasOwn(values, name) || hasOwn(TEMPLATE_VALUES, name)) {
+      const value = hasOwn(values, name) ? values[name] : TEMPLATE_VALUES[name];
+      text(String(typeof value === "function" ? value() : value));
+    } else {
+      text(token);
+    }
+  }
+
+  text(template.slice(last));
+  return fragment;
+}
+
+// ================================
+// Nickname Input - Sesame Gate
+// ================================
+
+/**
+ * A nickname era and how the gate greets it
+ * @typedef {Object} NicknameEra
+ * @property {string} id - The nickname itself, also used as the era key
+ * @property {string[]} aliases - Other spellings that mean the same era
+ * @property {string} era - Line shown when recognised
+ * @property {string} subject - Email subject template, {name} is what was typed
+ * @property {string} accent - CSS variable tinting the reveal
+ * @property {string} art - ASCII art shown with the reveal
+ * @property {string} followUp - Closing line under the art
+ * @property {string} ageJoke - Hero age line template for returning visitors
+ * @property {string} hint - Achievement hint shown until the era is found
+ */
+
+/** @type {NicknameEra[]} */
+const NICKNAME_ERAS = [
+  {
+    id: "mohsen",
+    aliases: ["mohsen r", "mr mohsen", "mohssen", "mohsin"],
+    era: "The formal era. Parents? Teachers? Government forms?",
+    subject: "Formal inquiry from {name}",
+    accent: "--syntax-register",
+    art: [
+      " _______________",
+      "|  FORM 27-B/6  |",
+      "|  name: MOHSEN |",
+      "|_______________|",
+    ].join("\n"),
+    followUp: "Fill in the subject line. In triplicate.",
+    ageJoke: "{age} years on paper. All {days} days filed in triplicate.",
+    hint: "The name on government forms",
+  },
+  {
+    id: "ramez",
+    aliases: ["rami", "ramez r"],
+    era: "High school! You survived those years with me.",
+    subject: "Hey Ramez, it's {name} from high school",
+    accent: "--syntax-string",
+    art: [
+      " ____________",
+      "|  CLASS OF  |",
+      "|    '99     |",
+      "|____________|",
+    ].join("\n"),
+    followUp: "Tell me you still have the yearbook.",
+    ageJoke: "{age} now. Still owe you lunch money from high school.",
+    hint: "What high school called me",
+  },
+  {
+    id: "null",
+    aliases: ["nul", "null ptr", "nullptr"],
+    era: "End of high school. BBS days. You saw the origin.",
+    subject: "NO CARRIER? It's {name} from the BBS",
+    accent: "--accent",
+    art: ["ATDT 555-0199", "CONNECT 14400", ">> WELCOME TO THE VOID <<"].join(
+      "\n",
+    ),
+    followUp: "Leave a message after the carrier tone.",
+    ageJoke: "{age} years. Still flinching when the phone rings mid-download.",
+    hint: "A BBS handle, before the oxide",
+  },
+  {
+    id: "linux",
+    aliases: ["linux guy", "tux", "gnu linux"],
+    era: "University era. Compiling kernels and idealism.",
+    subject: "{name} here - still compiling?",
+    accent: "--syntax-number",
+    art: [
+      "    .--.",
+      "   |o_o |",
+      "   |:_/ |",
+      "  //   \\ \\",
+      " (|     | )",
+      "/'\\_   _/`\\",
+      "\\___)=(___/",
+    ].join("\n"),
+    followUp: "Bring your own kernel config.",
+    ageJoke: "{uptime} of uptime. Never rebooted into anything else.",
+    hint: "University, compiling kernels",
+  },
+  {
+    id: "dotcom",
+    aliases: ["dot com", "dotcom guy"],
+    era: "Uni days. When we thought the web would save us all.",
+    subject: "{name} here - remember the dotcom days?",
+    accent: "--syntax-keyword",
+    art: ["$$$ www.anything.com $$$", "[IPO] -> [???] -> [404]"].join("\n"),
+    followUp: "Stock options still worthless. Memories priceless.",
+    ageJoke: "{age} years. Finally profitable. Emotionally.",
+    hint: "Uni days, when the web would save us all",
+  },
+  {
+    id: "mosi",
+    aliases: ["mossi", "mosy"],
+    era: "The 30s. You knew me when I had opinions about wine.",
+    subject: "Mosi! It's {name}. Wine soon?",
+    accent: "--rust",
+    art: ["  _____", "  \\   /", "   \\_/", "    |", "  __|__"].join("\n"),
+    followUp: "Red or white? Doesn't matter. Write.",
+    ageJoke: "{age} years. Aged like the wine we argued about.",
+    hint: "The 30s, arguing about wine",
+  },
+  {
+    id: "mojen",
+    aliases: ["mojan", "mozhen"],
+    era: "The 30s variant. Close enough to formal, far from it.",
+    subject: "Mojen, it's {name}",
+    accent: "--syntax-keyword",
+    art: ["mo.jen  ~  mo.hsen", "close. not quite."].join("\n"),
+    followUp: "Both spellings accepted at this gate.",
+    ageJoke: "{age} years, whichever way you spell it.",
+    hint: "A 30s spelling, close to formal",
+  },
+  {
+    id: "moe",
+    aliases: ["mo", "moe r", "mr moe"],
+    era: "Finance era. You know me in a suit. Somehow.",
+    subject: "Moe - {name} here, off the record",
+    accent: "--syntax-number",
+    art: ["         ___/", "    /\\__/", "___/    Q4: fine."].join("\n"),
+    followUp: "No meeting invite required.",
+    ageJoke: "{days} days. Annualised, that's a lot of meetings.",
+    hint: "The finance era, in a suit",
+  },
+  {
+    id: "nulloxide",
+    aliases: ["null oxide", "nulloxid", "0x00"],
+    era: "Internet age. You found me in the void.",
+    subject: "Found you in the void - {name}",
+    accent: "--accent",
+    art: [
+      ".-------------------.",
+      "| 0x00 >> /dev/null |",
+      "'-------------------'",
+    ].join("\n"),
+    followUp: "The void says hi.",
+    ageJoke: "{uptime} in the void. You found the log.",
+    hint: "The handle this site is named after",
+  },
+];
+
+NICKNAME_ERAS.forEach((era) =>
+  registerAchievement(`era-${era.id}`, {
+    title: `Opened the gate as ${era.id}`,
+    hint: era.hint,
+  }),
+);
+
+/** Subject used when the gate does not recognise the nickname */
+const NICKNAME_DEFAULT_SUBJECT = "Hey, it's {name}";
+
+/**
+ * Fold a nickname for comparison: no diacritics, no case, no punctuation
+ * @param {string} text - Raw input
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function foldNickname(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits
+ */
+function getEditDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(distance);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Typos forgiven for a nickname of this length
+ * @param {number} length - Folded input length
+ * @returns {number} Accepted edit distance
+ */
+function getNicknameTolerance(length) {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Find the era behind a nickname
+ * Exact names and aliases win, then any single word of the input (short
+ * aliases like "mo" only count on their own, not inside a phrase), then
+ * prefixes of four letters or more, then the closest name within the typo
+ * tolerance. A name just outside the tolerance comes back as a suggestion.
+ * @param {string} input - What the visitor typed
+ * @returns {{era: NicknameEra | null, exact: boolean, suggestion: NicknameEra | null}} Match result
+ */
+function matchNickname(input) {
+  const folded = foldNickname(input);
+  const none = { era: null, exact: false, suggestion: null };
+  if (!folded) return none;
+
+  const names = NICKNAME_ERAS.flatMap((era) =>
+    [era.id, ...era.aliases].map((name) => ({ name: foldNickname(name), era })),
+  );
+  const find = (text) => names.find((entry) => entry.name === text);
+
+  const exact = find(folded) || find(folded.replace(/ /g, ""));
+  if (exact) return { era: exact.era, exact: true, suggestion: null };
+
+  const word = folded
+    .split(" ")
+    .map(find)
+    .find((entry) => entry && entry.name.length >= 3);
+  if (word) return { era: word.era, exact: false, suggestion: null };
+
+  const compact = folded.replace(/ /g, "");
+  if (compact.length >= 4) {
+    const prefix = names.find((entry) =>
+      entry.name.replace(/ /g, "").startsWith(compact),
+    );
+    if (prefix) return { era: prefix.era, exact: false, suggestion: null };
+  }
+
+  let best = null;
+  names.forEach((entry) => {
+    const distance = getEditDistance(compact, entry.name.replace(/ /g, ""));
+    if (!best || distance < best.distance) best = { ...entry, distance };
+  });
+
+  const tolerance = getNicknameTolerance(compact.length);
+  if (best.distance <= tolerance) {
+    return { era: best.era, exact: false, suggestion: null };
+  }
+  if (best.distance <= tolerance + 1) {
+    return { ...none, suggestion: best.era };
+  }
+  return none;
+}
+
+/** @type {{close: () => void} | null} */
+let nicknameGate = null;
+
+/**
+ * Initialize the nickname input "sesame gate" feature
+ */
+function initNicknameInput() {
+  const input = document.getElementById("nickname-input");
+  const response = document.getElementById("nickname-response");
+  const btn = document.getElementById("sesame-btn");
+
+  if (!input || !response || !btn) return;
+
+  const controller = createAbortController();
+  const box = btn.closest(".reconnect-box");
+  /** @type {string | null} */
+  let hintedFor = null;
+
+  const defaultResponses = [
+    "Hmm, don't recognize that one. But I'll trust you.",
+    "Interesting. You had a unique name for me.",
+    "Can't place the era, but you seem legit.",
+    "Memory fuzzy. Too many kernel panics.",
+  ];
+
+  /**
+   * Append a paragraph to the response area
+   * @param {string} text - Paragraph text
+   * @param {string} [className] - Extra class
+   * @returns {HTMLElement} The paragraph
+   */
+  function addLine(text, className) {
+    const p = document.createElement("p");
+    if (className) p.className = className;
+    p.textContent = text;
+    response.appendChild(p);
+    return p;
+  }
+
+  /**
+   * Offer a near-miss nickname without opening the gate yet
+   * @param {NicknameEra} era - Suggested era
+   */
+  function suggest(era) {
+    const p = addLine("Did you mean ");
+    const suggestion = document.createElement("button");
+    suggestion.type = "button";
+    suggestion.className = "nickname-suggestion";
+    suggestion.textContent = era.id;
+    suggestion.addEventListener(
+      "click",
+      () => {
+        input.value = era.id;
+        processNickname();
+      },
+      { signal: controller.signal },
+    );
+    p.append(suggestion, "?");
+  }
+
+  function processNickname() {
+    const typed = input.value.trim();
+    response.textContent = "";
+    response.classList.add("visible");
+
+    if (!typed) {
+      addLine("Type something. I don't bite. Much.");
+      return;
+    }
+
+    const { era, exact, suggestion } = matchNickname(typed);
+
+    // A second try with the same near miss opens the gate anyway
+    if (suggestion && hintedFor !== typed) {
+      hintedFor = typed;
+      suggest(suggestion);
+      return;
+    }
+    hintedFor = null;
+
+    if (era) {
+      addLine(exact ? era.era : `(reading that as "${era.id}") ${era.era}`);
+      const art = addLine(era.art, "nickname-art");
+      art.setAttribute("aria-hidden", "true");
+      addLine(era.followUp, "nickname-follow-up dim");
+    } else {
+      addLine(
+        defaultResponses[Math.floor(Math.random() * defaultResponses.length)],
+      );
+    }
+
+    // Only a known era reopens the gate on the next visit, so only it is kept
+    if (era) {
+      rememberVisitor(era);
+      unlockAchievement(`era-${era.id}`);
+      initVisitorStatus();
+    }
+
+    // Transform button to personal email link
+    registerTimeout(() => {
+      openGate(era, typed);
+      playSound("gate");
+    }, 1000);
+  }
+
+  /**
+   * Turn the button into a personal email link for the era
+   * @param {NicknameEra | null} era - Matched era
+   * @param {string} name - Nickname as typed
+   */
+  function openGate(era, name) {
+    if (box) {
+      if (era) {
+        box.style.setProperty("--era-accent", `var(${era.accent})`);
+      } else {
+        box.style.removeProperty("--era-accent");
+      }
+    }
+
+    const subject = renderTemplate(
+      era ? era.subject : NICKNAME_DEFAULT_SUBJECT,
+      { name },
+    ).textContent;
+
+    btn.classList.add("revealed");
+    const personalEmail = ["nulloxide", "@", "gmail", ".", "com"].join("");
+
+    // Create the link element properly
+    const link = document.createElement("a");
+    link.href = `mailto:${personalEmail}?subject=${encodeURIComponent(subject)}`;
+    link.style.cssText = "color: inherit; text-decoration: none;";
+    link.textContent = "Gates open. Click to email.";
+
+    btn.textContent = "";
+    btn.appendChild(link);
+  }
+
+  const closedContent = [...btn.childNodes].map((node) => node.cloneNode(true));
+
+  /**
+   * Put the gate back the way a first-time visitor finds it
+   */
+  function closeGate() {
+    if (box) box.style.removeProperty("--era-accent");
+    btn.classList.remove("revealed");
+    btn.replaceChildren(...closedContent.map((node) => node.cloneNode(true)));
+    input.value = "";
+    response.textContent = "";
+    response.classList.remove("visible");
+    hintedFor = null;
+  }
+
+  nicknameGate = { close: closeGate };
+
+  // Returning visitors from a known era find the gate already open
+  const era = getVisitorEra();
+  if (era) {
+    input.value = era.id;
+    openGate(era, era.id);
+  }
+
+  btn.addEventListener(
+    "click",
+    (e) => {
+      if (!btn.classList.contains("revealed")) {
+        e.preventDefault();
+        processNickname();
+      }
+    },
+    { signal: controller.signal },
+  );
+
+  input.addEventListener(
+    "keypress",
+    (e) => {
+      if (e.key === "Enter") {
+        processNickname();
+      }
+    },
+    { signal: controller.signal },
+  );
+}
+
+// ================================
+// Scroll Progress Indicator
+// ================================
+
+/**
+ * Initialize the scroll progress bar at the top of the page
+ * Uses rAF throttling for better performance
+ */
+function initScrollProgress() {
+  const progressBar = document.getElementById("scroll-progress");
+  if (!progressBar) return;
+
+  const controller = createAbortController();
+  let ticking = false;
+
+  function updateProgress() {
+    const scrollTop = window.scrollY;
+    const docHeight =
+      document.documentElement.scrollHeight - window.innerHeight;
+    const progress = docHeight > 0 ? (scrollTop / docHeight) * 100 : 0;
+    progressBar.style.width = `${progress}%`;
+    ticking = false;
+  }
+
+  window.addEventListener(
+    "scroll",
+    () => {
+      if (!ticking) {
+        requestAnimationFrame(updateProgress);
+        ticking = true;
+      }
+    },
+    { passive: true, signal: controller.signal },
+  );
+}
+
+// ================================
+// Scroll to Top
+// ================================
+
+/**
+ * Initialize the scroll-to-top button
+ */
+function initScrollToTop() {
+  const btn = document.getElementById("scroll-top");
+  if (!btn) return;
+
+  const controller = createAbortController();
+
+  btn.addEventListener(
+    "click",
+    () => {
+      if (lenis) {
+        lenis.scrollTo(0, { duration: 2 });
+      } else {
+        window.scrollTo({
+          top: 0,
+          behavior: getMotionScale() ? "smooth" : "auto",
+        });
+      }
+    },
+    { signal: controller.signal },
+  );
+}
+
+// ================================
+// Rotating Placeholder
+// ================================
+
+/**
+ * Initialize rotating placeholder text for the nickname input
+ */
+function initRotatingPlaceholder() {
+  const input = document.getElementById("nickname-input");
+  if (!input) return;
+
+  const placeholders = [
+    "mohsen? moe? that kid?",
+    "the 3am debugger?",
+    "null? linux? dotcom?",
+    "ramez from high school?",
+    "the FreeBSD guy?",
+    "too many monitors guy?",
+  ];
+
+  let currentIndex = 0;
+
+  registerInterval(
+    () => {
+      currentIndex = (currentIndex + 1) % placeholders.length;
+      input.placeholder = placeholders[currentIndex];
+    },
+    4000,
+    "ambient",
+  );
+}
+
+// ================================
+// Console Easter Egg
+// ================================
+console.log(
+  "%c∅→ nulloxide",
+  "font-size: 20px; font-weight: bold; color: #00ff9d;",
+);
+console.log(
+  "%c" +
+    `
+    ╔══════════════════════════════════════╗
+    ║  You found the console.              ║
+    ║  Respect.                            ║
+    ║                                      ║
+    ║  Type 'nulloxide.help()' for more.   ║
+    ╚══════════════════════════════════════╝
+`,
+  "color: #4a4a58; font-family: monospace;",
+);
+
+registerAchievement("console", {
+  title: "Answered the console banner",
+  hint: "Developers check the console",
+});
+
+// ================================
+// Shell Commands
+// ================================
+
+/**
+ * Output sink handed to shell commands
+ * @typedef {Object} ShellIO
+ * @property {'console' | 'terminal'} kind - Where the output ends up
+ * @property {(text: string, tone?: string) => void} print - Print one line
+ * @property {() => void} clear - Clear the screen
+ * @property {(label: string) => Promise<string | null>} [read] - Ask for a line of input, null when interrupted
+ * @property {AbortSignal} [signal] - Aborted when the visitor interrupts the command
+ */
+
+/**
+ * A command available both as nulloxide.<name>() and in the terminal prompt
+ * @typedef {Object} ShellCommand
+ * @property {string} description - One-line summary shown by help
+ * @property {(args: string[], io: ShellIO) => (void | Promise<void>)} run - Command body
+ * @property {(partial: string, args: string[]) => string[]} [complete] - Tab completion candidates
+ * @property {boolean} [hidden] - Left out of help and command completion
+ */
+
+/**
+ * Console styles per output tone
+ * @type {Record<string, string>}
+ */
+const CONSOLE_TONES = {
+  heading: "color: #00ff9d; font-weight: bold;",
+  accent: "color: #00ff9d;",
+  rust: "color: #ff6b35; font-weight: bold;",
+  dim: "color: #4a4a58;",
+  error: "color: #ff6b35;",
+};
+
+/** @type {ShellIO} */
+const consoleIO = {
+  kind: "console",
+  read: (label) => Promise.resolve(window.prompt(label)),
+  print(text, tone) {
+    if (tone && CONSOLE_TONES[tone]) {
+      console.log("%c%s", CONSOLE_TONES[tone], text);
+    } else {
+      console.log(text);
+    }
+  },
+  clear() {
+    console.clear();
+  },
+};
+
+/**
+ * Register a command for the console API and the terminal shell
+ * @param {string} name - Command name
+ * @param {ShellCommand} command - Command definition
+ */
+function registerShellCommand(name, command) {
+  shellCommands.set(name, command);
+  nulloxideApi[name] = (...args) => {
+    unlockAchievement("console");
+    runShellCommand(name, args.map(String), consoleIO);
+  };
+}
+
+/**
+ * Run a registered command, reporting unknown names and failures to the IO
+ * @param {string} name - Command name
+ * @param {string[]} args - Arguments
+ * @param {ShellIO} io - Output sink
+ * @returns {Promise<void>} Resolves when the command has finished
+ */
+async function runShellCommand(name, args, io) {
+  const command = shellCommands.get(name);
+  if (!command) {
+    io.print(`${name}: command not found`, "error");
+    return;
+  }
+
+  try {
+    await command.run(args, io);
+  } catch (e) {
+    io.print(`${name}: ${e instanceof Error ? e.message : e}`, "error");
+  }
+}
+
+/**
+ * Split a command line into words, honouring quotes and backslash escapes
+ * An unquoted > or >> redirects output to the word after it; quoted or
+ * escaped, > is just text
+ * @param {string} line - Raw input
+ * @returns {{words: string[], target: string | null}} Words, and the redirect target: null without one, "" when it is missing
+ */
+function parseCommandLine(line) {
+  const words = [];
+  /** @type {string | null} */
+  let target = null;
+  let redirecting = false;
+  let current = "";
+  let quote = "";
+  let inWord = false;
+
+  const endWord = () => {
+    if (inWord && redirecting) {
+      target = current;
+      redirecting = false;
+    } else if (inWord) {
+      words.push(current);
+    }
+    current = "";
+    inWord = false;
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (ch === "\\" && quote !== "'" && i + 1 < line.length) {
+      current += line[++i];
+      inWord = true;
+    } else if (quote) {
+      if (ch === quote) {
+        quote = "";
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      inWord = true;
+    } else if (ch === ">") {
+      endWord();
+      if (line[i + 1] === ">") i++;
+      redirecting = true;
+    } else if (/\s/.test(ch)) {
+      endWord();
+    } else {
+      current += ch;
+      inWord = true;
+    }
+  }
+
+  endWord();
+  if (redirecting) target = "";
+  return { words, target };
+}
+
+registerShellCommand("help", {
+  description: "List available commands",
+  run: (args, io) => {
+    io.print("Available commands:", "heading");
+    shellCommands.forEach((command, name) => {
+      if (command.hidden) return;
+      const label =
+        io.kind === "console"
+          ? `nulloxide.${name}()`.padEnd(20) + "- "
+          : name.padEnd(10);
+      io.print(`  ${label}${command.description}`);
+    });
+  },
+});
+
+registerShellCommand("whoami", {
+  description: "Who's on the other end",
+  run: (args, io) => {
+    io.print(`guest (${getVisitorTag()})`, "accent");
+    io.print("You're in nulloxide's terminal. Be nice to it.", "dim");
+  },
+});
+
+registerShellCommand("age", {
+  description: "Calculate exact age",
+  run: (args, io) => {
+    const { years, days, hours } = getAgeStats();
+    io.print(`${years} years, ${days} days, ${hours} hours`, "accent");
+    io.print("and counting...", "dim");
+  },
+});
+
+registerShellCommand("stack", {
+  description: "Tech stack over the years",
+  run: (args, io) => {
+    io.print("The Evolution:", "rust");
+    io.print("  1980s: BASIC, Assembly, Amiga");
+    io.print("  1990s: C, Pascal, BBS, FreeBSD");
+    io.print("  2000s: Linux, Perl, PHP, MySQL");
+    io.print("  2010s: Python, Docker, K8s, Cloud");
+    io.print("  2020s: Finance, Data, Scale");
+    io.print("Still learning.", "accent");
+  },
+});
+
+registerShellCommand("contact", {
+  description: "Get in touch",
+  run: (args, io) => {
+    io.print("Reach out:", "heading");
+    io.print("  Work: sudo@nulloxide.com");
+    io.print("  Friends: nulloxide@gmail.com");
+    io.print("  LinkedIn: /in/nulloxide");
+    io.print("  Handle: @nulloxide (everywhere)");
+  },
+});
+
+registerShellCommand("source", {
+  description: "View source code",
+  run: (args, io) => {
+    io.print("View source: Ctrl+U or Cmd+Option+U", "accent");
+    io.print("Or just scroll up and read the code comments.", "dim");
+  },
+});
+
+registerShellCommand("theme", {
+  description: "Show or set the theme (system, light, dark, toggle)",
+  run: (args, io) => {
+    const [mode] = args;
+    if (mode === "toggle") {
+      setThemePreference(getCurrentTheme() === "dark" ? "light" : "dark");
+    } else if (THEME_PREFERENCES.includes(mode)) {
+      setThemePreference(mode);
+    } else if (mode) {
+      io.print("usage: theme [system|light|dark|toggle]", "error");
+      return;
+    }
+
+    const preference = getThemePreference();
+    io.print(
+      preference === "system"
+        ? `theme: ${getCurrentTheme()} (following system)`
+        : `theme: ${preference}`,
+      "accent",
+    );
+  },
+  complete: (partial) =>
+    [...THEME_PREFERENCES, "toggle"].filter((mode) => mode.startsWith(partial)),
+});
+
+registerShellCommand("motion", {
+  description: "Show or set motion (system, full, reduced, off)",
+  run: (args, io) => {
+    const [mode] = args;
+    if (MOTION_PREFERENCES.includes(mode)) {
+      setMotionPreference(mode);
+    } else if (mode) {
+      io.print("usage: motion [system|full|reduced|off]", "error");
+      return;
+    }
+
+    const preference = getMotionPreference();
+    io.print(
+      preference === "system"
+        ? `motion: ${getMotionLevel()} (following system)`
+        : `motion: ${preference}`,
+      "accent",
+    );
+  },
+  complete: (partial) =>
+    MOTION_PREFERENCES.filter((mode) => mode.startsWith(partial)),
+});
+
+registerShellCommand("background", {
+  description: "Show, list or switch the void canvas background",
+  run: (args, io) => {
+    const [id] = args;
+    if (id === "list") {
+      const current = getVoidRenderer();
+      VOID_RENDERERS.forEach((entry, rendererId) => {
+        const marker = rendererId === current ? "*" : " ";
+        io.print(`${marker} ${rendererId.padEnd(10)} ${entry.label}`);
+      });
+      return;
+    }
+    if (id && !VOID_RENDERERS.has(id)) {
+      io.print(`background: ${id}: no such background (try list)`, "error");
+      return;
+    }
+    if (id) setVoidRenderer(id);
+
+    io.print(`background: ${getVoidRenderer()}`, "accent");
+    if (getMotionLevel() !== "full") {
+      io.print(`hidden while motion is ${getMotionLevel()}`, "dim");
+    }
+  },
+  complete: (partial, args) =>
+    args.length > 1
+      ? []
+      : ["list", ...VOID_RENDERERS.keys()].filter((id) =>
+          id.startsWith(partial),
+        ),
+});
+
+registerShellCommand("mod", {
+  description: "Play, pause or show the intro music",
+  run: async (args, io) => {
+    const [action] = args;
+    if (action === "play") {
+      await playMod();
+    } else if (action === "pause" || action === "stop") {
+      await pauseMod();
+    } else if (action) {
+      io.print("usage: mod [play|pause]", "error");
+      return;
+    }
+
+    if (!modPlayer.context) {
+      io.print(`mod: ${MOD_URL} not loaded (try mod play)`, "dim");
+      return;
+    }
+    const { order, row } = modPlayer.position;
+    io.print(
+      `${modPlayer.title || MOD_URL}  ${modPlayer.playing ? "playing" : "paused"}  pos ${String(order).padStart(2, "0")}/${String(modPlayer.length).padStart(2, "0")} row ${String(row).padStart(2, "0")}`,
+      "accent",
+    );
+  },
+  complete: (partial) =>
+    ["play", "pause"].filter((action) => action.startsWith(partial)),
+});
+
+registerShellCommand("sound", {
+  description: "Show or switch the UI sounds",
+  run: (args, io) => {
+    const [state] = args;
+    if (state === "on" || state === "off") {
+      setSoundEnabled(state === "on");
+      if (state === "on") playSound("key");
+    } else if (state) {
+      io.print("usage: sound [on|off]", "error");
+      return;
+    }
+
+    io.print(`sound: ${isSoundEnabled() ? "on" : "off"}`, "accent");
+    if (isSoundEnabled() && getMotionLevel() !== "full") {
+      io.print(`quieter while motion is ${getMotionLevel()}`, "dim");
+    }
+  },
+  complete: (partial) =>
+    ["on", "off"].filter((state) => state.startsWith(partial)),
+});
+
+registerShellCommand("cracktro", {
+  description: "Run the Amiga cracktro (Esc to exit)",
+  run: (args, io) => {
+    if (getMotionLevel() !== "full") {
+      io.print(
+        `cracktro: needs motion full (motion is ${getMotionLevel()})`,
+        "error",
+      );
+      return;
+    }
+    openCracktro();
+    io.print("cracktro: press Esc to exit", "dim");
+  },
+});
+
+registerShellCommand("achievements", {
+  description: "List the easter eggs you have found",
+  run: (args, io) => {
+    const [action] = args;
+    if (action === "reset") {
+      resetAchievements();
+      io.print("achievements: reset", "accent");
+      return;
+    } else if (action) {
+      io.print("usage: achievements [reset]", "error");
+      return;
+    }
+
+    const { found, total } = getAchievementProgress();
+    io.print(`achievements: ${found}/${total} found`, "heading");
+    achievements.registry.forEach((achievement, id) => {
+      if (achievements.unlocked[id]) {
+        io.print(`  [x] ${achievement.title}`, "accent");
+      } else {
+        io.print(`  [ ] ??? - ${achievement.hint}`, "dim");
+      }
+    });
+  },
+  complete: (partial) => ("reset".startsWith(partial) ? ["reset"] : []),
+});
+
+registerShellCommand("clear", {
+  description: "Clear the screen",
+  run: (args, io) => io.clear(),
+});
+
+registerShellCommand("jobs", {
+  description: "List scheduler groups, or pause/resume/kill one",
+  hidden: true,
+  run: (args, io) => {
+    const [action, name] = args;
+    const actions = {
+      pause: pauseGroup,
+      resume: resumeGroup,
+      kill: teardownGroup,
+    };
+
+    if (action) {
+      if (!Object.prototype.hasOwnProperty.call(actions, action) || !name) {
+        io.print("usage: jobs [pause|resume|kill <group>]", "error");
+        return;
+      }
+      if (!scheduler.groups.has(name)) {
+        io.print(`jobs: ${name}: no such group`, "error");
+        return;
+      }
+      actions[action](name);
+    }
+
+    if (scheduler.suspendedBy.size > 0) {
+      io.print(`suspended (${[...scheduler.suspendedBy].join(", ")})`, "dim");
+    }
+    scheduler.groups.forEach((group, groupName) => {
+      const state = group.paused ? "paused " : "running";
+      io.print(`${state}  ${groupName}  ${group.tasks.size} tasks`);
+    });
+  },
+  complete: (partial, args) => {
+    const options =
+      args.length > 1
+        ? [...scheduler.groups.keys()]
+        : ["pause", "resume", "kill"];
+    return args.length > 2
+      ? []
+      : options.filter((option) => option.startsWith(partial));
+  },
+});
+
+registerShellCommand("bench", {
+  description: "Time the void canvas at several particle counts",
+  run: async (args, io) => {
+    if (!voidCanvas) {
+      io.print(
+        `bench: the void canvas is off (motion: ${getMotionLevel()})`,
+        "error",
+      );
+      return;
+    }
+
+    const counts = args.length
+      ? args.map(Number)
+      : [80, 160, 240, VOID_MAX_PARTICLES];
+    if (counts.some((n) => !Number.isInteger(n) || n < 1 || n > 2000)) {
+      io.print(
+        "usage: bench [count...] (1-2000 front-layer particles)",
+        "error",
+      );
+      return;
+    }
+
+    io.print(
+      `sampling ${VOID_BENCH_FRAMES} frames each with ${counts.join(", ")} front-layer particles ${voidCanvas.offscreen ? "in a worker" : "on the main thread"}...`,
+      "dim",
+    );
+    const results = await voidCanvas.benchmark(
+      counts,
+      VOID_BENCH_FRAMES,
+      io.signal,
+    );
+    io.print("all layers  avg ms  p95 ms  lines", "dim");
+    results.forEach((result) => {
+      io.print(
+        [
+          String(result.particles).padStart(10),
+          result.average.toFixed(2).padStart(6),
+          result.p95.toFixed(2).padStart(6),
+          String(result.connections).padStart(6),
+        ].join("  "),
+      );
+    });
+  },
+});
+
+window.nulloxide = nulloxideApi;
+
+// ================================
+// Virtual Filesystem
+// ================================
+
+/**
+ * Read-only in-memory filesystem behind ls, cd, cat and friends
+ * Built from the JSON tree in #vfs-tree: objects are directories,
+ * strings are files and null is a device that swallows writes
+ */
+const vfs = {
+  /** @type {Record<string, any> | null} */
+  root: null,
+  home: "/home/nulloxide",
+  cwd: "/home/nulloxide/journey",
+  previous: "/home/nulloxide/journey",
+};
+
+/**
+ * Get the filesystem root, parsing the JSON tree on first use
+ * @returns {Record<string, any>} Root directory node
+ */
+function getVfsRoot() {
+  if (vfs.root) return vfs.root;
+
+  vfs.root = {};
+  const source = document.getElementById("vfs-tree");
+  if (source) {
+    try {
+      vfs.root = JSON.parse(source.textContent || "{}");
+    } catch (e) {
+      console.warn("Filesystem tree is not valid JSON:", e);
+    }
+  }
+  return vfs.root;
+}
+
+/**
+ * Check whether a node is a directory
+ * @param {any} node - Filesystem node
+ * @returns {boolean} True for directories
+ */
+function isVfsDir(node) {
+  return node !== null && typeof node === "object";
+}
+
+/**
+ * Resolve a path to a node, walking it component by component like POSIX:
+ * ~ expands to home, .. at the root stays at the root, and a component
+ * (or trailing slash) after a file fails with "Not a directory"
+ * @param {string} path - Absolute or relative path
+ * @returns {{path: string, node: any, error: string | null}} Absolute path and node
+ */
+function resolveVfsPath(path) {
+  let start = vfs.cwd;
+  let rest = path;
+  if (path === "~" || path.startsWith("~/")) {
+    start = vfs.home;
+    rest = path.slice(1);
+  } else if (path.startsWith("/")) {
+    start = "/";
+  }
+
+  const root = getVfsRoot();
+  const nodes = [root];
+  const names = [];
+  const components = [
+    ...start.split("/").filter(Boolean),
+    ...rest.split("/").filter(Boolean),
+  ];
+
+  for (const part of components) {
+    const current = nodes[nodes.length - 1];
+    const error = !isVfsDir(current)
+      ? "Not a directory"
+      : part !== "." &&
+          part !== ".." &&
+          !Object.prototype.hasOwnProperty.call(current, part)
+        ? "No such file or directory"
+        : null;
+    if (error) {
+      return { path: `/${names.join("/")}`, node: undefined, error };
+    }
+
+    if (part === "..") {
+      if (nodes.length > 1) {
+        nodes.pop();
+        names.pop();
+      }
+    } else if (part !== ".") {
+      nodes.push(current[part]);
+      names.push(part);
+    }
+  }
+
+  const node = nodes[nodes.length - 1];
+  if (path.endsWith("/") && !isVfsDir(node)) {
+    return {
+      path: `/${names.join("/")}`,
+      node: undefined,
+      error: "Not a directory",
+    };
+  }
+  return { path: `/${names.join("/")}`, node, error: null };
+}
+
+/**
+ * Check a write to a path. Only devices accept writes; the rest is read-only
+ * @param {string} path - Target path
+ * @returns {string | null} POSIX error message, or null when the write was swallowed
+ */
+function writeVfsPath(path) {
+  const slash = path.lastIndexOf("/");
+  const dirname = slash > 0 ? path.slice(0, slash) : slash === 0 ? "/" : ".";
+  const basename = path.slice(slash + 1);
+
+  const parent = resolveVfsPath(dirname);
+  if (parent.error) return parent.error;
+  if (!isVfsDir(parent.node)) return "Not a directory";
+  if (!basename) return "Is a directory";
+
+  if (basename === "." || basename === "..") return "Is a directory";
+
+  const node = Object.prototype.hasOwnProperty.call(parent.node, basename)
+    ? parent.node[basename]
+    : undefined;
+  if (isVfsDir(node)) return "Is a directory";
+  if (node === null) return null;
+  return "Read-only file system";
+}
+
+/**
+ * List the entries of a directory, sorted, optionally with dotfiles
+ * @param {Record<string, any>} dir - Directory node
+ * @param {boolean} [all] - Include entries starting with a dot
+ * @returns {string[]} Entry names
+ */
+function listVfsDir(dir, all = false) {
+  return Object.keys(dir)
+    .filter((name) => all || !name.startsWith("."))
+    .sort();
+}
+
+/**
+ * Show the working directory in the terminal title bar, ~ for home
+ */
+function updatePromptPath() {
+  const pathEl = document.querySelector(".prompt-path");
+  if (!pathEl) return;
+
+  const cwd = vfs.cwd;
+  const display =
+    cwd === vfs.home || cwd.startsWith(`${vfs.home}/`)
+      ? `~${cwd.slice(vfs.home.length)}`
+      : cwd;
+  pathEl.textContent = ` ${display}`;
+}
+
+/**
+ * Tab completion for path arguments
+ * @param {string} partial - Path typed so far
+ * @param {boolean} [dirsOnly] - Only offer directories
+ * @returns {string[]} Completed paths, directories with a trailing slash
+ */
+function completeVfsPath(partial, dirsOnly = false) {
+  const slash = partial.lastIndexOf("/");
+  const dirPart = slash >= 0 ? partial.slice(0, slash + 1) : "";
+  const prefix = partial.slice(slash + 1);
+  const { node } = resolveVfsPath(dirPart || ".");
+  if (!isVfsDir(node)) return [];
+
+  return listVfsDir(node, prefix.startsWith("."))
+    .filter((name) => name.startsWith(prefix))
+    .filter((name) => !dirsOnly || isVfsDir(node[name]))
+    .map((name) => dirPart + name + (isVfsDir(node[name]) ? "/" : ""));
+}
+
+/**
+ * Split leading -flags from the remaining arguments
+ * @param {string[]} args - Raw arguments
+ * @returns {{flags: Set<string>, operands: string[]}} Parsed arguments
+ */
+function parseFlags(args) {
+  const flags = new Set();
+  const operands = [];
+  let done = false;
+
+  args.forEach((arg) => {
+    if (!done && arg === "--") {
+      done = true;
+    } else if (!done && arg.length > 1 && arg.startsWith("-")) {
+      arg
+        .slice(1)
+        .split("")
+        .forEach((flag) => flags.add(flag));
+    } else {
+      operands.push(arg);
+    }
+  });
+  return { flags, operands };
+}
+
+registerShellCommand("pwd", {
+  description: "Print working directory",
+  run: (args, io) => io.print(vfs.cwd),
+});
+
+registerShellCommand("cd", {
+  description: "Change directory",
+  run: (args, io) => {
+    const [target = vfs.home] = args;
+    const { path, node, error } = resolveVfsPath(
+      target === "-" ? vfs.previous : target,
+    );
+    if (error) {
+      io.print(`cd: ${target}: ${error}`, "error");
+    } else if (!isVfsDir(node)) {
+      io.print(`cd: ${target}: Not a directory`, "error");
+    } else {
+      if (target === "-") io.print(path);
+      vfs.previous = vfs.cwd;
+      vfs.cwd = path;
+      updatePromptPath();
+    }
+  },
+  complete: (partial) => completeVfsPath(partial, true),
+});
+
+registerShellCommand("ls", {
+  description: "List directory contents (-a for dotfiles)",
+  run: (args, io) => {
+    const { flags, operands } = parseFlags(args);
+    const targets = operands.length ? operands : ["."];
+
+    targets.forEach((target, i) => {
+      const { node, error } = resolveVfsPath(target);
+      if (error) {
+        io.print(`ls: ${target}: ${error}`, "error");
+        return;
+      }
+      if (!isVfsDir(node)) {
+        io.print(target);
+        return;
+      }
+
+      if (targets.length > 1) {
+        if (i > 0) io.print("");
+        io.print(`${target}:`, "dim");
+      }
+      const names = listVfsDir(node, flags.has("a"));
+      if (names.length) {
+        io.print(
+          names
+            .map((name) => (isVfsDir(node[name]) ? `${name}/` : name))
+            .join("  "),
+        );
+      }
+    });
+  },
+  complete: (partial) => completeVfsPath(partial),
+});
+
+registerShellCommand("cat", {
+  description: "Print file contents",
+  run: (args, io) => {
+    if (!args.length) {
+      io.print("usage: cat file ...", "error");
+      return;
+    }
+
+    args.forEach((target) => {
+      const { node, error } = resolveVfsPath(target);
+      if (error) {
+        io.print(`cat: ${target}: ${error}`, "error");
+      } else if (isVfsDir(node)) {
+        io.print(`cat: ${target}: Is a directory`, "error");
+      } else if (node) {
+        node
+          .replace(/\n$/, "")
+          .split("\n")
+          .forEach((line) => io.print(line));
+      }
+    });
+  },
+  complete: (partial) => completeVfsPath(partial),
+});
+
+registerShellCommand("tree", {
+  description: "Show a directory tree",
+  run: (args, io) => {
+    const { flags, operands } = parseFlags(args);
+    const [target = "."] = operands;
+    const { node, error } = resolveVfsPath(target);
+    if (error) {
+      io.print(`tree: ${target}: ${error}`, "error");
+      return;
+    }
+
+    let dirs = 0;
+    let files = 0;
+
+    /**
+     * @param {Record<string, any>} dir - Directory to print
+     * @param {string} indent - Prefix for this depth
+     */
+    function walk(dir, indent) {
+      const names = listVfsDir(dir, flags.has("a"));
+      names.forEach((name, i) => {
+        const last = i === names.length - 1;
+        const child = dir[name];
+        io.print(
+          `${indent}${last ? "└── " : "├── "}${name}`,
+          isVfsDir(child) ? "accent" : undefined,
+        );
+        if (isVfsDir(child)) {
+          dirs++;
+          walk(child, indent + (last ? "    " : "│   "));
+        } else {
+          files++;
+        }
       });
-      gsap.to(".layer-4", {
-        opacity: 0.8,
-        scale: 1,
-        duration: 0.8,
-        delay: 0.45,
-        ease: "power2.out",
+    }
+
+    io.print(target, "accent");
+    if (isVfsDir(node)) walk(node, "");
+    io.print("");
+    io.print(
+      `${dirs} director${dirs === 1 ? "y" : "ies"}, ${files} file${files === 1 ? "" : "s"}`,
+      "dim",
+    );
+  },
+  complete: (partial) => completeVfsPath(partial, true),
+});
+
+registerShellCommand("grep", {
+  description: "Search files for a pattern (-i, -n, -r)",
+  run: (args, io) => {
+    const { flags, operands } = parseFlags(args);
+    const [pattern, ...targets] = operands;
+    if (pattern === undefined) {
+      io.print("usage: grep [-inr] pattern [file ...]", "error");
+      return;
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags.has("i") ? "i" : "");
+    } catch (e) {
+      io.print(`grep: invalid pattern: ${pattern}`, "error");
+      return;
+    }
+
+    const recursive = flags.has("r");
+    if (!targets.length) {
+      if (!recursive) {
+        io.print("grep: no input files (stdin is the void)", "error");
+        return;
+      }
+      targets.push(".");
+    }
+
+    /** @type {Array<[string, string]>} */
+    const files = [];
+
+    /**
+     * @param {string} label - Path as the user spelled it
+     * @param {any} node - Node at that path
+     */
+    function collect(label, node) {
+      if (!isVfsDir(node)) {
+        files.push([label, node || ""]);
+        return;
+      }
+      listVfsDir(node, true).forEach((name) =>
+        collect(
+          label === "." ? name : `${label.replace(/\/$/, "")}/${name}`,
+          node[name],
+        ),
+      );
+    }
+
+    targets.forEach((target) => {
+      const { node, error } = resolveVfsPath(target);
+      if (error) {
+        io.print(`grep: ${target}: ${error}`, "error");
+      } else if (isVfsDir(node) && !recursive) {
+        io.print(`grep: ${target}: Is a directory`, "error");
+      } else {
+        collect(target, node);
+      }
+    });
+
+    const showNames = files.length > 1 || recursive;
+    files.forEach(([label, content]) => {
+      content.split("\n").forEach((line, i) => {
+        if (!regex.test(line)) return;
+        const prefix =
+          (showNames ? `${label}:` : "") + (flags.has("n") ? `${i + 1}:` : "");
+        io.print(prefix + line);
       });
+    });
+  },
+  complete: (partial) => completeVfsPath(partial),
+});
+
+registerShellCommand("echo", {
+  description: "Print arguments",
+  run: (args, io) => io.print(args.join(" ")),
+});
+
+// ================================
+// BASIC Interpreter
+// ================================
+
+/**
+ * Program store and run state for the line-numbered BASIC
+ */
+const basic = {
+  /** @type {Map<number, string>} */
+  program: new Map(),
+  /** @type {AbortController | null} */
+  controller: null,
+};
+
+/** Time budget per execution slice before yielding to the page */
+const BASIC_SLICE_MS = 8;
+
+/** Printed lines per slice, so output-heavy loops don't flood the DOM */
+const BASIC_SLICE_LINES = 25;
+
+/** Screen width used to wrap long PRINT output, as on a C64 */
+const BASIC_COLUMNS = 40;
+
+const BASIC_KEYWORDS = new Set([
+  "PRINT",
+  "GOTO",
+  "GOSUB",
+  "RETURN",
+  "IF",
+  "THEN",
+  "FOR",
+  "TO",
+  "STEP",
+  "NEXT",
+  "LET",
+  "INPUT",
+  "END",
+  "STOP",
+  "REM",
+  "AND",
+  "OR",
+  "NOT",
+]);
+
+/** @type {Record<string, (...args: any[]) => any>} */
+const BASIC_FUNCTIONS = {
+  ABS: Math.abs,
+  INT: Math.floor,
+  SGN: Math.sign,
+  SQR: Math.sqrt,
+  SIN: Math.sin,
+  COS: Math.cos,
+  RND: () => Math.random(),
+  LEN: (s) => String(s).length,
+  ASC: (s) => String(s).charCodeAt(0) || 0,
+  VAL: (s) => parseFloat(s) || 0,
+  CHR$: (n) => String.fromCharCode(n),
+  STR$: (n) => formatBasicNumber(n).trimEnd(),
+  LEFT$: (s, n) => String(s).slice(0, n),
+  RIGHT$: (s, n) => (n > 0 ? String(s).slice(-n) : ""),
+  MID$: (s, start, length) =>
+    String(s).slice(
+      start - 1,
+      length === undefined ? undefined : start - 1 + length,
+    ),
+};
+
+/**
+ * Format a number the way Commodore BASIC prints it: a sign column,
+ * nine significant digits, no leading zero and a trailing space
+ * @param {number} n - Value to print
+ * @returns {string} Formatted number
+ */
+function formatBasicNumber(n) {
+  const digits = String(Number(n.toPrecision(9))).replace(/^(-?)0\./, "$1.");
+  return `${n < 0 ? "" : " "}${digits} `;
+}
+
+/**
+ * Store, replace or delete (bare number) a program line
+ * @param {string} text - Line as typed, e.g. '10 PRINT "HI"'
+ * @param {Map<number, string>} [program=basic.program] - Program to edit
+ * @returns {boolean} True if the text was a numbered line
+ */
+function enterBasicLine(text, program = basic.program) {
+  const match = /^\s*(\d+)\s*(.*)$/.exec(text);
+  if (!match) return false;
+
+  const number = parseInt(match[1], 10);
+  if (match[2].trim()) {
+    program.set(number, match[2].trim());
+  } else {
+    program.delete(number);
+  }
+  return true;
+}
+
+/**
+ * Read the numbered lines of a source text into a program of its own
+ * @param {string} source - Program listing
+ * @returns {Map<number, string>} Statements by line number
+ */
+function parseBasicProgram(source) {
+  const program = new Map();
+  source.split("\n").forEach((line) => enterBasicLine(line, program));
+  return program;
+}
+
+/**
+ * Replace the program with the numbered lines of a source text
+ * @param {string} source - Program listing
+ */
+function loadBasicProgram(source) {
+  basic.program = parseBasicProgram(source);
+}
+
+/**
+ * Split a statement line into tokens. Everything after REM is ignored
+ * @param {string} text - Line body without its number
+ * @returns {Array<{type: string, value: any}>} Tokens
+ */
+function tokenizeBasic(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+
+    if ((match = /^\s+/.exec(rest))) {
+      // Whitespace only separates tokens
+    } else if ((match = /^(\d+\.?\d*|\.\d+)(E[+-]?\d+)?/i.exec(rest))) {
+      tokens.push({ type: "num", value: parseFloat(match[0]) });
+    } else if ((match = /^"([^"]*)"?/.exec(rest))) {
+      tokens.push({ type: "str", value: match[1] });
+    } else if ((match = /^[A-Za-z][A-Za-z0-9]*\$?/.exec(rest))) {
+      const word = match[0].toUpperCase();
+      if (word === "REM") break;
+      tokens.push({
+        type: BASIC_KEYWORDS.has(word) ? "kw" : "id",
+        value: word,
+      });
+    } else if ((match = /^(<=|>=|<>|[-+*/^=<>(),;:])/.exec(rest))) {
+      tokens.push({ type: "op", value: match[0] });
+    } else if (rest[0] === "?") {
+      // ? is the classic shorthand for PRINT
+      match = ["?"];
+      tokens.push({ type: "kw", value: "PRINT" });
+    } else {
+      throw new Error("SYNTAX");
+    }
+
+    i += match[0].length;
+  }
+  return tokens;
+}
+
+/**
+ * Run a program in time slices so infinite loops can't freeze the page.
+ * Slices pause with the "basic" scheduler group; aborting io.signal
+ * (Ctrl+C), basic.controller or the group breaks it
+ * @param {ShellIO} io - Output sink
+ * @param {Map<number, string>} [program=basic.program] - Program to run
+ * @returns {Promise<void>} Resolves when the program ends or is broken
+ */
+async function runBasicProgram(io, program = basic.program) {
+  const numbers = [...program.keys()].sort((a, b) => a - b);
+  const lines = numbers.map((number) => ({
+    number,
+    text: program.get(number) || "",
+    /** @type {Array<{type: string, value: any}> | null} */
+    tokens: null,
+  }));
+
+  const controller = createAbortController("basic");
+  basic.controller = controller;
+  if (io.signal) {
+    io.signal.addEventListener("abort", () => controller.abort(), {
+      once: true,
+    });
+  }
+
+  /** @type {Map<string, number | string>} */
+  const vars = new Map();
+  const gosubStack = [];
+  const forStack = [];
+  let lineIndex = 0;
+  let pos = 0;
+  /** @type {Array<{type: string, value: any}>} */
+  let tokens = [];
+  let outBuffer = "";
+  let printed = 0;
+  let sliceStart = performance.now();
+
+  function flush() {
+    io.print(outBuffer);
+    outBuffer = "";
+    printed++;
+  }
+
+  /**
+   * @param {string} text - Text to append to the current output line
+   */
+  function write(text) {
+    outBuffer += text;
+    while (outBuffer.length > BASIC_COLUMNS) {
+      io.print(outBuffer.slice(0, BASIC_COLUMNS));
+      outBuffer = outBuffer.slice(BASIC_COLUMNS);
+      printed++;
+    }
+  }
+
+  // --- Token helpers ---
+
+  function peek() {
+    return tokens[pos];
+  }
+
+  /**
+   * @param {string} value - Operator to test for
+   * @returns {boolean} True if the next token is that operator
+   */
+  function isOp(value) {
+    const token = tokens[pos];
+    return !!token && token.type === "op" && token.value === value;
+  }
+
+  /**
+   * @param {string} value - Keyword to test for
+   * @returns {boolean} True if the next token is that keyword
+   */
+  function isKw(value) {
+    const token = tokens[pos];
+    return !!token && token.type === "kw" && token.value === value;
+  }
+
+  /**
+   * @param {string} value - Operator or keyword that must come next
+   */
+  function expect(value) {
+    if (!isOp(value) && !isKw(value)) throw new Error("SYNTAX");
+    pos++;
+  }
+
+  function atStatementEnd() {
+    return pos >= tokens.length || isOp(":");
+  }
+
+  function variableName() {
+    const token = tokens[pos];
+    if (!token || token.type !== "id") throw new Error("SYNTAX");
+    pos++;
+    return token.value;
+  }
+
+  /**
+   * @param {any} value - Expression result
+   * @returns {number} The value, if numeric
+   */
+  function num(value) {
+    if (typeof value !== "number") throw new Error("TYPE MISMATCH");
+    return value;
+  }
+
+  /**
+   * @param {string} name - Variable name
+   * @param {any} value - Value to assign
+   */
+  function assign(name, value) {
+    if (name.endsWith("$") !== (typeof value === "string")) {
+      throw new Error("TYPE MISMATCH");
+    }
+    vars.set(name, value);
+  }
+
+  // --- Expressions, lowest precedence first. Comparisons yield -1 / 0 ---
+
+  function expression() {
+    let left = andExpr();
+    while (isKw("OR")) {
+      pos++;
+      left = num(left) | num(andExpr());
+    }
+    return left;
+  }
+
+  function andExpr() {
+    let left = notExpr();
+    while (isKw("AND")) {
+      pos++;
+      left = num(left) & num(notExpr());
+    }
+    return left;
+  }
+
+  function notExpr() {
+    if (isKw("NOT")) {
+      pos++;
+      return ~num(notExpr());
+    }
+    return comparison();
+  }
+
+  function comparison() {
+    let left = additive();
+    const ops = ["=", "<>", "<", ">", "<=", ">="];
+    while (peek() && peek().type === "op" && ops.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      const right = additive();
+      if (typeof left !== typeof right) throw new Error("TYPE MISMATCH");
+      const result =
+        op === "="
+          ? left === right
+          : op === "<>"
+            ? left !== right
+            : op === "<"
+              ? left < right
+              : op === ">"
+                ? left > right
+                : op === "<="
+                  ? left <= right
+                  : left >= right;
+      left = result ? -1 : 0;
+    }
+    return left;
+  }
+
+  function additive() {
+    let left = term();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      const right = term();
+      if (op === "+" && typeof left === "string") {
+        if (typeof right !== "string") throw new Error("TYPE MISMATCH");
+        left += right;
+      } else {
+        left = op === "+" ? num(left) + num(right) : num(left) - num(right);
+      }
+    }
+    return left;
+  }
+
+  function term() {
+    let left = unary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos++].value;
+      const right = num(unary());
+      if (op === "/" && right === 0) throw new Error("DIVISION BY ZERO");
+      left = op === "*" ? num(left) * right : num(left) / right;
+    }
+    return left;
+  }
+
+  function unary() {
+    if (isOp("-")) {
+      pos++;
+      return -num(unary());
+    }
+    if (isOp("+")) {
+      pos++;
+      return num(unary());
+    }
+    return power();
+  }
+
+  function power() {
+    let base = primary();
+    while (isOp("^")) {
+      pos++;
+      base = Math.pow(num(base), num(unary()));
+    }
+    return base;
+  }
+
+  function primary() {
+    const token = tokens[pos];
+    if (!token) throw new Error("SYNTAX");
+
+    if (token.type === "num" || token.type === "str") {
+      pos++;
+      return token.value;
+    }
+    if (isOp("(")) {
+      pos++;
+      const value = expression();
+      expect(")");
+      return value;
+    }
+    if (token.type === "id") {
+      pos++;
+      const fn = BASIC_FUNCTIONS[token.value];
+      if (fn && isOp("(")) {
+        pos++;
+        const args = [expression()];
+        while (isOp(",")) {
+          pos++;
+          args.push(expression());
+        }
+        expect(")");
+        return fn(...args);
+      }
+      if (vars.has(token.value)) return vars.get(token.value);
+      return token.value.endsWith("$") ? "" : 0;
+    }
+    throw new Error("SYNTAX");
+  }
+
+  // --- Control flow ---
+
+  /**
+   * Position of the statement after the current one
+   * @returns {{line: number, pos: number}} Resume point
+   */
+  function nextStatement() {
+    return isOp(":")
+      ? { line: lineIndex, pos: pos + 1 }
+      : { line: lineIndex + 1, pos: 0 };
+  }
+
+  /**
+   * @param {{line: number, pos: number}} target - Where to continue
+   */
+  function jumpTo(target) {
+    lineIndex = target.line;
+    pos = target.pos;
+  }
+
+  /**
+   * @param {number} number - BASIC line number
+   */
+  function gotoLine(number) {
+    const index = numbers.indexOf(number);
+    if (index < 0) throw new Error("UNDEF'D STATEMENT");
+    jumpTo({ line: index, pos: 0 });
+  }
+
+  function lineNumberArg() {
+    const token = tokens[pos];
+    if (!token || token.type !== "num") throw new Error("SYNTAX");
+    pos++;
+    return token.value;
+  }
+
+  /**
+   * Execute one statement at pos
+   * @returns {boolean | Promise<boolean>} True if control jumped elsewhere
+   */
+  function statement() {
+    const token = tokens[pos];
+    if (!token) return false;
+    if (isOp(":")) return false;
+
+    if (token.type === "id") {
+      // Implicit LET
+      const name = variableName();
+      expect("=");
+      assign(name, expression());
+      return false;
+    }
+    if (token.type !== "kw") throw new Error("SYNTAX");
+    pos++;
+
+    switch (token.value) {
+      case "PRINT": {
+        let newline = true;
+        while (!atStatementEnd()) {
+          if (isOp(";")) {
+            pos++;
+            newline = false;
+          } else if (isOp(",")) {
+            pos++;
+            write(" ".repeat(10 - (outBuffer.length % 10)));
+            newline = false;
+          } else {
+            const value = expression();
+            write(typeof value === "number" ? formatBasicNumber(value) : value);
+            newline = true;
+          }
+        }
+        if (newline) flush();
+        return false;
+      }
+      case "LET": {
+        const name = variableName();
+        expect("=");
+        assign(name, expression());
+        return false;
+      }
+      case "GOTO":
+        gotoLine(lineNumberArg());
+        return true;
+      case "GOSUB": {
+        const target = lineNumberArg();
+        if (gosubStack.length >= 256) throw new Error("OUT OF MEMORY");
+        gosubStack.push(nextStatement());
+        gotoLine(target);
+        return true;
+      }
+      case "RETURN": {
+        const target = gosubStack.pop();
+        if (!target) throw new Error("RETURN WITHOUT GOSUB");
+        jumpTo(target);
+        return true;
+      }
+      case "IF": {
+        const condition = expression();
+        const next = tokens[pos + 1];
+        if (isKw("GOTO") || (isKw("THEN") && next && next.type === "num")) {
+          pos++;
+          const target = lineNumberArg();
+          if (condition) {
+            gotoLine(target);
+          } else {
+            jumpTo({ line: lineIndex + 1, pos: 0 });
+          }
+          return true;
+        }
+        expect("THEN");
+        // A false condition skips the rest of the line
+        jumpTo(
+          condition
+            ? { line: lineIndex, pos }
+            : { line: lineIndex + 1, pos: 0 },
+        );
+        return true;
+      }
+      case "FOR": {
+        const name = variableName();
+        expect("=");
+        assign(name, num(expression()));
+        expect("TO");
+        const limit = num(expression());
+        let step = 1;
+        if (isKw("STEP")) {
+          pos++;
+          step = num(expression());
+        }
+        const existing = forStack.findIndex((frame) => frame.name === name);
+        if (existing >= 0) forStack.splice(existing);
+        forStack.push({ name, limit, step, resume: nextStatement() });
+        return false;
+      }
+      case "NEXT": {
+        const name = atStatementEnd() ? null : variableName();
+        let index = forStack.length - 1;
+        if (name) {
+          index = forStack.map((frame) => frame.name).lastIndexOf(name);
+        }
+        if (index < 0) throw new Error("NEXT WITHOUT FOR");
+
+        forStack.splice(index + 1);
+        const frame = forStack[index];
+        const value = num(vars.get(frame.name)) + frame.step;
+        vars.set(frame.name, value);
+        if (frame.step >= 0 ? value <= frame.limit : value >= frame.limit) {
+          jumpTo(frame.resume);
+          return true;
+        }
+        forStack.pop();
+        return false;
+      }
+      case "INPUT":
+        return readInput();
+      case "END":
+        jumpTo({ line: lines.length, pos: 0 });
+        return true;
+      case "STOP":
+        if (outBuffer) flush();
+        io.print(`BREAK IN ${numbers[lineIndex]}`, "error");
+        jumpTo({ line: lines.length, pos: 0 });
+        return true;
+      default:
+        throw new Error("SYNTAX");
+    }
+  }
+
+  /**
+   * INPUT ["prompt";] var[, var...] - waits for the visitor
+   * @returns {Promise<boolean>} Always false; control continues in line
+   */
+  async function readInput() {
+    let label = "";
+    const [first, second] = tokens.slice(pos, pos + 2);
+    if (first && first.type === "str" && second && second.value === ";") {
+      label = first.value;
+      pos += 2;
+    }
+    const names = [variableName()];
+    while (isOp(",")) {
+      pos++;
+      names.push(variableName());
+    }
+    if (!io.read) throw new Error("FILE NOT OPEN");
+
+    const question = `${outBuffer}${label}? `;
+    outBuffer = "";
+    for (;;) {
+      const answer = await io.read(question);
+      if (answer === null) {
+        controller.abort();
+        return false;
+      }
+
+      const values = answer.split(",").map((value) => value.trim());
+      const valid = names.every(
+        (name, i) => name.endsWith("$") || !isNaN(parseFloat(values[i] || "0")),
+      );
+      if (valid) {
+        names.forEach((name, i) => {
+          const value = values[i] || "";
+          vars.set(name, name.endsWith("$") ? value : parseFloat(value || "0"));
+        });
+        return false;
+      }
+      io.print("?REDO FROM START", "error");
+    }
+  }
+
+  /**
+   * Give the page a turn between slices, resolving early on a break so a
+   * paused program can still be stopped
+   * @returns {Promise<void>} Resolves when the next slice may run
+   */
+  function yieldSlice() {
+    return new Promise((resolve) => {
+      const done = () => {
+        controller.signal.removeEventListener("abort", done);
+        cancelScheduled(task);
+        resolve();
+      };
+      const task = registerTimeout(done, 0, "basic");
+      controller.signal.addEventListener("abort", done);
+    });
+  }
+
+  try {
+    while (lineIndex < lines.length) {
+      if (controller.signal.aborted) {
+        if (outBuffer) flush();
+        io.print(`BREAK IN ${numbers[lineIndex]}`, "error");
+        break;
+      }
+
+      if (
+        performance.now() - sliceStart > BASIC_SLICE_MS ||
+        printed >= BASIC_SLICE_LINES
+      ) {
+        await yieldSlice();
+        sliceStart = performance.now();
+        printed = 0;
+        continue;
+      }
+
+      const line = lines[lineIndex];
+      if (!line.tokens) line.tokens = tokenizeBasic(line.text);
+      tokens = line.tokens;
+      if (pos >= tokens.length) {
+        jumpTo({ line: lineIndex + 1, pos: 0 });
+        continue;
+      }
+
+      let jumped = statement();
+      if (jumped instanceof Promise) jumped = await jumped;
+      if (jumped) continue;
+
+      if (isOp(":")) {
+        pos++;
+      } else if (pos < tokens.length) {
+        throw new Error("SYNTAX");
+      } else {
+        jumpTo({ line: lineIndex + 1, pos: 0 });
+      }
+    }
+    if (outBuffer) flush();
+  } catch (e) {
+    if (outBuffer) flush();
+    const message = e instanceof Error ? e.message : String(e);
+    const where = lineIndex < numbers.length ? ` IN ${numbers[lineIndex]}` : "";
+    io.print(`?${message} ERROR${where}`, "error");
+  } finally {
+    releaseAbortController(controller);
+    if (basic.controller === controller) basic.controller = null;
+  }
+
+  io.print("READY.", "dim");
+}
+
+registerShellCommand("run", {
+  description: "Run the BASIC program, or a .bas file (Ctrl+C stops it)",
+  run: async (args, io) => {
+    if (basic.controller) {
+      io.print("run: a program is already running (try break)", "error");
+      return;
+    }
 
-      // Depth text - word-by-word reveal
-      const words = document.querySelectorAll(".reveal-word");
-      words.forEach((word, i) => {
-        registerTimeout(
-          () => {
-            word.classList.add("visible");
-          },
-          600 + i * 150,
-        );
-      });
+    const [file] = args;
+    if (file) {
+      const { node, error } = resolveVfsPath(file);
+      if (error || isVfsDir(node)) {
+        io.print(`run: ${file}: ${error || "Is a directory"}`, "error");
+        return;
+      }
+      loadBasicProgram(node || "");
+    }
+    await runBasicProgram(io);
+  },
+  complete: (partial) => completeVfsPath(partial),
+});
 
-      // Balance text
-      gsap.to(".balance-text", {
-        opacity: 1,
-        y: 0,
-        duration: 1,
-        delay: 0.3,
-        ease: "power2.out",
-      });
-    },
-    once: true,
-  });
+registerShellCommand("list", {
+  description: "List the BASIC program",
+  run: (args, io) => {
+    [...basic.program.keys()]
+      .sort((a, b) => a - b)
+      .forEach((number) => io.print(`${number} ${basic.program.get(number)}`));
+  },
+});
 
-  gsap.set(".layer", { scale: 0.8 });
-  gsap.set(".balance-text", { opacity: 0, y: 20 });
+registerShellCommand("new", {
+  description: "Erase the BASIC program",
+  run: (args, io) => {
+    basic.program.clear();
+    io.print("READY.", "dim");
+  },
+});
 
-  // Parallax effect on depth circles
-  gsap.to(".layer-1", {
-    y: -30,
-    scrollTrigger: {
-      trigger: ".section--philosophy",
-      start: "top bottom",
-      end: "bottom top",
-      scrub: 1,
-    },
-  });
-  gsap.to(".layer-2", {
-    y: -20,
-    scrollTrigger: {
-      trigger: ".section--philosophy",
-      start: "top bottom",
-      end: "bottom top",
-      scrub: 1,
-    },
-  });
-  gsap.to(".layer-3", {
-    y: -10,
-    scrollTrigger: {
-      trigger: ".section--philosophy",
-      start: "top bottom",
-      end: "bottom top",
-      scrub: 1,
-    },
-  });
-  gsap.to(".layer-4", {
-    y: 5,
-    scrollTrigger: {
-      trigger: ".section--philosophy",
-      start: "top bottom",
-      end: "bottom top",
-      scrub: 1,
-    },
-  });
+registerShellCommand("break", {
+  description: "Stop a running BASIC program",
+  run: (args, io) => {
+    if (basic.controller) {
+      basic.controller.abort();
+    } else {
+      io.print("break: nothing is running", "dim");
+    }
+  },
+});
 
-  // Meta section - typewriter effect
-  ScrollTrigger.create({
-    trigger: ".section--meta",
-    start: "top 80%",
-    onEnter: () => {
-      const lines = document.querySelectorAll(".comment-line");
-      let delay = 0;
+// ================================
+// Journey Export
+// ================================
 
-      lines.forEach((line) => {
-        let text = line.dataset.text || "";
-        // Replace placeholders
-        text = text.replace("{year}", String(new Date().getFullYear()));
-        text = text.replace("{accent}", '<span class="accent">');
-        text = text.replace("{/accent}", "</span>");
+/** Seconds the exported SVG holds the finished transcript before looping */
+const JOURNEY_EXPORT_HOLD = 3;
 
-        registerTimeout(() => {
-          typeCommentLine(line, text);
-        }, delay);
+/** Character grid of the exported SVG, matched to a 14px monospace font */
+const JOURNEY_SVG_METRICS = {
+  fontSize: 14,
+  charWidth: 8.4,
+  lineHeight: 20,
+  padding: 16,
+  header: 32,
+};
 
-        delay += text.length * 30 + 500;
-      });
-    },
-    once: true,
-  });
+/**
+ * Theme colours per segment tone, read from the current CSS variables
+ * @returns {Record<string, string>} Colour per tone plus background and border
+ */
+function getJourneyPalette() {
+  const style = getComputedStyle(document.documentElement);
+  const read = (name, fallback) =>
+    style.getPropertyValue(name).trim() || fallback;
+
+  const text = read("--text", "#e4e4e8");
+  const dim = read("--dim", "#4a4a58");
+  const accent = read("--accent", "#00ff9d");
+
+  return {
+    background: read("--void", "#08080a"),
+    border: read("--terminal-border", "rgba(0, 255, 157, 0.1)"),
+    error: read("--rust", "#ff6b35"),
+    rust: read("--rust", "#ff6b35"),
+    text,
+    dim,
+    accent,
+    prompt: accent,
+    comment: dim,
+    keyword: read("--syntax-keyword", "#cba6f7"),
+    string: read("--syntax-string", "#a6e3a1"),
+    number: read("--syntax-number", "#fab387"),
+    register: read("--syntax-register", "#89b4fa"),
+  };
+}
 
-  // Work section - staggered button entrance
-  gsap.set(".work-intro", { opacity: 0, y: 20 });
-  gsap.set(".link-work", { opacity: 0, y: 30 });
-  gsap.set(".email-display", { opacity: 0 });
+/**
+ * Break a journey line into styled segments, mirroring the on-page markup
+ * @param {JourneyLine} line - Journey line
+ * @returns {Array<{tone: string, text: string}>} Segments in order
+ */
+function getJourneyLineSegments(line) {
+  if (line.type === "empty") return [];
+
+  const tones = {
+    cmd: "text",
+    code: "text",
+    comment: "comment",
+    output: "dim",
+    "output highlight": "accent",
+  };
+  const base = line.accent || tones[line.type] || "text";
+  const segments = tokenizeCode(line.text || "", line.lang).map((token) => ({
+    tone: token.type || base,
+    text: token.text,
+  }));
+
+  if (line.type === "cmd") segments.unshift({ tone: "prompt", text: "> " });
+  if (line.type.startsWith("output")) {
+    segments.unshift({ tone: base, text: "  " });
+  }
+  return segments;
+}
 
-  ScrollTrigger.create({
-    trigger: ".section--work",
-    start: "top 70%",
-    onEnter: () => {
-      gsap.to(".work-intro", {
-        opacity: 1,
-        y: 0,
-        duration: 0.6,
-        ease: "power2.out",
-      });
-      gsap.to(".link-work", {
-        opacity: 1,
-        y: 0,
-        duration: 0.6,
-        stagger: 0.15,
-        delay: 0.2,
-        ease: "power2.out",
-      });
-    },
-    once: true,
+/**
+ * Seconds from the start of playback until each journey line appears
+ * The on-page playhead walks the same timeline, so exports play like the site
+ * @param {number} [speed=1] - Playback speed multiplier
+ * @returns {number[]} Reveal time per line
+ */
+function getJourneyTimeline(speed = 1) {
+  let elapsed = 0;
+  return journey.lines.map((line) => {
+    elapsed += line.delay;
+    return elapsed / 1000 / speed;
   });
+}
 
-  // Find section
-  ScrollTrigger.create({
-    trigger: ".section--find",
-    start: "top 60%",
-    onEnter: () => {
-      gsap.to(".find-intro, .find-handle, .find-note", {
-        opacity: 1,
-        y: 0,
-        duration: 0.8,
-        stagger: 0.15,
-        ease: "power2.out",
-      });
+/**
+ * Build the journey as an asciinema v2 recording
+ * @param {number} [speed=1] - Playback speed multiplier
+ * @returns {string} Newline-delimited JSON cast file
+ */
+function buildJourneyCast(speed = 1) {
+  const palette = getJourneyPalette();
+  const times = getJourneyTimeline(speed);
+  const width = Math.max(
+    80,
+    ...journey.lines.map((line) => (line.text || "").length + 4),
+  );
+
+  /**
+   * @param {string} tone - Segment tone
+   * @returns {string} ANSI escape selecting the tone's colour
+   */
+  const ansi = (tone) => {
+    const rgb = parseHexColor(palette[tone] || palette.text);
+    const italic = tone === "comment" ? "\x1b[3m" : "";
+    return rgb ? `${italic}\x1b[38;2;${rgb.join(";")}m` : italic;
+  };
+
+  const header = {
+    version: 2,
+    width,
+    height: 24,
+    timestamp: Math.floor(Date.now() / 1000),
+    title: "nulloxide - the journey",
+    env: { SHELL: "/bin/zsh", TERM: "xterm-256color" },
+    theme: {
+      fg: palette.text,
+      bg: palette.background,
+      // black, red, green, yellow, blue, magenta, cyan, white
+      palette: [
+        palette.background,
+        palette.error,
+        palette.accent,
+        palette.number,
+        palette.register,
+        palette.keyword,
+        palette.string,
+        palette.text,
+      ].join(":"),
     },
-    once: true,
+  };
+
+  const events = journey.lines.map((line, index) => {
+    const output = getJourneyLineSegments(line)
+      .map((segment) => `${ansi(segment.tone)}${segment.text}\x1b[0m`)
+      .join("");
+    return JSON.stringify([
+      Number(times[index].toFixed(6)),
+      "o",
+      `${output}\r\n`,
+    ]);
   });
 
-  gsap.set(".find-intro, .find-handle, .find-note", { opacity: 0, y: 20 });
+  return [JSON.stringify(header), ...events].join("\n") + "\n";
 }
 
-// ================================
-// Magnetic Effect
-// ================================
-
 /**
- * Initialize magnetic hover effect on elements with data-magnetic attribute
+ * Escape text for XML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
  */
-function initMagnetic() {
-  const isTouchDevice =
-    "ontouchstart" in window || navigator.maxTouchPoints > 0;
-  const elements = document.querySelectorAll("[data-magnetic]");
-  if (!elements.length) return;
+function escapeXml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char],
+  );
+}
 
-  const controller = createAbortController();
+/**
+ * Build the journey as a self-contained animated SVG in the current theme
+ * Lines appear with SMIL so the file also animates inside an <img>
+ * @param {number} [speed=1] - Playback speed multiplier
+ * @returns {string} SVG document
+ */
+function buildJourneySvg(speed = 1) {
+  const palette = getJourneyPalette();
+  const times = getJourneyTimeline(speed);
+  const { fontSize, charWidth, lineHeight, padding, header } =
+    JOURNEY_SVG_METRICS;
+
+  const columns = Math.max(
+    60,
+    ...journey.lines.map((line) => (line.text || "").length + 2),
+  );
+  const width = Math.ceil(padding * 2 + columns * charWidth);
+  const height = header + padding * 2 + journey.lines.length * lineHeight;
+  const loop = times[times.length - 1] + JOURNEY_EXPORT_HOLD;
+
+  const lines = journey.lines
+    .map((line, index) => {
+      const segments = getJourneyLineSegments(line);
+      if (!segments.length) return "";
+
+      const spans = segments
+        .map((segment) => {
+          const italic =
+            segment.tone === "comment" ? ' font-style="italic"' : "";
+          const fill = escapeXml(palette[segment.tone] || palette.text);
+          return `<tspan fill="${fill}"${italic}>${escapeXml(segment.text)}</tspan>`;
+        })
+        .join("");
+      const y = header + padding + (index + 1) * lineHeight - 5;
+      const keyTime = (times[index] / loop).toFixed(4);
+
+      return (
+        `<text x="${padding}" y="${y}" opacity="0">${spans}` +
+        `<animate attributeName="opacity" values="0;1" keyTimes="0;${keyTime}" ` +
+        `calcMode="discrete" dur="${loop.toFixed(3)}s" repeatCount="indefinite"/></text>`
+      );
+    })
+    .filter(Boolean);
+
+  const dots = ["#ff5f57", "#ffbd2e", "#28c840"]
+    .map(
+      (fill, i) =>
+        `<circle cx="${padding + 6 + i * 20}" cy="${header / 2}" r="6" fill="${fill}"/>`,
+    )
+    .join("");
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    "<title>nulloxide - the journey</title>",
+    `<style>text{font-family:"JetBrains Mono",ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:${fontSize}px;white-space:pre}</style>`,
+    `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="8" fill="${escapeXml(palette.background)}" stroke="${escapeXml(palette.border)}"/>`,
+    `<line x1="0" y1="${header}" x2="${width}" y2="${header}" stroke="${escapeXml(palette.border)}"/>`,
+    dots,
+    `<text x="${padding + 64}" y="${header / 2 + 4}" fill="${escapeXml(palette.dim)}">nulloxide@journey</text>`,
+    `<g xml:space="preserve">`,
+    ...lines,
+    "</g>",
+    "</svg>",
+    "",
+  ].join("\n");
+}
 
-  elements.forEach((el) => {
-    if (!isTouchDevice) {
-      // Cache rect and update on mouseenter
-      let elRect = el.getBoundingClientRect();
+/**
+ * Formats the journey can be exported to
+ * @type {Record<string, {extension: string, type: string, build: (speed: number) => string}>}
+ */
+const JOURNEY_EXPORTS = {
+  cast: {
+    extension: "cast",
+    type: "application/x-asciicast",
+    build: buildJourneyCast,
+  },
+  svg: { extension: "svg", type: "image/svg+xml", build: buildJourneySvg },
+};
 
-      el.addEventListener(
-        "mouseenter",
-        () => {
-          elRect = el.getBoundingClientRect();
-        },
-        { signal: controller.signal },
-      );
+/**
+ * Hand a generated file to the browser as a download
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ * @param {string} content - File contents
+ */
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  registerTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-      el.addEventListener(
-        "mousemove",
-        (e) => {
-          const x = e.clientX - elRect.left - elRect.width / 2;
-          const y = e.clientY - elRect.top - elRect.height / 2;
-          gsap.to(el, {
-            x: x * 0.3,
-            y: y * 0.3,
-            duration: 0.3,
-            ease: "power2.out",
-          });
-        },
-        { signal: controller.signal },
-      );
+/**
+ * Export the journey and download it
+ * @param {string} format - Key of JOURNEY_EXPORTS
+ * @param {number} [speed=1] - Playback speed multiplier
+ * @returns {{filename: string, bytes: number}} What was saved
+ */
+function exportJourney(format, speed = 1) {
+  const { extension, type, build } = JOURNEY_EXPORTS[format];
+  const content = build(speed);
+  const filename = `nulloxide-journey.${extension}`;
+  downloadFile(filename, type, content);
+  return { filename, bytes: new Blob([content]).size };
+}
 
-      el.addEventListener(
-        "mouseleave",
-        () => {
-          gsap.to(el, {
-            x: 0,
-            y: 0,
-            duration: 0.5,
-            ease: "elastic.out(1, 0.5)",
-          });
-        },
-        { signal: controller.signal },
-      );
-    } else {
-      el.addEventListener(
-        "touchstart",
-        () => {
-          gsap.to(el, { scale: 0.95, duration: 0.1, ease: "power2.out" });
-        },
-        { passive: true, signal: controller.signal },
-      );
+/**
+ * Add one download button per export format to the journey toolbar
+ * @param {HTMLElement} controls - The toolbar
+ * @param {() => number} getSpeed - Current playback speed
+ */
+function appendJourneyExportControls(controls, getSpeed) {
+  const controller = createAbortController();
 
-      el.addEventListener(
-        "touchend",
-        () => {
-          gsap.to(el, { scale: 1, duration: 0.3, ease: "elastic.out(1, 0.5)" });
-        },
-        { passive: true, signal: controller.signal },
-      );
-    }
+  Object.keys(JOURNEY_EXPORTS).forEach((format) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "terminal-control";
+    btn.textContent = `⇩ .${format}`;
+    btn.setAttribute("aria-label", `Download the journey as .${format}`);
+    btn.addEventListener(
+      "click",
+      () => {
+        try {
+          exportJourney(format, getSpeed());
+        } catch (error) {
+          console.warn("Journey export failed:", error);
+        }
+      },
+      { signal: controller.signal },
+    );
+    controls.appendChild(btn);
   });
 }
 
+registerShellCommand("export", {
+  description: "Download the journey (cast, svg) [speed]",
+  run: (args, io) => {
+    const [format, speedArg] = args;
+    const speed = speedArg === undefined ? 1 : Number(speedArg);
+
+    if (!JOURNEY_EXPORTS[format] || !(speed > 0)) {
+      io.print("usage: export cast|svg [speed]", "error");
+      return;
+    }
+
+    const { filename, bytes } = exportJourney(format, speed);
+    io.print(`saved ${filename} (${(bytes / 1024).toFixed(1)} KB)`, "accent");
+  },
+  complete: (partial, args) =>
+    args.length > 1
+      ? []
+      : Object.keys(JOURNEY_EXPORTS).filter((format) =>
+          format.startsWith(partial),
+        ),
+});
+
 // ================================
-// Location
+// Returning Visitors
 // ================================
 
+/** localStorage key holding what the sesame gate learned */
+const VISITOR_STORAGE_KEY = "nulloxide-visitor";
+
+/** sessionStorage key marking the current visit as counted */
+const VISITOR_SESSION_KEY = "nulloxide-visit-counted";
+
 /**
- * Initialize the location section with random responses
+ * What this browser remembers about a visitor who passed the gate
+ * Stored in localStorage only; nothing is sent anywhere
+ * @typedef {Object} VisitorMemory
+ * @property {string} era - NicknameEra id
+ * @property {string} firstVisit - ISO date of the first visit through the gate
+ * @property {number} visits - Browsing sessions since then
  */
-function initMatrixLocation() {
-  const locationResponse = document.querySelector(".location-response");
-  const locationCoords = document.getElementById("location-coords");
 
-  if (!locationResponse || !locationCoords) return;
+/** @type {VisitorMemory | null | undefined} */
+let visitorMemory;
 
-  const pairs = [
-    {
-      response: "There's no place like 127.0.0.1",
-      subtitle: "localhost, sweet localhost",
-    },
-    { response: "Successfully invisible", subtitle: "VPN detected. Nice try." },
-    {
-      response: "ping reality: Request timed out",
-      subtitle: "packet loss: 100%",
-    },
-    { response: "/dev/null", subtitle: "where all locations go to rest" },
-    { response: "Location: undefined", subtitle: "Mental state: caffeinated" },
-    {
-      response: "Result: NULL",
-      subtitle: 'db.locations.find({entity: "nulloxide"}) → [ ]',
-    },
-    {
-      response: "Somewhere between 0 and 1",
-      subtitle: "lat: NaN, long: undefined",
-    },
-    {
-      response: "404: Physical location not found",
-      subtitle: "coordinates: [consciousness, caffeine]",
-    },
-  ];
+/**
+ * Read the visitor memory, once per page load
+ * @returns {VisitorMemory | null} Stored memory or null
+ */
+function getVisitorMemory() {
+  if (visitorMemory !== undefined) return visitorMemory;
 
-  ScrollTrigger.create({
-    trigger: ".section--location",
-    start: "top 70%",
-    onEnter: () => {
-      gsap.to(".location-prompt", { opacity: 1, duration: 0.5 });
+  visitorMemory = null;
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(VISITOR_STORAGE_KEY) || "null",
+    );
+    // Older records also kept unrecognised visitors, whose gate stays shut,
+    // and the nickname as typed; ignore the first and drop the second
+    const known = stored && NICKNAME_ERAS.some((era) => era.id === stored.era);
+    if (known && typeof stored.firstVisit === "string" && stored.visits > 0) {
+      visitorMemory = {
+        era: stored.era,
+        firstVisit: stored.firstVisit,
+        visits: stored.visits,
+      };
+    }
+  } catch (e) {
+    console.warn("Visitor memory could not be read:", e);
+  }
+  return visitorMemory;
+}
+
+/**
+ * Persist the visitor memory
+ * @param {VisitorMemory} memory - Memory to store
+ */
+function saveVisitorMemory(memory) {
+  visitorMemory = memory;
+  try {
+    localStorage.setItem(VISITOR_STORAGE_KEY, JSON.stringify(memory));
+    sessionStorage.setItem(VISITOR_SESSION_KEY, "1");
+  } catch (e) {
+    console.warn("Visitor memory could not be saved:", e);
+  }
+}
 
-      registerTimeout(() => {
-        const pair = pairs[Math.floor(Math.random() * pairs.length)];
-        typeText(locationResponse, pair.response, 50, () => {
-          registerTimeout(() => {
-            locationCoords.textContent = pair.subtitle;
-            gsap.to(locationCoords, { opacity: 1, duration: 0.5 });
-          }, 500);
-        });
-      }, 800);
-    },
-    once: true,
+/**
+ * Remember the era a visitor just unlocked at the gate, not what they typed
+ * @param {NicknameEra} era - Matched era
+ */
+function rememberVisitor(era) {
+  const previous = getVisitorMemory();
+  saveVisitorMemory({
+    era: era.id,
+    firstVisit: previous ? previous.firstVisit : new Date().toISOString(),
+    visits: previous ? previous.visits : 1,
   });
 }
 
 /**
- * Type text character by character with cursor effect
- * @param {Element} element - Target element
- * @param {string} text - Text to type
- * @param {number} speed - Delay between characters in ms
- * @param {Function} [callback] - Callback when complete
+ * Erase everything remembered about the visitor and undo the personalisation
  */
-function typeText(element, text, speed, callback) {
-  element.textContent = "";
-  let i = 0;
-
-  function type() {
-    if (i < text.length) {
-      // Build content with cursor
-      const cursor = document.createElement("span");
-      cursor.className = "cursor-blink";
-      cursor.textContent = "_";
-
-      element.textContent = text.substring(0, i + 1);
-      element.appendChild(cursor);
-      i++;
-      registerTimeout(type, speed);
-    } else {
-      element.textContent = text;
-      if (callback) callback();
-    }
+function forgetVisitor() {
+  visitorMemory = null;
+  try {
+    localStorage.removeItem(VISITOR_STORAGE_KEY);
+    sessionStorage.removeItem(VISITOR_SESSION_KEY);
+  } catch (e) {
+    console.warn("Visitor memory could not be cleared:", e);
   }
-  type();
+
+  const greeting = document.getElementById("hero-greeting");
+  if (greeting) greeting.hidden = true;
+  if (nicknameGate) nicknameGate.close();
+  initVisitorStatus();
+  calculateAge();
 }
 
 /**
- * Type a comment line with HTML support
- * @param {Element} element - Target element
- * @param {string} html - HTML content to type
+ * The era of the remembered visitor
+ * @returns {NicknameEra | null} Era or null for a first-time visitor
  */
-function typeCommentLine(element, html) {
-  element.textContent = "";
-  element.classList.add("visible");
-
-  // Convert HTML to plain text for typing
-  const temp = document.createElement("div");
-  temp.innerHTML = html;
-  const plainText = temp.textContent || "";
+function getVisitorEra() {
+  const memory = getVisitorMemory();
+  if (!memory) return null;
+  return NICKNAME_ERAS.find((era) => era.id === memory.era) || null;
+}
 
-  let i = 0;
-  function type() {
-    if (i < plainText.length) {
-      // Build the HTML up to current position
-      let currentHtml = "";
-      let plainIndex = 0;
-      let inTag = false;
-      let tagBuffer = "";
-
-      for (let j = 0; j < html.length && plainIndex <= i; j++) {
-        if (html[j] === "<") {
-          inTag = true;
-          tagBuffer = "<";
-        } else if (html[j] === ">") {
-          inTag = false;
-          tagBuffer += ">";
-          currentHtml += tagBuffer;
-          tagBuffer = "";
-        } else if (inTag) {
-          tagBuffer += html[j];
-        } else {
-          if (plainIndex <= i) {
-            currentHtml += html[j];
-          }
-          plainIndex++;
-        }
-      }
+/**
+ * Count the visit and greet a returning visitor in the hero
+ */
+function initReturningVisitor() {
+  const memory = getVisitorMemory();
+  if (!memory) return;
 
-      element.innerHTML = currentHtml + '<span class="cursor-blink">_</span>';
-      i++;
-      registerTimeout(type, 25 + Math.random() * 15);
-    } else {
-      element.innerHTML = html;
+  // One visit per browsing session, however often the page reloads
+  try {
+    if (!sessionStorage.getItem(VISITOR_SESSION_KEY)) {
+      saveVisitorMemory({ ...memory, visits: memory.visits + 1 });
     }
+  } catch (e) {
+    console.warn("Visit could not be counted:", e);
   }
-  type();
+
+  const greeting = document.getElementById("hero-greeting");
+  if (!greeting) return;
+
+  const { visits, firstVisit } = getVisitorMemory();
+  const era = getVisitorEra();
+  const since = new Date(firstVisit).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+  greeting.textContent = `Welcome back, ${era.id} era. Visit #${visits} since ${since}. `;
+
+  const forget = document.createElement("button");
+  forget.type = "button";
+  forget.className = "hero-forget";
+  forget.textContent = "forget me";
+  forget.addEventListener("click", forgetVisitor, {
+    signal: createAbortController().signal,
+  });
+  greeting.appendChild(forget);
+  greeting.hidden = false;
 }
 
+registerShellCommand("forget", {
+  description: "Forget your era and visits (forget me)",
+  run: (args, io) => {
+    if (!getVisitorMemory()) {
+      io.print("nothing to forget. we haven't met.", "dim");
+      return;
+    }
+    forgetVisitor();
+    io.print("forgotten. this browser no longer remembers you.", "accent");
+  },
+  complete: (partial) => ("me".startsWith(partial) ? ["me"] : []),
+});
+
 // ================================
-// Nickname Input - Sesame Gate
+// Palette Editor
 // ================================
 
 /**
- * Initialize the nickname input "sesame gate" feature
+ * Palettes shipped with the editor; the first mirrors the built-in dark theme
+ * @type {Array<Palette & {id: string}>}
  */
-function initNicknameInput() {
-  const input = document.getElementById("nickname-input");
-  const response = document.getElementById("nickname-response");
-  const btn = document.getElementById("sesame-btn");
+const PALETTE_PRESETS = [
+  {
+    id: "void",
+    name: "void",
+    background: "#08080a",
+    text: "#e4e4e8",
+    dim: "#6b6b78",
+    accent: "#00ff9d",
+    wave: "#00ff9d",
+    particles: ["#00ff9d", "#00d4ff", "#7864ff"],
+  },
+  {
+    id: "amber-crt",
+    name: "amber CRT",
+    background: "#0d0900",
+    text: "#ffb000",
+    dim: "#9a6a00",
+    accent: "#ffcc33",
+    wave: "#ffb000",
+    particles: ["#ffb000", "#ff8c00", "#ffd27f"],
+  },
+  {
+    id: "green-phosphor",
+    name: "green phosphor",
+    background: "#020f02",
+    text: "#33ff66",
+    dim: "#1f9a40",
+    accent: "#66ff99",
+    wave: "#33ff66",
+    particles: ["#33ff66", "#00cc44", "#aaffaa"],
+  },
+  {
+    id: "amiga-workbench",
+    name: "Amiga Workbench",
+    background: "#0055aa",
+    text: "#ffffff",
+    dim: "#b4cdeb",
+    accent: "#ff8800",
+    wave: "#ff8800",
+    particles: ["#ffffff", "#ff8800", "#000022"],
+  },
+];
 
-  if (!input || !response || !btn) return;
+/**
+ * Contrast pairs checked by the editor and the ratio each needs
+ * WCAG AA: 4.5 for body text, 3 for large text and UI accents
+ * @type {Array<{field: string, label: string, min: number}>}
+ */
+const PALETTE_CONTRAST_CHECKS = [
+  { field: "text", label: "text", min: 4.5 },
+  { field: "dim", label: "dim text", min: 3 },
+  { field: "accent", label: "accent", min: 3 },
+];
 
-  const controller = createAbortController();
+/** @type {{panel: HTMLElement, close: (save: boolean) => void} | null} */
+let paletteEditor = null;
 
-  const eraResponses = {
-    mohsen: { era: "The formal era. Parents? Teachers? Government forms?" },
-    ramez: { era: "High school! You survived those years with me." },
-    null: { era: "End of high school. BBS days. You saw the origin." },
-    linux: { era: "University era. Compiling kernels and idealism." },
-    dotcom: { era: "Uni days. When we thought the web would save us all." },
-    mosi: { era: "The 30s. You knew me when I had opinions about wine." },
-    mojen: { era: "The 30s variant. Close enough to formal, far from it." },
-    moe: { era: "Finance era. You know me in a suit. Somehow." },
-    nulloxide: { era: "Internet age. You found me in the void." },
+/**
+ * WCAG contrast ratio between two hex colours
+ * @param {string} a - First colour
+ * @param {string} b - Second colour
+ * @returns {number} Ratio from 1 to 21
+ */
+function getContrastRatio(a, b) {
+  const luminance = (hex) => {
+    const [r, g, bl] = (parseHexColor(hex) || [0, 0, 0]).map((c) => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * bl;
   };
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
 
-  const defaultResponses = [
-    "Hmm, don't recognize that one. But I'll trust you.",
-    "Interesting. You had a unique name for me.",
-    "Can't place the era, but you seem legit.",
-    "Memory fuzzy. Too many kernel panics.",
-  ];
+/**
+ * Find a preset by id, ignoring case
+ * @param {string} id - Preset id
+ * @returns {Palette | null} A copy of the preset
+ */
+function getPalettePreset(id) {
+  const preset = PALETTE_PRESETS.find((p) => p.id === String(id).toLowerCase());
+  return preset ? normalizePalette(preset) : null;
+}
 
-  function processNickname() {
-    const nickname = input.value.trim().toLowerCase();
+/**
+ * Open the palette editor with live preview
+ * Changes preview immediately; save keeps them, cancel restores the stored palette
+ */
+function openPaletteEditor() {
+  if (paletteEditor) {
+    const first = paletteEditor.panel.querySelector("select, input");
+    if (first) first.focus();
+    return;
+  }
 
-    if (!nickname) {
-      response.textContent = "Type something. I don't bite. Much.";
-      response.classList.add("visible");
-      return;
-    }
+  const controller = createAbortController();
+  const opts = { signal: controller.signal };
+  const returnFocus = document.activeElement;
+  let draft = getActivePalette() || getPalettePreset(PALETTE_PRESETS[0].id);
+
+  const panel = document.createElement("div");
+  panel.className = "palette-editor";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Palette editor");
+  panel.setAttribute("data-lenis-prevent", "");
+
+  const header = document.createElement("div");
+  header.className = "palette-editor-header";
+  header.innerHTML = '<span class="accent">$ palette</span>';
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "palette-editor-close";
+  closeBtn.textContent = "×";
+  closeBtn.setAttribute("aria-label", "Close without saving");
+  header.appendChild(closeBtn);
+  panel.appendChild(header);
 
-    const match = eraResponses[nickname];
+  /**
+   * @param {string} text - Label text
+   * @param {HTMLElement} control - Labelled control
+   */
+  const addRow = (text, control) => {
+    const label = document.createElement("label");
+    label.className = "palette-editor-row";
+    const span = document.createElement("span");
+    span.textContent = text;
+    label.append(span, control);
+    panel.appendChild(label);
+  };
 
-    if (match) {
-      response.textContent = match.era;
-    } else {
-      response.textContent =
-        defaultResponses[Math.floor(Math.random() * defaultResponses.length)];
-    }
+  const presetSelect = document.createElement("select");
+  presetSelect.innerHTML = '<option value="">custom</option>';
+  PALETTE_PRESETS.forEach((preset) => {
+    const option = document.createElement("option");
+    option.value = preset.id;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+  addRow("preset", presetSelect);
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.maxLength = 40;
+  addRow("name", nameInput);
+
+  /** @type {Record<string, HTMLInputElement>} */
+  const colorInputs = {};
+  const colorFields = [
+    ...PALETTE_COLORS,
+    ...Array.from({ length: PALETTE_PARTICLES }, (_, i) => `particle ${i + 1}`),
+  ];
+  colorFields.forEach((field) => {
+    const input = document.createElement("input");
+    input.type = "color";
+    colorInputs[field] = input;
+    addRow(field, input);
+  });
 
-    response.classList.add("visible");
+  const contrast = document.createElement("ul");
+  contrast.className = "palette-editor-contrast";
+  contrast.setAttribute("aria-live", "polite");
+  panel.appendChild(contrast);
+
+  const actions = document.createElement("div");
+  actions.className = "palette-editor-actions";
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = "application/json,.json";
+  fileInput.hidden = true;
+  /** @type {Record<string, HTMLButtonElement>} */
+  const buttons = {};
+  ["save", "reset", "export", "import"].forEach((action) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "terminal-control";
+    btn.textContent = action;
+    buttons[action] = btn;
+    actions.appendChild(btn);
+  });
+  actions.appendChild(fileInput);
+  panel.appendChild(actions);
+
+  const status = document.createElement("p");
+  status.className = "palette-editor-status dim";
+  status.setAttribute("role", "status");
+  panel.appendChild(status);
+
+  /** Push the draft into the form and the contrast report */
+  function render() {
+    nameInput.value = draft.name;
+    PALETTE_COLORS.forEach((field) => {
+      colorInputs[field].value = draft[field];
+    });
+    draft.particles.forEach((hex, i) => {
+      colorInputs[`particle ${i + 1}`].value = hex;
+    });
+    const preset = PALETTE_PRESETS.find(
+      (p) => JSON.stringify(normalizePalette(p)) === JSON.stringify(draft),
+    );
+    presetSelect.value = preset ? preset.id : "";
+
+    contrast.textContent = "";
+    PALETTE_CONTRAST_CHECKS.forEach(({ field, label, min }) => {
+      const ratio = getContrastRatio(draft[field], draft.background);
+      const li = document.createElement("li");
+      const pass = ratio >= min;
+      li.className = pass ? "" : "error";
+      li.textContent = `${pass ? "✓" : "✗"} ${label} ${ratio.toFixed(1)}:1 (needs ${min}:1)`;
+      contrast.appendChild(li);
+    });
+  }
 
-    // Transform button to personal email link
-    registerTimeout(() => {
-      btn.classList.add("revealed");
-      const personalEmail = ["nulloxide", "@", "gmail", ".", "com"].join("");
-      const encodedName = encodeURIComponent(input.value);
+  /**
+   * Replace the draft and preview it live
+   * @param {Palette} palette - New draft
+   */
+  function preview(palette) {
+    draft = palette;
+    applyPalette(draft);
+    render();
+  }
 
-      // Create the link element properly
-      const link = document.createElement("a");
-      link.href = `mailto:${personalEmail}?subject=Hey, it's ${encodedName}`;
-      link.style.cssText = "color: inherit; text-decoration: none;";
-      link.textContent = "Gates open. Click to email.";
+  /** Read the form back into a palette */
+  function readForm() {
+    const input = { name: nameInput.value };
+    PALETTE_COLORS.forEach((field) => {
+      input[field] = colorInputs[field].value;
+    });
+    input.particles = draft.particles.map(
+      (hex, i) => colorInputs[`particle ${i + 1}`].value,
+    );
+    return normalizePalette(input);
+  }
 
-      btn.textContent = "";
-      btn.appendChild(link);
-    }, 1000);
+  /**
+   * Close the editor
+   * @param {boolean} save - Keep the draft, otherwise restore the stored palette
+   */
+  function close(save) {
+    if (save) {
+      savePalette(draft);
+    } else {
+      applyPalette(getStoredPalette());
+    }
+    controller.abort();
+    panel.remove();
+    paletteEditor = null;
+    if (returnFocus instanceof HTMLElement) returnFocus.focus();
   }
 
-  btn.addEventListener(
-    "click",
+  presetSelect.addEventListener(
+    "change",
+    () => {
+      const preset = getPalettePreset(presetSelect.value);
+      if (preset) preview(preset);
+    },
+    opts,
+  );
+  panel.addEventListener(
+    "input",
     (e) => {
-      if (!btn.classList.contains("revealed")) {
-        e.preventDefault();
-        processNickname();
-      }
+      if (e.target === presetSelect || e.target === fileInput) return;
+      preview(readForm());
     },
-    { signal: controller.signal },
+    opts,
   );
-
-  input.addEventListener(
-    "keypress",
+  panel.addEventListener(
+    "keydown",
     (e) => {
-      if (e.key === "Enter") {
-        processNickname();
-      }
+      if (e.key === "Escape") close(false);
     },
-    { signal: controller.signal },
+    opts,
   );
-}
-
-// ================================
-// Scroll Progress Indicator
-// ================================
-
-/**
- * Initialize the scroll progress bar at the top of the page
- * Uses rAF throttling for better performance
- */
-function initScrollProgress() {
-  const progressBar = document.getElementById("scroll-progress");
-  if (!progressBar) return;
-
-  const controller = createAbortController();
-  let ticking = false;
-
-  function updateProgress() {
-    const scrollTop = window.scrollY;
-    const docHeight =
-      document.documentElement.scrollHeight - window.innerHeight;
-    const progress = docHeight > 0 ? (scrollTop / docHeight) * 100 : 0;
-    progressBar.style.width = `${progress}%`;
-    ticking = false;
-  }
-
-  window.addEventListener(
-    "scroll",
+  closeBtn.addEventListener("click", () => close(false), opts);
+  buttons.save.addEventListener("click", () => close(true), opts);
+  buttons.reset.addEventListener(
+    "click",
     () => {
-      if (!ticking) {
-        requestAnimationFrame(updateProgress);
-        ticking = true;
-      }
+      savePalette(null);
+      close(false);
     },
-    { passive: true, signal: controller.signal },
+    opts,
   );
-}
-
-// ================================
-// Scroll to Top
-// ================================
-
-/**
- * Initialize the scroll-to-top button
- */
-function initScrollToTop() {
-  const btn = document.getElementById("scroll-top");
-  if (!btn) return;
-
-  const controller = createAbortController();
-
-  btn.addEventListener(
+  buttons.export.addEventListener(
     "click",
     () => {
-      if (lenis) {
-        lenis.scrollTo(0, { duration: 2 });
-      } else {
-        window.scrollTo({ top: 0, behavior: "smooth" });
+      const filename = `${draft.name.replace(/[^\w-]+/g, "-") || "palette"}.json`;
+      downloadFile(
+        filename,
+        "application/json",
+        JSON.stringify(draft, null, 2) + "\n",
+      );
+      status.textContent = `exported ${filename}`;
+    },
+    opts,
+  );
+  buttons.import.addEventListener("click", () => fileInput.click(), opts);
+  fileInput.addEventListener(
+    "change",
+    async () => {
+      const [file] = fileInput.files || [];
+      if (!file) return;
+      try {
+        preview(normalizePalette(JSON.parse(await file.text())));
+        status.textContent = `imported ${file.name}, save to keep it`;
+      } catch (e) {
+        status.textContent = `import failed: ${e.message}`;
       }
+      fileInput.value = "";
     },
-    { signal: controller.signal },
+    opts,
   );
-}
-
-// ================================
-// Rotating Placeholder
-// ================================
-
-/**
- * Initialize rotating placeholder text for the nickname input
- */
-function initRotatingPlaceholder() {
-  const input = document.getElementById("nickname-input");
-  if (!input) return;
-
-  const placeholders = [
-    "mohsen? moe? that kid?",
-    "the 3am debugger?",
-    "null? linux? dotcom?",
-    "ramez from high school?",
-    "the FreeBSD guy?",
-    "too many monitors guy?",
-  ];
-
-  let currentIndex = 0;
 
-  registerInterval(
-    setInterval(() => {
-      currentIndex = (currentIndex + 1) % placeholders.length;
-      input.placeholder = placeholders[currentIndex];
-    }, 4000),
-  );
+  document.body.appendChild(panel);
+  paletteEditor = { panel, close };
+  render();
+  presetSelect.focus();
 }
 
-// ================================
-// Console Easter Egg
-// ================================
-console.log(
-  "%c∅→ nulloxide",
-  "font-size: 20px; font-weight: bold; color: #00ff9d;",
-);
-console.log(
-  "%c" +
-    `
-    ╔══════════════════════════════════════╗
-    ║  You found the console.              ║
-    ║  Respect.                            ║
-    ║                                      ║
-    ║  Type 'nulloxide.help()' for more.   ║
-    ╚══════════════════════════════════════╝
-`,
-  "color: #4a4a58; font-family: monospace;",
-);
-
-window.nulloxide = {
-  help: () => {
-    console.log("%cAvailable commands:", "color: #00ff9d; font-weight: bold;");
-    console.log("  nulloxide.age()     - Calculate exact age");
-    console.log("  nulloxide.stack()   - Tech stack over the years");
-    console.log("  nulloxide.contact() - Get in touch");
-    console.log("  nulloxide.source()  - View source code");
-  },
-  age: () => {
-    const now = new Date();
-    const diff = now.getTime() - BIRTHDAY.getTime();
-    const years = Math.floor(diff / (365.25 * 24 * 60 * 60 * 1000));
-    const days = Math.floor(
-      (diff % (365.25 * 24 * 60 * 60 * 1000)) / (24 * 60 * 60 * 1000),
-    );
-    const hours = Math.floor((diff % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
-    console.log(
-      `%c${years} years, ${days} days, ${hours} hours`,
-      "color: #00ff9d;",
-    );
-    console.log("%cand counting...", "color: #4a4a58;");
-  },
-  stack: () => {
-    console.log("%cThe Evolution:", "color: #ff6b35; font-weight: bold;");
-    console.log("  1980s: BASIC, Assembly, Amiga");
-    console.log("  1990s: C, Pascal, BBS, FreeBSD");
-    console.log("  2000s: Linux, Perl, PHP, MySQL");
-    console.log("  2010s: Python, Docker, K8s, Cloud");
-    console.log("  2020s: Finance, Data, Scale");
-    console.log("%cStill learning.", "color: #00ff9d;");
-  },
-  contact: () => {
-    console.log("%cReach out:", "color: #00ff9d; font-weight: bold;");
-    console.log("  Work: sudo@nulloxide.com");
-    console.log("  Friends: nulloxide@gmail.com");
-    console.log("  LinkedIn: /in/nulloxide");
-    console.log("  Handle: @nulloxide (everywhere)");
-  },
-  source: () => {
-    console.log("%cView source: Ctrl+U or Cmd+Option+U", "color: #00ff9d;");
-    console.log(
-      "%cOr just scroll up and read the code comments.",
-      "color: #4a4a58;",
-    );
+registerShellCommand("palette", {
+  description: "Edit the colour palette",
+  hidden: true,
+  run: (args, io) => {
+    const [action, ...rest] = args;
+
+    if (!action) {
+      openPaletteEditor();
+      io.print("palette editor open. esc cancels, save keeps.", "dim");
+    } else if (action === "list") {
+      PALETTE_PRESETS.forEach((preset) => {
+        io.print(`  ${preset.id.padEnd(18)}${preset.name}`);
+      });
+    } else if (action === "reset") {
+      savePalette(null);
+      io.print("palette: built-in theme", "accent");
+    } else if (action === "export") {
+      const palette =
+        getActivePalette() || getPalettePreset(PALETTE_PRESETS[0].id);
+      const json = JSON.stringify(palette);
+      // Single-quoted at the prompt, so it pastes straight back into import
+      io.print(
+        io.kind === "terminal" ? `'${json.replace(/'/g, "'\\''")}'` : json,
+      );
+    } else if (action === "import") {
+      try {
+        const palette = normalizePalette(JSON.parse(rest.join(" ")));
+        savePalette(palette);
+        io.print(`palette: ${palette.name}`, "accent");
+      } catch (e) {
+        io.print(`palette: ${e.message}`, "error");
+      }
+    } else if (getPalettePreset(action)) {
+      savePalette(getPalettePreset(action));
+      io.print(`palette: ${getActivePalette().name}`, "accent");
+    } else {
+      io.print(
+        "usage: palette [list|<preset>|import <json>|export|reset]",
+        "error",
+      );
+    }
   },
-};
+  complete: (partial, args) =>
+    args.length > 1
+      ? []
+      : [
+          "list",
+          "import",
+          "export",
+          "reset",
+          ...PALETTE_PRESETS.map((preset) => preset.id),
+        ].filter((word) => word.startsWith(partial)),
+});
 
 // ================================
 // Email Reveal
@@ -1686,6 +7611,8 @@ function initEmailReveal() {
   if (!btn || !display) return;
 
   const controller = createAbortController();
+  /** @type {AbortController|null} */
+  let typing = null;
 
   btn.addEventListener(
     "click",
@@ -1694,32 +7621,24 @@ function initEmailReveal() {
       const parts = ["sudo", "@", "null", "oxide", ".", "com"];
       const email = parts.join("");
 
-      // Type it out
-      display.textContent = "";
+      // Type it out as a live link
+      const link = document.createElement("a");
+      link.href = `mailto:${email}`;
+      link.style.cssText = "color: var(--accent); text-decoration: none;";
+      link.textContent = email;
+      const fragment = document.createDocumentFragment();
+      fragment.appendChild(link);
+
+      if (typing) typing.abort();
+      typing = new AbortController();
       display.classList.add("visible");
-
-      let i = 0;
-      function typeEmail() {
-        if (i < email.length) {
-          display.textContent += email[i];
-          i++;
-          registerTimeout(typeEmail, 50);
-        } else {
-          // Make it clickable
-          const link = document.createElement("a");
-          link.href = `mailto:${email}`;
-          link.style.cssText = "color: var(--accent); text-decoration: none;";
-          link.textContent = email;
-          display.textContent = "";
-          display.appendChild(link);
-        }
-      }
-      typeEmail();
+      typewrite(display, fragment, { speed: 50, signal: typing.signal });
 
       // Update button
       const buttonText = btn.querySelector("span:not(.link-icon)");
       const emailHint = btn.querySelector(".email-hint");
 
+      unlockAchievement("email");
       if (buttonText) buttonText.textContent = "Copied vibes";
       if (emailHint) emailHint.style.display = "none";
 
@@ -1731,6 +7650,11 @@ function initEmailReveal() {
   );
 }
 
+registerAchievement("email", {
+  title: "Revealed the email",
+  hint: "Contact details, assembled at runtime",
+});
+
 // ================================
 // End Section
 // ================================
@@ -1757,86 +7681,521 @@ function initEndSection() {
   // Random glitch on signature
   if (sigEl) {
     registerInterval(
-      setInterval(() => {
-        if (Math.random() < 0.1) {
+      () => {
+        if (Math.random() < 0.1 * getMotionScale()) {
           sigEl.classList.add("glitching");
-          registerTimeout(() => sigEl.classList.remove("glitching"), 200);
+
+          // Only counts if someone was looking
+          const rect = sigEl.getBoundingClientRect();
+          if (rect.bottom > 0 && rect.top < window.innerHeight) {
+            unlockAchievement("glitch");
+          }
+          registerTimeout(
+            () => sigEl.classList.remove("glitching"),
+            200,
+            "ambient",
+          );
         }
-      }, 5000),
+      },
+      5000,
+      "ambient",
     );
   }
 }
 
+registerAchievement("glitch", {
+  title: "Caught the signature glitching",
+  hint: "Watch the end of the page closely",
+});
+
 // ================================
-// Konami Code Easter Egg
+// Cracktro
 // ================================
 
+/** Smallest buffer the cracktro draws into; it is scaled up, pixels and all */
+const CRACKTRO_MIN_WIDTH = 320;
+const CRACKTRO_MIN_HEIGHT = 256;
+
+/** Stars in the 3D starfield */
+const CRACKTRO_STARS = 120;
+
+/** Scanlines from the middle of a copper bar to its edge */
+const CRACKTRO_BAR_HALF = 8;
+
+/** Buffer px per logo pixel */
+const CRACKTRO_LOGO_BLOCK = 4;
+
+/** Scrolltext speed in buffer px per second */
+const CRACKTRO_SCROLL_SPEED = 70;
+
 /**
- * Initialize Konami code detection (↑↑↓↓←→←→BA)
+ * Clicks ignored for this many ms after opening; the tap that ends the
+ * Konami code on a phone sends its click after the cracktro is up
  */
-function initKonamiCode() {
-  const konamiSequence = [
-    "ArrowUp",
-    "ArrowUp",
-    "ArrowDown",
-    "ArrowDown",
-    "ArrowLeft",
-    "ArrowRight",
-    "ArrowLeft",
-    "ArrowRight",
-    "KeyB",
-    "KeyA",
-  ];
-  let konamiIndex = 0;
-  let isAnimating = false;
+const CRACKTRO_CLICK_GRACE = 500;
+
+/** Copper bar colours at full brightness, as RGB */
+const CRACKTRO_COPPER = [
+  [255, 70, 40],
+  [255, 200, 40],
+  [40, 255, 140],
+  [70, 120, 255],
+  [200, 80, 255],
+];
+
+const CRACKTRO_SCROLLTEXT = [
+  "NULLOXIDE PRESENTS A LITTLE CRACKTRO FOR THE PORTFOLIO...",
+  "CODE, GFX AND MUSIC IN PLAIN JAVASCRIPT, NO 68000 WAS HARMED...",
+  "GREETINGS TO: FAIRLIGHT * RED SECTOR INC * KEFRENS * SCOOPEX *",
+  "ANARCHY * THE SILENTS * PHENOMENA * SANITY * AND EVERY SYSOP WHO",
+  "NEVER HUNG UP ON A 14K4 CALLER...",
+  "PRESS ESC OR TAP TO RETURN TO THE VOID...",
+].join(" ");
 
-  const controller = createAbortController();
+/**
+ * 5x7 bitmap glyphs for the logo, "1" is a lit pixel
+ * @type {Record<string, string[]>}
+ */
+const CRACKTRO_LOGO_GLYPHS = {
+  N: ["1...1", "11..1", "1.1.1", "1..11", "1...1", "1...1", "1...1"],
+  U: ["1...1", "1...1", "1...1", "1...1", "1...1", "1...1", ".111."],
+  L: ["1....", "1....", "1....", "1....", "1....", "1....", "11111"],
+  O: [".111.", "1...1", "1...1", "1...1", "1...1", "1...1", ".111."],
+  X: ["1...1", "1...1", ".1.1.", "..1..", ".1.1.", "1...1", "1...1"],
+  I: [".111.", "..1..", "..1..", "..1..", "..1..", "..1..", ".111."],
+  D: ["1111.", "1...1", "1...1", "1...1", "1...1", "1...1", "1111."],
+  E: ["11111", "1....", "1....", "1111.", "1....", "1....", "11111"],
+};
 
-  document.addEventListener(
-    "keydown",
-    (e) => {
-      if (isAnimating) return;
+/** @type {{close: () => void} | null} */
+let cracktro = null;
+
+/**
+ * Get the lit pixels of a word in the logo font
+ * @param {string} text - Letters from CRACKTRO_LOGO_GLYPHS
+ * @returns {{pixels: Array<{x: number, y: number}>, columns: number}} Pixel cells and the width in cells
+ */
+function getCracktroLogo(text) {
+  const pixels = [];
+  [...text].forEach((letter, i) => {
+    CRACKTRO_LOGO_GLYPHS[letter].forEach((row, y) => {
+      [...row].forEach((cell, x) => {
+        if (cell === "1") pixels.push({ x: i * 6 + x, y });
+      });
+    });
+  });
+  return { pixels, columns: text.length * 6 - 1 };
+}
 
-      const key = e.code;
+/**
+ * Open the full-screen cracktro: copper bars, a 3D starfield, a bitmap logo
+ * and a sine scroller, with the intro MOD when sounds are on
+ * Escape, a click or a tap closes it
+ * @param {Function} [onClose] - Callback once it has closed
+ */
+function openCracktro(onClose) {
+  if (cracktro) {
+    if (onClose) onClose();
+    return;
+  }
 
-      if (key === konamiSequence[konamiIndex]) {
-        konamiIndex++;
+  const overlay = document.createElement("div");
+  overlay.className = "cracktro";
+  overlay.setAttribute("role", "dialog");
+  overlay.setAttribute("aria-label", "Cracktro, press Escape to exit");
+  overlay.setAttribute("data-lenis-prevent", "");
+  overlay.tabIndex = -1;
+  const canvas = document.createElement("canvas");
+  canvas.setAttribute("aria-hidden", "true");
+  overlay.appendChild(canvas);
 
-        if (konamiIndex === konamiSequence.length) {
-          konamiIndex = 0;
-          isAnimating = true;
-          triggerKonamiEasterEgg(() => {
-            isAnimating = false;
-          });
-        }
-      } else {
-        konamiIndex = 0;
-        // Check if first key matches to start fresh
-        if (key === konamiSequence[0]) {
-          konamiIndex = 1;
-        }
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    console.warn("Cracktro unavailable: no 2D canvas");
+    if (onClose) onClose();
+    return;
+  }
+
+  const controller = createAbortController("cracktro");
+  const opts = { signal: controller.signal };
+  const returnFocus = document.activeElement;
+  const logo = getCracktroLogo("NULLOXIDE");
+  const stars = Array.from({ length: CRACKTRO_STARS }, () => ({
+    x: Math.random() * 2 - 1,
+    y: Math.random() * 2 - 1,
+    z: Math.random(),
+  }));
+  let width = CRACKTRO_MIN_WIDTH;
+  let height = CRACKTRO_MIN_HEIGHT;
+  let time = 0;
+  let lastTime = 0;
+  let startedMusic = false;
+
+  /**
+   * Size the buffer so at least 320x256 fits, whatever the window's shape
+   */
+  function resize() {
+    const scale = Math.min(
+      window.innerWidth / CRACKTRO_MIN_WIDTH,
+      window.innerHeight / CRACKTRO_MIN_HEIGHT,
+    );
+    width = Math.round(window.innerWidth / scale) || CRACKTRO_MIN_WIDTH;
+    height = Math.round(window.innerHeight / scale) || CRACKTRO_MIN_HEIGHT;
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  /**
+   * @param {number} dt - Seconds since the last frame
+   */
+  function drawStars(dt) {
+    const focal = Math.min(width, height) * 0.5;
+    stars.forEach((star) => {
+      star.z -= dt * 0.35;
+      const sx = width / 2 + (star.x / star.z) * focal;
+      const sy = height / 2 + (star.y / star.z) * focal;
+      if (star.z <= 0.02 || sx < 0 || sx >= width || sy < 0 || sy >= height) {
+        star.x = Math.random() * 2 - 1;
+        star.y = Math.random() * 2 - 1;
+        star.z = 1;
+        return;
+      }
+      const shade = Math.round(255 * (1 - star.z));
+      ctx.fillStyle = `rgb(${shade}, ${shade}, ${shade})`;
+      ctx.fillRect(Math.floor(sx), Math.floor(sy), star.z < 0.3 ? 2 : 1, 1);
+    });
+  }
+
+  /**
+   * Copper bars: one fill per scanline, brightest in the middle of each bar
+   */
+  function drawCopper() {
+    CRACKTRO_COPPER.forEach((rgb, i) => {
+      const center = height * (0.5 + 0.4 * Math.sin(time * 1.4 + i * 0.7));
+      for (let y = -CRACKTRO_BAR_HALF; y <= CRACKTRO_BAR_HALF; y++) {
+        const light = 1 - Math.abs(y) / (CRACKTRO_BAR_HALF + 1);
+        ctx.fillStyle = `rgb(${rgb.map((c) => Math.round(c * light)).join(", ")})`;
+        ctx.fillRect(0, Math.round(center + y), width, 1);
+      }
+    });
+  }
+
+  /**
+   * The logo bobs, and each row sways a little behind the one above
+   */
+  function drawLogo() {
+    const block = CRACKTRO_LOGO_BLOCK;
+    const left = (width - logo.columns * block) / 2;
+    const top = 24 + Math.sin(time * 2) * 6;
+    logo.pixels.forEach(({ x, y }) => {
+      const sway = Math.sin(time * 3 + y * 0.5) * 3;
+      ctx.fillStyle = `hsl(${40 - y * 6}, 100%, ${70 - y * 4}%)`;
+      ctx.fillRect(
+        Math.round(left + x * block + sway),
+        Math.round(top + y * block),
+        block - 1,
+        block - 1,
+      );
+    });
+  }
+
+  /**
+   * The scrolltext, one character at a time riding a sine wave
+   */
+  function drawScroller() {
+    const charWidth = 10;
+    const span = CRACKTRO_SCROLLTEXT.length * charWidth + width;
+    const offset = (time * CRACKTRO_SCROLL_SPEED) % span;
+    const baseline = height - 40;
+
+    ctx.font = 'bold 14px "JetBrains Mono", monospace';
+    ctx.textBaseline = "middle";
+    for (let i = 0; i < CRACKTRO_SCROLLTEXT.length; i++) {
+      const x = width - offset + i * charWidth;
+      if (x < -charWidth) continue;
+      if (x > width) break;
+      ctx.fillStyle = `hsl(${(x + time * 120) % 360}, 100%, 65%)`;
+      ctx.fillText(
+        CRACKTRO_SCROLLTEXT[i],
+        x,
+        baseline + Math.sin(x * 0.03 + time * 4) * 14,
+      );
+    }
+  }
+
+  /**
+   * @param {number} now - Frame timestamp
+   */
+  function draw(now) {
+    // Resume where it left off after the tab was hidden
+    const dt = lastTime ? Math.min(now - lastTime, 50) / 1000 : 0;
+    lastTime = now;
+    time += dt;
+
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, height);
+    drawStars(dt);
+    drawCopper();
+    drawLogo();
+    drawScroller();
+  }
+
+  function close() {
+    teardownGroup("cracktro");
+    overlay.remove();
+    cracktro = null;
+    if (startedMusic) {
+      pauseMod().catch((e) => console.warn("MOD could not be paused:", e));
+    }
+    if (returnFocus instanceof HTMLElement) returnFocus.focus();
+    if (onClose) onClose();
+  }
+
+  resize();
+  window.addEventListener("resize", resize, opts);
+  document.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        close();
       }
     },
-    { signal: controller.signal },
+    opts,
   );
+  const openedAt = performance.now();
+  overlay.addEventListener(
+    "click",
+    () => {
+      if (performance.now() - openedAt >= CRACKTRO_CLICK_GRACE) close();
+    },
+    opts,
+  );
+  controller.signal.addEventListener(
+    "abort",
+    onMotionChange((level) => {
+      if (level !== "full") close();
+    }),
+  );
+
+  document.body.appendChild(overlay);
+  overlay.focus();
+  cracktro = { close };
+  registerFrameLoop(draw, "cracktro");
+
+  // Every cracktro needs its MOD, when the visitor has sound on
+  if (isSoundEnabled() && !modPlayer.playing) {
+    startedMusic = true;
+    playMod().catch((e) => console.warn("MOD player unavailable:", e));
+  }
 }
 
+// ================================
+// Cheat Codes
+// ================================
+
+/** Default ms allowed between two inputs of a code before it starts over */
+const CHEAT_TIMEOUT = 1500;
+
+/** Default ms after a code's effect ends before it can fire again */
+const CHEAT_COOLDOWN = 1000;
+
+/** Inputs remembered per channel; bounds the longest code */
+const CHEAT_HISTORY = 32;
+
+/** Finger travel in px that makes a swipe; anything shorter is a tap */
+const CHEAT_SWIPE_DISTANCE = 30;
+
 /**
- * Trigger the Konami code easter egg effects
- * @param {Function} onComplete - Callback when animation completes
+ * An easter egg and the input that unlocks it
+ * A code can listen on several channels, e.g. keys on desktop and swipes on phones
+ * @typedef {Object} CheatCode
+ * @property {string[]} [keys] - KeyboardEvent.code values in order
+ * @property {string} [word] - Text typed outside text fields or entered at the prompt, case-insensitive
+ * @property {Array<'up' | 'down' | 'left' | 'right' | 'tap'>} [swipes] - Touch gestures in order
+ * @property {number} [timeout] - ms allowed between inputs, CHEAT_TIMEOUT by default
+ * @property {number} [cooldown] - ms after done() before it can fire again, CHEAT_COOLDOWN by default
+ * @property {string} title - Achievement title once found
+ * @property {string} hint - Achievement hint while hidden
+ * @property {(done: () => void) => void} run - Play the effect; call done once it is over
  */
-function triggerKonamiEasterEgg(onComplete) {
-  // Show secret message
+
+/**
+ * @typedef {'keys' | 'word' | 'swipes'} CheatChannel
+ */
+
+/**
+ * Cheat code registry and the recent input it matches against
+ */
+const cheats = {
+  /** @type {Map<string, CheatCode>} */
+  codes: new Map(),
+  /** @type {Record<CheatChannel, Array<{token: string, time: number}>>} */
+  history: { keys: [], word: [], swipes: [] },
+  /** Codes whose effect is still playing */
+  /** @type {Set<string>} */
+  running: new Set(),
+  /** When each code can fire again, by performance.now() */
+  /** @type {Map<string, number>} */
+  readyAt: new Map(),
+};
+
+/**
+ * Get the sequence a code expects on one input channel
+ * @param {CheatCode} code - The code
+ * @param {CheatChannel} channel - Input channel
+ * @returns {string[] | null} Tokens in order, or null when it ignores the channel
+ */
+function getCheatSequence(code, channel) {
+  if (channel === "word") {
+    return code.word ? [...code.word.toLowerCase()] : null;
+  }
+  return code[channel] || null;
+}
+
+/**
+ * Register an easter egg
+ * @param {string} id - Unique name
+ * @param {CheatCode} code - Its input and effect
+ * @throws {Error} When the code has no input, no handler, no achievement title or hint, or a sequence too long to match
+ */
+function registerCheatCode(id, code) {
+  if (!code || typeof code.run !== "function") {
+    throw new Error(`cheat code "${id}" needs a run function`);
+  }
+  if (!code.title || !code.hint) {
+    throw new Error(`cheat code "${id}" needs a title and a hint`);
+  }
+  const sequences = ["keys", "word", "swipes"]
+    .map((channel) => getCheatSequence(code, channel))
+    .filter(Boolean);
+  if (!sequences.length || sequences.some((sequence) => !sequence.length)) {
+    throw new Error(`cheat code "${id}" needs keys, a word or swipes`);
+  }
+  if (sequences.some((sequence) => sequence.length > CHEAT_HISTORY)) {
+    throw new Error(
+      `cheat code "${id}" is longer than ${CHEAT_HISTORY} inputs`,
+    );
+  }
+  cheats.codes.set(id, code);
+  registerAchievement(`cheat-${id}`, { title: code.title, hint: code.hint });
+}
+
+/**
+ * Play a code's effect unless it is already playing or cooling down
+ * @param {string} id - Code name
+ * @param {CheatCode} code - The code
+ */
+function fireCheatCode(id, code) {
+  if (cheats.running.has(id)) return;
+  if (performance.now() < (cheats.readyAt.get(id) || 0)) return;
+
+  cheats.running.add(id);
+  unlockAchievement(`cheat-${id}`);
+  const done = () => {
+    if (!cheats.running.delete(id)) return;
+    const cooldown =
+      code.cooldown !== undefined ? code.cooldown : CHEAT_COOLDOWN;
+    cheats.readyAt.set(id, performance.now() + cooldown);
+  };
+
+  try {
+    code.run(done);
+  } catch (e) {
+    console.warn(`Cheat code "${id}" failed:`, e);
+    done();
+  }
+}
+
+/**
+ * Measure how far into a sequence the latest inputs have got
+ * @param {string[]} sequence - Tokens the code expects
+ * @param {Array<{token: string, time: number}>} history - Recent input, newest last
+ * @param {number} timeout - ms allowed between inputs
+ * @returns {number} Length of the longest start of the sequence the history ends with
+ */
+function getCheatProgress(sequence, history, timeout) {
+  for (
+    let length = Math.min(sequence.length, history.length);
+    length;
+    length--
+  ) {
+    const recent = history.slice(-length);
+    const matched = recent.every(
+      (input, i) =>
+        input.token === sequence[i] &&
+        (i === 0 || input.time - recent[i - 1].time <= timeout),
+    );
+    if (matched) return length;
+  }
+  return 0;
+}
+
+/**
+ * Record one input and fire every code it completes
+ * @param {CheatChannel} channel - Where the input came from
+ * @param {string} token - Key code, lowercase character or gesture
+ * @returns {number} Most inputs any code on the channel has matched so far
+ */
+function feedCheatInput(channel, token) {
+  const history = cheats.history[channel];
+  history.push({ token, time: performance.now() });
+  if (history.length > CHEAT_HISTORY) history.shift();
+
+  let progress = 0;
+  cheats.codes.forEach((code, id) => {
+    const sequence = getCheatSequence(code, channel);
+    if (!sequence) return;
+
+    const matched = getCheatProgress(
+      sequence,
+      history,
+      code.timeout || CHEAT_TIMEOUT,
+    );
+    progress = Math.max(progress, matched);
+    if (matched === sequence.length) fireCheatCode(id, code);
+  });
+  return progress;
+}
+
+/**
+ * Fire the code whose word is exactly this text, e.g. a line typed at the prompt
+ * @param {string} text - Text to look up, case-insensitive
+ * @returns {boolean} True when a code matched
+ */
+function fireCheatWord(text) {
+  const word = text.trim().replace(/\s+/g, " ").toLowerCase();
+  for (const [id, code] of cheats.codes) {
+    if (code.word && code.word.toLowerCase() === word) {
+      fireCheatCode(id, code);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Show a full-screen cheat message, then fade it out
+ * @param {{symbol: string, text: string, subtexts?: string[]}} content - What to say
+ * @param {Function} [onComplete] - Callback once it has gone
+ */
+function showCheatMessage(content, onComplete) {
   const message = document.createElement("div");
-  message.className = "konami-message";
-  message.innerHTML = `
-    <div class="konami-message-content">
-      <span class="konami-symbol">⬆️⬆️⬇️⬇️⬅️➡️⬅️➡️🅱️🅰️</span>
-      <span class="konami-text">// YOU FOUND IT</span>
-      <span class="konami-subtext">30 extra lives unlocked. Just kidding.</span>
-      <span class="konami-subtext">But you clearly know your classics.</span>
-    </div>
-  `;
+  message.className = "cheat-message";
+  const body = document.createElement("div");
+  body.className = "cheat-message-content";
+  message.appendChild(body);
+
+  [
+    ["cheat-symbol", content.symbol],
+    ["cheat-text", content.text],
+    ...(content.subtexts || []).map((text) => ["cheat-subtext", text]),
+  ].forEach(([className, text]) => {
+    const span = document.createElement("span");
+    span.className = className;
+    span.textContent = text;
+    body.appendChild(span);
+  });
   document.body.appendChild(message);
 
   // Fade in message
@@ -1844,6 +8203,40 @@ function triggerKonamiEasterEgg(onComplete) {
     message.classList.add("visible");
   });
 
+  // Hide message after a bit
+  registerTimeout(() => {
+    message.classList.remove("visible");
+    registerTimeout(() => {
+      message.remove();
+      if (onComplete) onComplete();
+    }, 500);
+  }, 4000);
+}
+
+/**
+ * Trigger the Konami code easter egg effects
+ * Opens the cracktro at full motion, otherwise a still message
+ * @param {Function} onComplete - Callback when animation completes
+ */
+function triggerKonamiEasterEgg(onComplete) {
+  playSound("unlock");
+
+  if (getMotionLevel() === "full") {
+    openCracktro(onComplete);
+  } else {
+    showCheatMessage(
+      {
+        symbol: "⬆️⬆️⬇️⬇️⬅️➡️⬅️➡️🅱️🅰️",
+        text: "// YOU FOUND IT",
+        subtexts: [
+          "30 extra lives unlocked. Just kidding.",
+          "But you clearly know your classics.",
+        ],
+      },
+      onComplete,
+    );
+  }
+
   // Console message
   console.log(
     "%c🎮 KONAMI CODE ACTIVATED! 🎮",
@@ -1854,13 +8247,168 @@ function triggerKonamiEasterEgg(onComplete) {
     "%cYou found the easter egg. Respect.",
     "font-size: 14px; color: #89b4fa;",
   );
+}
 
-  // Hide message after a bit
-  registerTimeout(() => {
-    message.classList.remove("visible");
-    registerTimeout(() => {
-      message.remove();
-      if (onComplete) onComplete();
-    }, 500);
-  }, 4000);
+registerCheatCode("konami", {
+  title: "Entered the Konami code",
+  hint: "A classic, on keys or swipes",
+  keys: [
+    "ArrowUp",
+    "ArrowUp",
+    "ArrowDown",
+    "ArrowDown",
+    "ArrowLeft",
+    "ArrowRight",
+    "ArrowLeft",
+    "ArrowRight",
+    "KeyB",
+    "KeyA",
+  ],
+  // B and A become two taps on a phone
+  swipes: [
+    "up",
+    "up",
+    "down",
+    "down",
+    "left",
+    "right",
+    "left",
+    "right",
+    "tap",
+    "tap",
+  ],
+  run: triggerKonamiEasterEgg,
+});
+
+registerCheatCode("amiga", {
+  title: "Typed the computer that started it",
+  hint: "Cracktros were art galleries",
+  word: "amiga",
+  run: (done) => {
+    if (getMotionLevel() === "full") {
+      openCracktro(done);
+    } else {
+      done();
+    }
+  },
+});
+
+registerCheatCode("iddqd", {
+  title: "Found god mode",
+  hint: "Doom had a word for invincibility",
+  word: "iddqd",
+  run: (done) => {
+    playSound("unlock");
+    showCheatMessage(
+      {
+        symbol: "☠",
+        text: "// DEGREELESSNESS MODE ON",
+        subtexts: ["Bugs can no longer hurt you. Deadlines still can."],
+      },
+      done,
+    );
+  },
+});
+
+registerCheatCode("xyzzy", {
+  title: "Said the magic word",
+  hint: "A hollow voice from a colossal cave",
+  word: "xyzzy",
+  run: (done) => {
+    playSound("gate");
+    showCheatMessage(
+      {
+        symbol: "✦",
+        text: "Nothing happens.",
+        subtexts: ["You are in a maze of twisty little divs, all alike."],
+      },
+      done,
+    );
+  },
+});
+
+registerCheatCode("sandwich", {
+  title: "Asked nicely, as root",
+  hint: "xkcd knows what comes before make",
+  word: "sudo make me a sandwich",
+  // Typed at a sensible pace, not all in one burst
+  timeout: 3000,
+  run: (done) => {
+    playSound("gate");
+    showCheatMessage(
+      {
+        symbol: "🥪",
+        text: "Okay.",
+        subtexts: ["Without sudo it would have been: make it yourself."],
+      },
+      done,
+    );
+  },
+});
+
+/**
+ * Listen for cheat codes on the keyboard and touch screen
+ * Everything registered with registerCheatCode shares these listeners
+ */
+function initCheatCodes() {
+  const controller = createAbortController();
+  const { signal } = controller;
+
+  // Captured so a word part-way typed reaches no other shortcut first
+  document.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.repeat) return;
+      feedCheatInput("keys", e.code);
+
+      // Words count outside text fields; the prompt runs them as lines instead
+      const target = /** @type {HTMLElement} */ (e.target);
+      const editable =
+        target.isContentEditable ||
+        target.tagName === "INPUT" ||
+        target.tagName === "TEXTAREA";
+      if (e.key.length !== 1 || editable || e.ctrlKey || e.metaKey) return;
+
+      // Past the first letter, the key belongs to the word: Space must not
+      // scroll the page and k must not pause the journey
+      if (feedCheatInput("word", e.key.toLowerCase()) > 1) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    },
+    { capture: true, signal },
+  );
+
+  /** @type {{x: number, y: number} | null} */
+  let touchStart = null;
+
+  window.addEventListener(
+    "touchstart",
+    (e) => {
+      const touch = e.touches.length === 1 ? e.touches[0] : null;
+      touchStart = touch ? { x: touch.clientX, y: touch.clientY } : null;
+    },
+    { passive: true, signal },
+  );
+
+  window.addEventListener(
+    "touchend",
+    (e) => {
+      const touch = e.changedTouches[0];
+      if (!touchStart || !touch || e.touches.length) return;
+
+      const dx = touch.clientX - touchStart.x;
+      const dy = touch.clientY - touchStart.y;
+      touchStart = null;
+
+      if (Math.hypot(dx, dy) < CHEAT_SWIPE_DISTANCE) {
+        feedCheatInput("swipes", "tap");
+      } else if (Math.abs(dx) > Math.abs(dy)) {
+        feedCheatInput("swipes", dx > 0 ? "right" : "left");
+      } else {
+        feedCheatInput("swipes", dy > 0 ? "down" : "up");
+      }
+    },
+    { passive: true, signal },
+  );
 }
@@ -0,0 +1,325 @@
+// ================================
+// nulloxide - theme
+// ================================
+
+/**
+ * @fileoverview Theme preference and custom palettes shared by every page
+ * Loaded as a blocking script in <head> so the stored theme and palette are
+ * applied before the first paint, then keeps both in sync across open tabs
+ */
+
+/** localStorage key holding an explicit light/dark choice */
+const THEME_STORAGE_KEY = "theme";
+
+/** localStorage key holding a custom palette as JSON */
+const PALETTE_STORAGE_KEY = "nulloxide-palette";
+
+/**
+ * Preferences in the order the toggle cycles through them
+ * "system" follows prefers-color-scheme and stores nothing
+ */
+const THEME_PREFERENCES = ["system", "light", "dark"];
+
+/**
+ * Colours a palette defines, each a #rrggbb hex string
+ * @type {Array<keyof Palette>}
+ */
+const PALETTE_COLORS = ["background", "text", "dim", "accent", "wave"];
+
+/** Number of particle colours in a palette */
+const PALETTE_PARTICLES = 3;
+
+/**
+ * A custom colour scheme replacing the built-in light and dark themes
+ * Every other colour on the page is derived from these
+ * @typedef {Object} Palette
+ * @property {string} name - Display name
+ * @property {string} background - Page background
+ * @property {string} text - Body text
+ * @property {string} dim - Secondary text
+ * @property {string} accent - Highlights, links and particle connections
+ * @property {string} wave - Wave visualisation
+ * @property {string[]} particles - Void canvas particle colours
+ */
+
+/** @type {Set<(theme: 'light' | 'dark', preference: string) => void>} */
+const themeListeners = new Set();
+
+/** Carries theme and palette changes to other tabs, even when storage is blocked */
+const themeChannel =
+  "BroadcastChannel" in window ? new BroadcastChannel("nulloxide-theme") : null;
+
+const systemLightQuery = window.matchMedia("(prefers-color-scheme: light)");
+
+/** @type {Palette | null} */
+let activePalette = null;
+
+/** CSS variables the active palette set inline on <html> */
+let appliedPaletteVariables = [];
+
+/**
+ * Parse a hex colour into its RGB channels
+ * @param {string} color - #rgb or #rrggbb
+ * @returns {number[] | null} Red, green and blue, or null for other formats
+ */
+function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Validate a palette and normalise its colours to lowercase #rrggbb
+ * @param {any} input - Parsed JSON or a palette object
+ * @returns {Palette} A clean copy
+ * @throws {Error} Naming the first missing or invalid field
+ */
+function normalizePalette(input) {
+  if (!input || typeof input !== "object") {
+    throw new Error("palette must be a JSON object");
+  }
+
+  /**
+   * @param {any} value - Colour to check
+   * @param {string} field - Field name for the error message
+   * @returns {string} Normalised colour
+   */
+  const color = (value, field) => {
+    const rgb = typeof value === "string" && parseHexColor(value.trim());
+    if (!rgb) throw new Error(`${field} must be a hex colour like #00ff9d`);
+    return `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+  };
+
+  const palette = {
+    name:
+      typeof input.name === "string" && input.name.trim()
+        ? input.name.trim().slice(0, 40)
+        : "custom",
+  };
+  PALETTE_COLORS.forEach((field) => {
+    palette[field] = color(input[field], field);
+  });
+
+  if (
+    !Array.isArray(input.particles) ||
+    input.particles.length !== PALETTE_PARTICLES
+  ) {
+    throw new Error(`particles must list ${PALETTE_PARTICLES} colours`);
+  }
+  palette.particles = input.particles.map((value, i) =>
+    color(value, `particles[${i}]`),
+  );
+
+  return /** @type {Palette} */ (palette);
+}
+
+/**
+ * Derive every palette-driven CSS variable from a palette
+ * @param {Palette} palette - The palette
+ * @returns {Record<string, string>} Variable name to value
+ */
+function getPaletteVariables(palette) {
+  const rgb = (hex) => (parseHexColor(hex) || [0, 0, 0]).join(", ");
+  const accent = rgb(palette.accent);
+
+  const variables = {
+    "--void": palette.background,
+    "--surface": palette.background,
+    "--text": palette.text,
+    "--dim": palette.dim,
+    "--accent": palette.accent,
+    "--accent-dim": `rgba(${accent}, 0.15)`,
+    "--terminal-bg": `rgba(${accent}, 0.02)`,
+    "--terminal-border": `rgba(${accent}, 0.1)`,
+    "--input-bg": palette.background,
+    "--input-border": `rgba(${rgb(palette.text)}, 0.1)`,
+    "--canvas-fade": `rgba(${rgb(palette.background)}, 0.12)`,
+    "--wave-color": rgb(palette.wave),
+    "--connection-color": accent,
+  };
+  palette.particles.forEach((hex, i) => {
+    variables[`--particle-${i + 1}`] = rgb(hex);
+  });
+  return variables;
+}
+
+/**
+ * Get the stored theme preference
+ * @returns {'system' | 'light' | 'dark'} The preference
+ */
+function getThemePreference() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(THEME_STORAGE_KEY);
+  } catch (e) {
+    // Storage can be blocked; fall back to the page attribute
+    stored = document.documentElement.getAttribute("data-theme");
+  }
+  return stored === "light" || stored === "dark" ? stored : "system";
+}
+
+/**
+ * Get the current effective theme
+ * @returns {'light' | 'dark'} The current theme
+ */
+function getCurrentTheme() {
+  const preference = getThemePreference();
+  if (preference !== "system") return preference;
+  return systemLightQuery.matches ? "light" : "dark";
+}
+
+/**
+ * Tell listeners the colours on the page changed
+ */
+function notifyThemeListeners() {
+  const theme = getCurrentTheme();
+  const preference = getThemePreference();
+  themeListeners.forEach((listener) => listener(theme, preference));
+}
+
+/**
+ * Reflect a preference on the page and tell listeners
+ * @param {string} preference - One of THEME_PREFERENCES
+ */
+function applyThemePreference(preference) {
+  const root = document.documentElement;
+  if (preference === "light" || preference === "dark") {
+    root.setAttribute("data-theme", preference);
+  } else {
+    root.removeAttribute("data-theme");
+  }
+  root.setAttribute("data-theme-preference", preference);
+  notifyThemeListeners();
+}
+
+/**
+ * Set the theme preference, persist it and sync other tabs
+ * Picking a built-in theme drops any custom palette
+ * @param {'system' | 'light' | 'dark'} preference - The preference to set
+ */
+function setThemePreference(preference) {
+  if (activePalette) savePalette(null);
+
+  try {
+    if (preference === "system") {
+      localStorage.removeItem(THEME_STORAGE_KEY);
+    } else {
+      localStorage.setItem(THEME_STORAGE_KEY, preference);
+    }
+  } catch (e) {
+    console.warn("Theme preference could not be saved:", e);
+  }
+
+  applyThemePreference(preference);
+  if (themeChannel) themeChannel.postMessage(preference);
+}
+
+/**
+ * Get the custom palette in use
+ * @returns {Palette | null} The palette, or null for the built-in themes
+ */
+function getActivePalette() {
+  return activePalette;
+}
+
+/**
+ * Read the stored custom palette
+ * @returns {Palette | null} The palette, or null when none or invalid
+ */
+function getStoredPalette() {
+  try {
+    const stored = localStorage.getItem(PALETTE_STORAGE_KEY);
+    return stored ? normalizePalette(JSON.parse(stored)) : null;
+  } catch (e) {
+    console.warn("Stored palette ignored:", e);
+    return null;
+  }
+}
+
+/**
+ * Show a palette on this page without saving it, e.g. as a live preview
+ * @param {Palette | null} palette - Palette to show, null for the built-in themes
+ */
+function applyPalette(palette) {
+  const root = document.documentElement;
+  const variables = palette ? getPaletteVariables(palette) : {};
+
+  appliedPaletteVariables.forEach((name) => root.style.removeProperty(name));
+  Object.entries(variables).forEach(([name, value]) => {
+    root.style.setProperty(name, value);
+  });
+  appliedPaletteVariables = Object.keys(variables);
+
+  if (palette) {
+    root.setAttribute("data-palette", palette.name);
+  } else {
+    root.removeAttribute("data-palette");
+  }
+
+  activePalette = palette;
+  notifyThemeListeners();
+}
+
+/**
+ * Apply a palette, persist it and sync other tabs
+ * @param {Palette | null} palette - Palette to keep, null to return to the built-in themes
+ */
+function savePalette(palette) {
+  try {
+    if (palette) {
+      localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(palette));
+    } else {
+      localStorage.removeItem(PALETTE_STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn("Palette could not be saved:", e);
+  }
+
+  applyPalette(palette);
+  if (themeChannel) themeChannel.postMessage({ palette });
+}
+
+/**
+ * Call a listener whenever the page colours change, whether from the theme
+ * toggle, a palette, another tab or the operating system
+ * @param {(theme: 'light' | 'dark', preference: string) => void} listener - Change handler
+ * @returns {() => void} Unsubscribe function
+ */
+function onThemeChange(listener) {
+  themeListeners.add(listener);
+  return () => themeListeners.delete(listener);
+}
+
+// Apply before first paint
+applyThemePreference(getThemePreference());
+applyPalette(getStoredPalette());
+
+// Another tab changed the preference or palette
+window.addEventListener("storage", (e) => {
+  if (e.key === THEME_STORAGE_KEY || e.key === null) {
+    applyThemePreference(getThemePreference());
+  }
+  if (e.key === PALETTE_STORAGE_KEY || e.key === null) {
+    applyPalette(getStoredPalette());
+  }
+});
+
+if (themeChannel) {
+  themeChannel.addEventListener("message", (e) => {
+    if (THEME_PREFERENCES.includes(e.data)) {
+      applyThemePreference(e.data);
+    } else if (e.data && "palette" in e.data) {
+      try {
+        applyPalette(e.data.palette && normalizePalette(e.data.palette));
+      } catch (error) {
+        console.warn("Palette from another tab ignored:", error);
+      }
+    }
+  });
+}
+
+// The OS switched while following the system
+systemLightQuery.addEventListener("change", () => {
+  if (getThemePreference() === "system") applyThemePreference("system");
+});
@@ -0,0 +1,1270 @@
+// ================================
+// nulloxide - void
+// ================================
+
+/**
+ * @fileoverview Backgrounds drawn into the #void canvas
+ * Loaded by the page for the main-thread fallback, and as a Web Worker that
+ * draws into an OffscreenCanvas so the animation stays off the main thread.
+ * Each background is a renderer registered with registerVoidRenderer; extra
+ * ones can live in their own script, loaded after this one with a
+ * data-void-renderer attribute so the worker imports them too
+ */
+
+/** Connection opacities are rounded into this many buckets, one stroke each */
+const VOID_ALPHA_BUCKETS = 8;
+
+/** Screen area (px²) per front-layer particle */
+const VOID_AREA_PER_PARTICLE = 6000;
+
+/** Front-layer particle cap; the back layers get 70% and 40% of it */
+const VOID_MAX_PARTICLES = 360;
+
+/** Frames the worker draws between reports of its drawing time */
+const VOID_WORK_REPORT_FRAMES = 30;
+
+/** Gaps between worker frames longer than this (ms) are pauses, not slow frames */
+const VOID_MAX_FRAME_GAP = 250;
+
+/** Renderer used when none is chosen or the chosen one is unknown */
+const VOID_DEFAULT_RENDERER = "particles";
+
+/** Glyphs falling in the rain background: half-width katakana and digits */
+const VOID_RAIN_GLYPHS = "ｦｱｳｴｵｶｷｹｺｻｼｽｾｿﾀﾂﾃﾅﾆﾇﾈﾊﾋﾎﾏﾐﾑﾒﾓﾔﾕﾗﾘﾜ0123456789";
+
+/** Frames between Game of Life generations */
+const VOID_LIFE_STEP_FRAMES = 6;
+
+/**
+ * Theme colours the backgrounds draw with, as cached by the page
+ * @typedef {Object} VoidTheme
+ * @property {string} canvasFade - Fill laid over each frame to leave trails
+ * @property {string} connectionColor - "r, g, b" of connection lines
+ * @property {Array<{r: number, g: number, b: number}>} particleColors - Particle palette
+ */
+
+/**
+ * Quality settings the backgrounds read; see RENDER_QUALITY_LEVELS
+ * @typedef {Object} VoidQuality
+ * @property {number} particles - Share of the screen-sized particle count
+ * @property {boolean} glow - Draw the soft glow pass around particles
+ * @property {number} connectionDistance - Longest particle connection in px
+ * @property {number} waveStep - Sample spacing in px for sampled effects
+ */
+
+/**
+ * Frame-time figures for one particle count
+ * @typedef {Object} VoidBenchmarkResult
+ * @property {number} particles - Particles across all layers
+ * @property {number} average - Mean frame work in ms
+ * @property {number} p95 - 95th percentile frame work in ms
+ * @property {number} connections - Mean connections drawn per frame
+ */
+
+/**
+ * State shared with the active renderer, updated in place
+ * @typedef {Object} VoidScene
+ * @property {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx - Context, scaled to CSS pixels
+ * @property {number} width - CSS width in px
+ * @property {number} height - CSS height in px
+ * @property {VoidTheme} theme - Current colours
+ * @property {VoidQuality} quality - Current quality settings
+ * @property {{x: number | null, y: number | null}} pointer - Pointer position, null when it left
+ * @property {number} time - Frames drawn so far
+ */
+
+/**
+ * One background for the void canvas
+ * resize also runs after a quality change, with the size unchanged
+ * @typedef {Object} VoidRenderer
+ * @property {(scene: VoidScene) => void} init - Set up; the size may still be zero
+ * @property {(scene: VoidScene, previous: {width: number, height: number}) => void} resize - Adapt to a new size or quality
+ * @property {(scene: VoidScene) => void} update - Advance one frame
+ * @property {(scene: VoidScene) => void} draw - Draw the current frame
+ * @property {() => void} dispose - Let go of everything before another renderer takes over
+ * @property {(scene: VoidScene, x: number | null, y: number | null) => void} [pointer] - React to the pointer moving or leaving
+ * @property {(count: number | null) => void} [setCount] - Force a front-layer count for benchmarks, null to size by screen
+ * @property {() => {particles: number, connections: number}} [getStats] - Counts from the last frame, for benchmarks
+ */
+
+/**
+ * A registered background
+ * @typedef {Object} VoidRendererEntry
+ * @property {string} label - Name shown to visitors
+ * @property {() => VoidRenderer} create - Make a fresh renderer
+ */
+
+/**
+ * A running background drawing into one canvas
+ * @typedef {Object} VoidSimulation
+ * @property {(width: number, height: number, dpr: number) => void} resize - Match a new canvas size
+ * @property {(x: number | null, y: number | null) => void} setPointer - Move the pointer, null when it leaves
+ * @property {(theme: VoidTheme) => void} setTheme - Switch colours
+ * @property {(quality: VoidQuality) => void} setQuality - Switch quality settings
+ * @property {(id: string) => void} setRenderer - Switch to another registered background
+ * @property {() => number} frame - Advance and draw one frame, returning the ms it took
+ * @property {(counts: number[], frames: number) => Promise<VoidBenchmarkResult[]>} benchmark - Time frames at several front-layer counts
+ * @property {() => void} stop - Abandon any running benchmark
+ */
+
+/**
+ * Backgrounds by id, in the order the page cycles through them
+ * @type {Map<string, VoidRendererEntry>}
+ */
+const VOID_RENDERERS = new Map();
+
+/**
+ * Add a background to the void canvas
+ * @param {string} id - Lowercase id, used in storage and the shell
+ * @param {VoidRendererEntry} entry - Label and factory
+ * @throws {Error} When the id or factory is unusable
+ */
+function registerVoidRenderer(id, entry) {
+  if (!/^[a-z][a-z0-9-]*$/.test(id)) {
+    throw new Error(`void renderer id "${id}" must be lowercase letters`);
+  }
+  if (!entry || typeof entry.create !== "function") {
+    throw new Error(`void renderer "${id}" needs a create function`);
+  }
+  VOID_RENDERERS.set(id, { label: entry.label || id, create: entry.create });
+}
+
+/**
+ * Read the red, green and blue channels from a CSS colour
+ * @param {string} color - "rgba(r, g, b, a)", "rgb(r, g, b)" or "r, g, b"
+ * @returns {{r: number, g: number, b: number}} Channels, black when unreadable
+ */
+function parseVoidColor(color) {
+  const [r = 0, g = 0, b = 0] = (String(color).match(/\d+(\.\d+)?/g) || [])
+    .slice(0, 3)
+    .map(Number);
+  return { r, g, b };
+}
+
+/**
+ * Fill the canvas with the theme's fade colour, leaving trails behind
+ * @param {VoidScene} scene - The scene
+ */
+function fadeVoidScene(scene) {
+  scene.ctx.fillStyle = scene.theme.canvasFade;
+  scene.ctx.fillRect(0, 0, scene.width, scene.height);
+}
+
+// ================================
+// Particles
+// ================================
+
+/**
+ * Three layers of drifting particles, with the front layer joined by lines
+ * @returns {VoidRenderer} The renderer
+ */
+function createParticleRenderer() {
+  /** @type {VoidScene} */
+  let scene = null;
+  let particleLayers = [[], [], []];
+  let connectionCount = 0;
+
+  /** Front-layer count forced by a benchmark, null to size by screen area */
+  let particleOverride = null;
+
+  // Spatial hash: cells as linked lists of particle indices, rebuilt each frame
+  let gridColumns = 0;
+  let gridRows = 0;
+  let cellHeads = new Int32Array(0);
+  let cellNext = new Int32Array(0);
+
+  /** Line endpoints per alpha bucket, as flat x1, y1, x2, y2 runs */
+  const bucketLines = Array.from({ length: VOID_ALPHA_BUCKETS }, () => []);
+
+  /**
+   * Shift a palette color towards the next one for smooth transitions
+   * @param {number} colorIndex - Index into theme.particleColors
+   * @param {number} offset - Offset value for shifting
+   * @returns {{r: number, g: number, b: number}} Shifted color
+   */
+  function shiftColor(colorIndex, offset) {
+    const colors = scene.theme.particleColors;
+    const shift = Math.sin(offset) * 0.5 + 0.5;
+    const color = colors[colorIndex];
+    const nextColor = colors[(colorIndex + 1) % colors.length];
+    return {
+      r: Math.round(color.r + (nextColor.r - color.r) * shift * 0.3),
+      g: Math.round(color.g + (nextColor.g - color.g) * shift * 0.3),
+      b: Math.round(color.b + (nextColor.b - color.b) * shift * 0.3),
+    };
+  }
+
+  class Particle {
+    constructor(layer = 0) {
+      this.layer = layer;
+      this.x = 0;
+      this.y = 0;
+      this.baseSize = 0;
+      this.size = 0;
+      this.vx = 0;
+      this.vy = 0;
+      this.baseAlpha = 0;
+      this.alpha = 0;
+      this.colorIndex = 0;
+      this.pulseOffset = 0;
+      this.pulseSpeed = 0;
+      // Pre-computed color strings to avoid string creation in draw loop
+      this.fillColor = "";
+      this.glowColor = "";
+      this.reset();
+    }
+
+    reset() {
+      this.x = Math.random() * scene.width;
+      this.y = Math.random() * scene.height;
+      const layerFactor = 1 - this.layer * 0.3;
+      this.baseSize = (Math.random() * 1.5 + 0.5) * layerFactor;
+      this.size = this.baseSize;
+      this.vx = (Math.random() - 0.5) * 0.2 * layerFactor;
+      this.vy = (Math.random() - 0.5) * 0.2 * layerFactor;
+      this.baseAlpha = (Math.random() * 0.3 + 0.1) * layerFactor;
+      this.alpha = this.baseAlpha;
+      this.colorIndex = Math.floor(
+        Math.random() * scene.theme.particleColors.length,
+      );
+      this.pulseOffset = Math.random() * Math.PI * 2;
+      this.pulseSpeed = 0.02 + Math.random() * 0.02;
+    }
+
+    update() {
+      const { width, height, pointer, time } = scene;
+      const pulse = Math.sin(time * this.pulseSpeed + this.pulseOffset);
+      this.size = this.baseSize * (1 + pulse * 0.3);
+      this.alpha = this.baseAlpha * (1 + pulse * 0.2);
+
+      this.x += this.vx;
+      this.y += this.vy;
+
+      if (pointer.x !== null && pointer.y !== null) {
+        const dx = pointer.x - this.x;
+        const dy = pointer.y - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const repelRadius = 120 * (1 - this.layer * 0.2);
+        if (dist < repelRadius && dist > 0) {
+          const force = (repelRadius - dist) / repelRadius;
+          const layerForce = 0.015 * (1 - this.layer * 0.3);
+          this.vx -= (dx / dist) * force * layerForce;
+          this.vy -= (dy / dist) * force * layerForce;
+        }
+      }
+
+      this.vx *= 0.99;
+      this.vy *= 0.99;
+
+      if (this.x < 0) this.x = width;
+      if (this.x > width) this.x = 0;
+      if (this.y < 0) this.y = height;
+      if (this.y > height) this.y = 0;
+
+      // Pre-compute color strings once per update instead of twice per draw
+      const shifted = shiftColor(
+        this.colorIndex,
+        time * 0.001 + this.x * 0.001,
+      );
+      this.fillColor = `rgba(${shifted.r},${shifted.g},${shifted.b},${this.alpha})`;
+      this.glowColor = `rgba(${shifted.r},${shifted.g},${shifted.b},${this.alpha * 0.3})`;
+    }
+
+    draw() {
+      const { ctx } = scene;
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size * 2, 0, Math.PI * 2);
+      ctx.fillStyle = this.fillColor;
+      ctx.fill();
+
+      if (!scene.quality.glow) return;
+
+      // Add glow effect with larger, more transparent circle
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size * 3, 0, Math.PI * 2);
+      ctx.fillStyle = this.glowColor;
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Grow or shrink each layer to the count the screen and quality call for,
+   * keeping the particles already on screen
+   */
+  function syncParticleCount() {
+    const baseCount =
+      particleOverride !== null
+        ? particleOverride
+        : Math.floor(
+            Math.min(
+              VOID_MAX_PARTICLES,
+              (scene.width * scene.height) / VOID_AREA_PER_PARTICLE,
+            ) * scene.quality.particles,
+          );
+    particleLayers.forEach((particles, layer) => {
+      const count = Math.floor(baseCount * (1 - layer * 0.3));
+      particles.length = Math.min(particles.length, count);
+      while (particles.length < count) particles.push(new Particle(layer));
+    });
+  }
+
+  /**
+   * Bucket particles of the front layer into grid cells one connection
+   * distance wide, so only neighbouring cells need comparing
+   * @param {Particle[]} particles - Front layer
+   */
+  function buildGrid(particles) {
+    const cellSize = scene.quality.connectionDistance;
+    gridColumns = Math.max(1, Math.ceil(scene.width / cellSize));
+    gridRows = Math.max(1, Math.ceil(scene.height / cellSize));
+    const cells = gridColumns * gridRows;
+    if (cellHeads.length < cells) cellHeads = new Int32Array(cells);
+    if (cellNext.length < particles.length) {
+      cellNext = new Int32Array(particles.length);
+    }
+    cellHeads.fill(-1, 0, cells);
+
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i];
+      const column = Math.min(
+        gridColumns - 1,
+        Math.max(0, Math.floor(p.x / cellSize)),
+      );
+      const row = Math.min(
+        gridRows - 1,
+        Math.max(0, Math.floor(p.y / cellSize)),
+      );
+      const cell = row * gridColumns + column;
+      cellNext[i] = cellHeads[cell];
+      cellHeads[cell] = i;
+    }
+  }
+
+  /**
+   * Queue a line between two particles if they are close enough
+   * @param {Particle} p1 - First particle
+   * @param {Particle} p2 - Second particle
+   */
+  function connect(p1, p2) {
+    const dx = p1.x - p2.x;
+    const dy = p1.y - p2.y;
+    const distSq = dx * dx + dy * dy;
+    const distance = scene.quality.connectionDistance;
+    if (distSq >= distance * distance) return;
+
+    const closeness = 1 - Math.sqrt(distSq) / distance;
+    const bucket = Math.min(
+      VOID_ALPHA_BUCKETS - 1,
+      Math.floor(closeness * VOID_ALPHA_BUCKETS),
+    );
+    bucketLines[bucket].push(p1.x, p1.y, p2.x, p2.y);
+    connectionCount++;
+  }
+
+  /**
+   * Draw connections between nearby particles in the front layer
+   * Each cell is compared with itself and the four neighbours ahead of it,
+   * so every pair is seen once; lines are stroked once per alpha bucket
+   */
+  function drawConnections() {
+    const { ctx } = scene;
+    const front = particleLayers[0];
+    buildGrid(front);
+    connectionCount = 0;
+    bucketLines.forEach((lines) => (lines.length = 0));
+
+    const neighbours = [];
+    for (let row = 0; row < gridRows; row++) {
+      for (let column = 0; column < gridColumns; column++) {
+        const cell = row * gridColumns + column;
+        const head = cellHeads[cell];
+        if (head === -1) continue;
+
+        // Right, then the three cells below
+        neighbours.length = 0;
+        if (column + 1 < gridColumns) neighbours.push(cell + 1);
+        if (row + 1 < gridRows) {
+          const below = cell + gridColumns;
+          if (column > 0) neighbours.push(below - 1);
+          neighbours.push(below);
+          if (column + 1 < gridColumns) neighbours.push(below + 1);
+        }
+
+        for (let i = head; i !== -1; i = cellNext[i]) {
+          const p1 = front[i];
+          for (let j = cellNext[i]; j !== -1; j = cellNext[j]) {
+            connect(p1, front[j]);
+          }
+          for (const other of neighbours) {
+            for (let j = cellHeads[other]; j !== -1; j = cellNext[j]) {
+              connect(p1, front[j]);
+            }
+          }
+        }
+      }
+    }
+
+    ctx.lineWidth = 0.5;
+    bucketLines.forEach((lines, bucket) => {
+      if (!lines.length) return;
+      const alpha = ((bucket + 0.5) / VOID_ALPHA_BUCKETS) * 0.1;
+      ctx.beginPath();
+      for (let k = 0; k < lines.length; k += 4) {
+        ctx.moveTo(lines[k], lines[k + 1]);
+        ctx.lineTo(lines[k + 2], lines[k + 3]);
+      }
+      ctx.strokeStyle = `rgba(${scene.theme.connectionColor}, ${alpha.toFixed(4)})`;
+      ctx.stroke();
+    });
+  }
+
+  return {
+    init: (next) => {
+      scene = next;
+      syncParticleCount();
+    },
+    // Stretch particles into the new size rather than scattering fresh ones
+    resize: (next, previous) => {
+      if (previous.width && previous.height) {
+        const sx = next.width / previous.width;
+        const sy = next.height / previous.height;
+        particleLayers.forEach((layer) =>
+          layer.forEach((p) => {
+            p.x *= sx;
+            p.y *= sy;
+          }),
+        );
+      }
+      syncParticleCount();
+    },
+    update: () => {
+      particleLayers.forEach((layer) => layer.forEach((p) => p.update()));
+    },
+    draw: () => {
+      fadeVoidScene(scene);
+      // Draw back to front
+      for (let layer = 2; layer >= 0; layer--) {
+        for (const p of particleLayers[layer]) p.draw();
+      }
+      drawConnections();
+    },
+    dispose: () => {
+      particleLayers = [[], [], []];
+    },
+    setCount: (count) => {
+      particleOverride = count;
+      syncParticleCount();
+    },
+    getStats: () => ({
+      particles: particleLayers.reduce((n, layer) => n + layer.length, 0),
+      connections: connectionCount,
+    }),
+  };
+}
+
+// ================================
+// Rain
+// ================================
+
+/**
+ * Columns of falling glyphs; columns under the pointer fall faster
+ * @returns {VoidRenderer} The renderer
+ */
+function createRainRenderer() {
+  /** @type {VoidScene} */
+  let scene = null;
+  const fontSize = 16;
+
+  /** @type {Array<{x: number, row: number, speed: number, color: number}>} */
+  let drops = [];
+
+  /**
+   * @param {number} x - Column centre
+   * @returns {{x: number, row: number, speed: number, color: number}} A drop starting above the screen
+   */
+  const createDrop = (x) => ({
+    x,
+    row: -Math.random() * (scene.height / fontSize),
+    speed: 0.15 + Math.random() * 0.35,
+    color: Math.floor(Math.random() * scene.theme.particleColors.length),
+  });
+
+  /**
+   * Lay out one drop per column, keeping drops already falling
+   */
+  function layout() {
+    const spacing = fontSize / Math.max(0.25, scene.quality.particles);
+    const columns = Math.floor(scene.width / spacing);
+    drops.length = Math.min(drops.length, columns);
+    drops.forEach((drop, i) => (drop.x = (i + 0.5) * spacing));
+    while (drops.length < columns) {
+      drops.push(createDrop((drops.length + 0.5) * spacing));
+    }
+  }
+
+  return {
+    init: (next) => {
+      scene = next;
+      layout();
+    },
+    resize: layout,
+    update: () => {
+      const { pointer } = scene;
+      const rows = scene.height / fontSize;
+      drops.forEach((drop) => {
+        const near =
+          pointer.x !== null && Math.abs(pointer.x - drop.x) < fontSize * 3;
+        drop.row += drop.speed * (near ? 3 : 1);
+        if (drop.row > rows + 8) Object.assign(drop, createDrop(drop.x));
+      });
+    },
+    draw: () => {
+      const { ctx, theme, quality } = scene;
+      fadeVoidScene(scene);
+      ctx.font = `${fontSize}px monospace`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "top";
+      ctx.shadowBlur = quality.glow ? 8 : 0;
+
+      drops.forEach((drop) => {
+        if (drop.row < 0) return;
+        const glyph =
+          VOID_RAIN_GLYPHS[Math.floor(Math.random() * VOID_RAIN_GLYPHS.length)];
+        const { r, g, b } =
+          theme.particleColors[drop.color % theme.particleColors.length];
+        const y = Math.floor(drop.row) * fontSize;
+
+        // The leading glyph is brightest; the fade leaves the tail behind
+        ctx.fillStyle = `rgba(${theme.connectionColor}, 0.9)`;
+        ctx.shadowColor = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillText(glyph, drop.x, y);
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.5)`;
+        ctx.fillText(
+          VOID_RAIN_GLYPHS[(drop.color * 7 + y) % VOID_RAIN_GLYPHS.length],
+          drop.x,
+          y - fontSize,
+        );
+      });
+      ctx.shadowBlur = 0;
+    },
+    dispose: () => {
+      drops = [];
+    },
+  };
+}
+
+// ================================
+// Starfield
+// ================================
+
+/**
+ * Stars flying out of a vanishing point that drifts towards the pointer
+ * @returns {VoidRenderer} The renderer
+ */
+function createStarfieldRenderer() {
+  /** @type {VoidScene} */
+  let scene = null;
+
+  /** @type {Array<{x: number, y: number, z: number, color: number}>} */
+  let stars = [];
+  const centre = { x: 0, y: 0 };
+
+  /**
+   * @param {{x: number, y: number, z: number, color: number}} star - Star to place
+   * @param {number} z - Depth, 1 far to 0 at the viewer
+   */
+  const place = (star, z) => {
+    star.x = Math.random() * 2 - 1;
+    star.y = Math.random() * 2 - 1;
+    star.z = z;
+    star.color = Math.floor(Math.random() * scene.theme.particleColors.length);
+  };
+
+  /**
+   * Match the star count to the screen and quality
+   */
+  function layout() {
+    const count = Math.floor(
+      Math.min(
+        VOID_MAX_PARTICLES * 2,
+        (scene.width * scene.height) / (VOID_AREA_PER_PARTICLE / 2),
+      ) * scene.quality.particles,
+    );
+    stars.length = Math.min(stars.length, count);
+    while (stars.length < count) {
+      const star = { x: 0, y: 0, z: 0, color: 0 };
+      place(star, Math.random());
+      stars.push(star);
+    }
+    if (!centre.x && !centre.y) {
+      centre.x = scene.width / 2;
+      centre.y = scene.height / 2;
+    }
+  }
+
+  /**
+   * @param {{x: number, y: number, z: number}} star - Star to project
+   * @param {number} z - Depth to project at
+   * @returns {{x: number, y: number}} Screen position
+   */
+  const project = (star, z) => {
+    const spread = Math.max(scene.width, scene.height) * 0.5;
+    return {
+      x: centre.x + (star.x / z) * spread,
+      y: centre.y + (star.y / z) * spread,
+    };
+  };
+
+  return {
+    init: (next) => {
+      scene = next;
+      layout();
+    },
+    resize: (next, previous) => {
+      if (previous.width && previous.height) {
+        centre.x *= next.width / previous.width;
+        centre.y *= next.height / previous.height;
+      }
+      layout();
+    },
+    update: () => {
+      const { width, height, pointer } = scene;
+      const targetX = pointer.x !== null ? pointer.x : width / 2;
+      const targetY = pointer.y !== null ? pointer.y : height / 2;
+      centre.x += (targetX - centre.x) * 0.02;
+      centre.y += (targetY - centre.y) * 0.02;
+
+      stars.forEach((star) => {
+        star.z -= 0.004;
+        const { x, y } = project(star, Math.max(star.z, 0.01));
+        if (star.z <= 0.01 || x < 0 || x > width || y < 0 || y > height) {
+          place(star, 1);
+        }
+      });
+    },
+    draw: () => {
+      const { ctx, theme, quality } = scene;
+      fadeVoidScene(scene);
+
+      stars.forEach((star) => {
+        const { r, g, b } =
+          theme.particleColors[star.color % theme.particleColors.length];
+        const depth = 1 - star.z;
+        const head = project(star, star.z);
+        const tail = project(star, Math.min(1, star.z + 0.02));
+        const alpha = (depth * 0.8).toFixed(3);
+
+        ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+        ctx.lineWidth = depth * 2;
+        ctx.beginPath();
+        ctx.moveTo(tail.x, tail.y);
+        ctx.lineTo(head.x, head.y);
+        ctx.stroke();
+
+        if (!quality.glow || depth < 0.7) return;
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${(depth * 0.2).toFixed(3)})`;
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, depth * 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    },
+    dispose: () => {
+      stars = [];
+    },
+  };
+}
+
+// ================================
+// Game of Life
+// ================================
+
+/**
+ * Conway's Game of Life on a wrapping grid; the pointer sows live cells
+ * Cells are coloured by age: newborn, young and settled
+ * @returns {VoidRenderer} The renderer
+ */
+function createLifeRenderer() {
+  /** @type {VoidScene} */
+  let scene = null;
+  let cellSize = 8;
+  let columns = 0;
+  let rows = 0;
+
+  /** Generations each cell has been alive, 0 for dead */
+  let cells = new Uint16Array(0);
+  let nextCells = new Uint16Array(0);
+  let generation = 0;
+
+  /**
+   * Bring a square of cells around a grid position to life at random
+   * @param {number} column - Centre column
+   * @param {number} row - Centre row
+   * @param {number} radius - Half the square's side, in cells
+   * @param {number} density - Share of cells brought to life
+   */
+  function sow(column, row, radius, density) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (Math.random() >= density) continue;
+        const x = (column + dx + columns) % columns;
+        const y = (row + dy + rows) % rows;
+        cells[y * columns + x] = cells[y * columns + x] || 1;
+      }
+    }
+  }
+
+  /**
+   * Size the grid to the screen, keeping the cells that still fit
+   */
+  function layout() {
+    cellSize = Math.round(8 / Math.sqrt(scene.quality.particles));
+    const nextColumns = Math.max(1, Math.ceil(scene.width / cellSize));
+    const nextRows = Math.max(1, Math.ceil(scene.height / cellSize));
+    if (nextColumns === columns && nextRows === rows) return;
+
+    const resized = new Uint16Array(nextColumns * nextRows);
+    const empty = !cells.some((age) => age > 0);
+    for (let y = 0; y < Math.min(rows, nextRows); y++) {
+      for (let x = 0; x < Math.min(columns, nextColumns); x++) {
+        resized[y * nextColumns + x] = cells[y * columns + x];
+      }
+    }
+    columns = nextColumns;
+    rows = nextRows;
+    cells = resized;
+    nextCells = new Uint16Array(cells.length);
+    if (empty && scene.width && scene.height) {
+      for (let i = 0; i < cells.length; i++) {
+        cells[i] = Math.random() < 0.18 ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Advance one generation
+   */
+  function step() {
+    let population = 0;
+    for (let y = 0; y < rows; y++) {
+      const up = ((y - 1 + rows) % rows) * columns;
+      const row = y * columns;
+      const down = ((y + 1) % rows) * columns;
+      for (let x = 0; x < columns; x++) {
+        const left = (x - 1 + columns) % columns;
+        const right = (x + 1) % columns;
+        const neighbours =
+          (cells[up + left] > 0) +
+          (cells[up + x] > 0) +
+          (cells[up + right] > 0) +
+          (cells[row + left] > 0) +
+          (cells[row + right] > 0) +
+          (cells[down + left] > 0) +
+          (cells[down + x] > 0) +
+          (cells[down + right] > 0);
+        const age = cells[row + x];
+        const alive = neighbours === 3 || (age > 0 && neighbours === 2);
+        nextCells[row + x] = alive ? Math.min(age + 1, 0xffff) : 0;
+        if (alive) population++;
+      }
+    }
+    [cells, nextCells] = [nextCells, cells];
+    generation++;
+
+    // Keep the board from dying out or settling into still life for good
+    if (population < cells.length * 0.02 || generation % 300 === 0) {
+      sow(
+        Math.floor(Math.random() * columns),
+        Math.floor(Math.random() * rows),
+        6,
+        0.5,
+      );
+    }
+  }
+
+  return {
+    init: (next) => {
+      scene = next;
+      layout();
+    },
+    resize: layout,
+    update: () => {
+      if (scene.time % VOID_LIFE_STEP_FRAMES === 0) step();
+    },
+    draw: () => {
+      const { ctx, theme } = scene;
+      fadeVoidScene(scene);
+
+      const colors = theme.particleColors;
+      const size = cellSize - 1;
+      for (let shade = 0; shade < colors.length; shade++) {
+        const { r, g, b } = colors[shade];
+        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${0.35 - shade * 0.08})`;
+        ctx.beginPath();
+        for (let i = 0; i < cells.length; i++) {
+          const age = cells[i];
+          if (!age || Math.min(age, colors.length) - 1 !== shade) continue;
+          ctx.rect(
+            (i % columns) * cellSize,
+            Math.floor(i / columns) * cellSize,
+            size,
+            size,
+          );
+        }
+        ctx.fill();
+      }
+    },
+    dispose: () => {
+      cells = new Uint16Array(0);
+      nextCells = new Uint16Array(0);
+      columns = 0;
+      rows = 0;
+    },
+    pointer: (next, x, y) => {
+      if (x === null || y === null || !columns) return;
+      sow(Math.floor(x / cellSize), Math.floor(y / cellSize), 1, 0.6);
+    },
+  };
+}
+
+// ================================
+// Plasma
+// ================================
+
+/**
+ * Demoscene plasma: summed sine fields through a palette built from the
+ * theme, rendered at low resolution and scaled up
+ * @returns {VoidRenderer} The renderer
+ */
+function createPlasmaRenderer() {
+  /** @type {VoidScene} */
+  let scene = null;
+
+  /** @type {OffscreenCanvas | HTMLCanvasElement | null} */
+  let buffer = null;
+  let bufferCtx = null;
+  let image = null;
+  let cellSize = 8;
+  let phase = 0;
+
+  /** 256 packed colours, rebuilt when the theme changes */
+  const lut = new Uint8ClampedArray(256 * 3);
+  let lutKey = "";
+
+  /**
+   * Blend each palette colour into the background, looping back to the first
+   * @param {VoidTheme} theme - Colours to build from
+   */
+  function buildLut(theme) {
+    const key = theme.canvasFade + JSON.stringify(theme.particleColors);
+    if (key === lutKey) return;
+    lutKey = key;
+
+    const background = parseVoidColor(theme.canvasFade);
+    const colors = theme.particleColors;
+    for (let i = 0; i < 256; i++) {
+      const position = (i / 256) * colors.length;
+      const from = colors[Math.floor(position)];
+      const to = colors[(Math.floor(position) + 1) % colors.length];
+      const mix = position % 1;
+      // Only a third of the way to full colour so text stays readable
+      const strength = 0.35 * (0.5 + 0.5 * Math.sin((i / 256) * Math.PI * 2));
+      ["r", "g", "b"].forEach((channel, c) => {
+        const color = from[channel] + (to[channel] - from[channel]) * mix;
+        lut[i * 3 + c] =
+          background[channel] + (color - background[channel]) * strength;
+      });
+    }
+  }
+
+  /**
+   * Size the low-resolution buffer to the screen and quality
+   */
+  function layout() {
+    cellSize = Math.max(6, scene.quality.waveStep * 3);
+    const width = Math.max(1, Math.ceil(scene.width / cellSize));
+    const height = Math.max(1, Math.ceil(scene.height / cellSize));
+    if (!buffer) {
+      buffer =
+        typeof OffscreenCanvas === "function"
+          ? new OffscreenCanvas(width, height)
+          : document.createElement("canvas");
+      bufferCtx = buffer.getContext("2d");
+    }
+    if (image && image.width === width && image.height === height) return;
+    buffer.width = width;
+    buffer.height = height;
+    image = bufferCtx.createImageData(width, height);
+  }
+
+  return {
+    init: (next) => {
+      scene = next;
+      layout();
+    },
+    resize: layout,
+    update: () => {
+      phase += 0.02;
+    },
+    draw: () => {
+      const { ctx, pointer, width, height } = scene;
+      buildLut(scene.theme);
+
+      // The pointer pulls the rings' centre; the middle of the screen otherwise
+      const cx = (pointer.x !== null ? pointer.x : width / 2) / cellSize;
+      const cy = (pointer.y !== null ? pointer.y : height / 2) / cellSize;
+      const scale = cellSize / 12;
+      const data = image.data;
+
+      // Only the rings need a sine per pixel; the waves vary along one axis
+      const columnWaves = new Float32Array(image.width);
+      const diagonalWaves = new Float32Array(image.width + image.height);
+      for (let x = 0; x < columnWaves.length; x++) {
+        columnWaves[x] = Math.sin(x * 0.16 * scale + phase);
+      }
+      for (let i = 0; i < diagonalWaves.length; i++) {
+        diagonalWaves[i] = Math.sin(i * 0.08 * scale + phase * 0.7);
+      }
+
+      for (let y = 0; y < image.height; y++) {
+        const rowWave = Math.sin(y * 0.12 * scale + phase * 1.3);
+        const dy = y - cy;
+        for (let x = 0; x < image.width; x++) {
+          const dx = x - cx;
+          const value =
+            columnWaves[x] +
+            rowWave +
+            diagonalWaves[x + y] +
+            Math.sin(Math.sqrt(dx * dx + dy * dy) * 0.2 * scale - phase * 2);
+          const index = ((value + 4) * 32) & 255;
+          const offset = (y * image.width + x) * 4;
+          data[offset] = lut[index * 3];
+          data[offset + 1] = lut[index * 3 + 1];
+          data[offset + 2] = lut[index * 3 + 2];
+          data[offset + 3] = 255;
+        }
+      }
+
+      bufferCtx.putImageData(image, 0, 0);
+      ctx.drawImage(buffer, 0, 0, width, height);
+    },
+    dispose: () => {
+      buffer = null;
+      bufferCtx = null;
+      image = null;
+      lutKey = "";
+    },
+  };
+}
+
+registerVoidRenderer("particles", {
+  label: "Particles",
+  create: createParticleRenderer,
+});
+registerVoidRenderer("rain", { label: "Rain", create: createRainRenderer });
+registerVoidRenderer("starfield", {
+  label: "Starfield",
+  create: createStarfieldRenderer,
+});
+registerVoidRenderer("life", {
+  label: "Game of Life",
+  create: createLifeRenderer,
+});
+registerVoidRenderer("plasma", {
+  label: "Plasma",
+  create: createPlasmaRenderer,
+});
+
+// ================================
+// Simulation
+// ================================
+
+/**
+ * Create the background for a canvas
+ * Works the same on an HTMLCanvasElement and an OffscreenCanvas
+ * @param {HTMLCanvasElement | OffscreenCanvas} canvas - Canvas to draw into
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx - Its 2D context
+ * @param {{theme: VoidTheme, quality: VoidQuality, renderer?: string}} options - Starting colours, quality and background
+ * @returns {VoidSimulation} The simulation
+ */
+function createVoidSimulation(canvas, ctx, options) {
+  /** @type {VoidScene} */
+  const scene = {
+    ctx,
+    width: 0,
+    height: 0,
+    theme: options.theme,
+    quality: options.quality,
+    pointer: { x: null, y: null },
+    time: 0,
+  };
+
+  let rendererId = "";
+  /** @type {VoidRenderer} */
+  let renderer = null;
+
+  /**
+   * Benchmark in progress
+   * @type {{samples: number[], connections: number, frames: number, done: () => void, fail: (error: Error) => void} | null}
+   */
+  let bench = null;
+
+  /**
+   * Hand the canvas to another background, starting from a blank frame
+   * @param {string} id - Registered renderer id; unknown ids get the default
+   */
+  function setRenderer(id) {
+    if (!VOID_RENDERERS.has(id)) {
+      console.warn(`Unknown void renderer "${id}", using particles`);
+      id = VOID_DEFAULT_RENDERER;
+    }
+    if (id === rendererId) return;
+
+    if (bench) bench.fail(new Error("background changed"));
+    if (renderer) renderer.dispose();
+    ctx.clearRect(0, 0, scene.width, scene.height);
+
+    rendererId = id;
+    renderer = VOID_RENDERERS.get(id).create();
+    renderer.init(scene);
+  }
+
+  /**
+   * Match the canvas to a new size
+   * @param {number} width - CSS width in px
+   * @param {number} height - CSS height in px
+   * @param {number} dpr - Device pixel ratio to render at
+   */
+  function resize(width, height, dpr) {
+    const previous = { width: scene.width, height: scene.height };
+    scene.width = width;
+    scene.height = height;
+
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    renderer.resize(scene, previous);
+  }
+
+  /**
+   * @returns {number} Milliseconds the frame took
+   */
+  function frame() {
+    const started = performance.now();
+
+    scene.time++;
+    renderer.update(scene);
+    renderer.draw(scene);
+
+    const elapsed = performance.now() - started;
+    if (bench) {
+      bench.samples.push(elapsed);
+      bench.connections += renderer.getStats().connections;
+      if (bench.samples.length >= bench.frames) bench.done();
+    }
+    return elapsed;
+  }
+
+  /**
+   * Measure frame work at each particle count, then restore the screen-sized count
+   * @param {number[]} counts - Front-layer particle counts to try
+   * @param {number} frames - Frames to sample per count
+   * @returns {Promise<VoidBenchmarkResult[]>} One result per count
+   */
+  async function benchmark(counts, frames) {
+    if (bench) throw new Error("a benchmark is already running");
+    if (!renderer.setCount || !renderer.getStats) {
+      throw new Error(`the ${rendererId} background has no particle count`);
+    }
+
+    const benched = renderer;
+    const results = [];
+    try {
+      for (const count of counts) {
+        benched.setCount(count);
+        const { particles } = benched.getStats();
+        const sample = await new Promise((resolve, reject) => {
+          const state = {
+            samples: [],
+            connections: 0,
+            frames,
+            done: () => {
+              bench = null;
+              resolve(state);
+            },
+            fail: (error) => {
+              bench = null;
+              reject(error);
+            },
+          };
+          bench = state;
+        });
+        const sorted = [...sample.samples].sort((a, b) => a - b);
+        results.push({
+          particles,
+          average: sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length,
+          p95: sorted[
+            Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))
+          ],
+          connections: Math.round(sample.connections / sorted.length),
+        });
+      }
+    } finally {
+      bench = null;
+      // A background switched mid-run has already been disposed
+      if (benched === renderer) benched.setCount(null);
+    }
+    return results;
+  }
+
+  setRenderer(options.renderer || VOID_DEFAULT_RENDERER);
+
+  return {
+    resize,
+    setPointer: (x, y) => {
+      scene.pointer = { x, y };
+      if (renderer.pointer) renderer.pointer(scene, x, y);
+    },
+    setTheme: (next) => {
+      scene.theme = next;
+    },
+    setQuality: (next) => {
+      scene.quality = next;
+      renderer.resize(scene, { width: scene.width, height: scene.height });
+    },
+    setRenderer,
+    frame,
+    benchmark,
+    stop: () => {
+      if (bench) bench.fail(new Error("void canvas stopped"));
+    },
+  };
+}
+
+// ================================
+// Worker
+// ================================
+
+/**
+ * Drive a simulation from page messages when running as a Web Worker
+ * The page transfers its canvas in an "init" message, then sends resize,
+ * pointer, theme, quality, renderer, pause/resume and benchmark/cancel messages;
+ * drawing starts on the first "resume" and its cost and frame interval are
+ * reported in "work" messages
+ */
+function initVoidWorker() {
+  /** @type {VoidSimulation | null} */
+  let simulation = null;
+  let frameId = null;
+  let paused = true;
+  let work = 0;
+  let frames = 0;
+  let lastFrame = 0;
+  let gaps = [];
+
+  // Workers without requestAnimationFrame fall back to a 60fps timer
+  const requestFrame =
+    typeof self.requestAnimationFrame === "function"
+      ? (callback) => self.requestAnimationFrame(callback)
+      : (callback) => setTimeout(() => callback(performance.now()), 16);
+  const cancelFrame =
+    typeof self.cancelAnimationFrame === "function"
+      ? (id) => self.cancelAnimationFrame(id)
+      : (id) => clearTimeout(id);
+
+  /**
+   * @param {number} now - Frame timestamp
+   */
+  function loop(now) {
+    frameId = requestFrame(loop);
+    // The page never sees this thread's frames, so time them here
+    const gap = lastFrame ? now - lastFrame : 0;
+    lastFrame = now;
+    if (gap && gap <= VOID_MAX_FRAME_GAP) gaps.push(gap);
+
+    work += simulation.frame();
+    if (++frames >= VOID_WORK_REPORT_FRAMES) {
+      const interval = gaps.length
+        ? gaps.sort((a, b) => a - b)[gaps.length >> 1]
+        : 0;
+      self.postMessage({ type: "work", ms: work, interval });
+      work = 0;
+      frames = 0;
+      gaps = [];
+    }
+  }
+
+  function start() {
+    if (simulation && !paused && frameId === null) {
+      frameId = requestFrame(loop);
+    }
+  }
+
+  function stop() {
+    if (frameId !== null) cancelFrame(frameId);
+    frameId = null;
+    lastFrame = 0;
+  }
+
+  /** @type {Record<string, (message: any) => void>} */
+  const handlers = {
+    init: (message) => {
+      // Renderers the page loaded from data-void-renderer scripts
+      if (message.imports && message.imports.length) {
+        try {
+          importScripts(...message.imports);
+        } catch (e) {
+          console.warn("Void renderer scripts failed to load:", e);
+        }
+      }
+      const ctx = message.canvas.getContext("2d");
+      simulation = createVoidSimulation(message.canvas, ctx, message);
+      simulation.resize(message.width, message.height, message.dpr);
+    },
+    resize: (message) => {
+      simulation.resize(message.width, message.height, message.dpr);
+    },
+    pointer: (message) => simulation.setPointer(message.x, message.y),
+    theme: (message) => simulation.setTheme(message.theme),
+    quality: (message) => simulation.setQuality(message.quality),
+    renderer: (message) => simulation.setRenderer(message.id),
+    pause: () => {
+      paused = true;
+      stop();
+    },
+    resume: () => {
+      paused = false;
+      start();
+    },
+    cancel: () => simulation.stop(),
+    benchmark: (message) => {
+      simulation
+        .benchmark(message.counts, message.frames)
+        .then((results) =>
+          self.postMessage({ type: "benchmark", id: message.id, results }),
+        )
+        .catch((e) =>
+          self.postMessage({
+            type: "benchmark",
+            id: message.id,
+            error: e instanceof Error ? e.message : String(e),
+          }),
+        );
+    },
+  };
+
+  self.addEventListener("message", (e) => {
+    const message = e.data;
+    if (!message) return;
+    if (!Object.prototype.hasOwnProperty.call(handlers, message.type)) return;
+    if (message.type !== "init" && !simulation) return;
+    handlers[message.type](message);
+  });
+}
+
+// Loaded with new Worker() rather than a <script> tag
+if (
+  typeof WorkerGlobalScope !== "undefined" &&
+  self instanceof WorkerGlobalScope
+) {
+  initVoidWorker();
+}